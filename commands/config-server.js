@@ -2,13 +2,172 @@
  * @file Configure server settings command
  * @module CommandModules/ConfigServer
  * @description Command to configure server-specific settings for the Arcani bot,
- * allowing administrators and managers to set roles and channels for security operations.
- * This command is restricted to the main security company server.
+ * allowing administrators and managers to set roles and channels for security operations and the
+ * dispatch routing rules that send requests to different teams.
+ * This command is restricted to security provider servers; developers can register a server as a provider.
  */
 
-const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType, EmbedBuilder } = require('discord.js');
 const { getServerConfig, updateServerConfig, isServerManager } = require('../database/server-config-utils');
+const { ExternalServer } = require('../database/models');
 const { isDeveloper } = require('../database/dev-utils');
+const { isProviderGuild, registerProvider, formatProviderName, getServerProviderId } = require('../database/provider-utils');
+const { postRequestPanel, removeRequestPanel } = require('../database/panel-utils');
+const { formatRateLimits, countRecentRateLimitHits } = require('../database/rate-limit-utils');
+const {
+    MAX_ROUTING_RULES,
+    parseKeywords,
+    isValidTime,
+    getRoutingRules,
+    addRoutingRule,
+    removeRoutingRule,
+    formatRoutingRule
+} = require('../database/routing-utils');
+
+/**
+ * Formats the escalation policy of a server configuration for display
+ * @param {Object} config - The server configuration
+ * @returns {string} One line per escalation step
+ */
+function formatEscalationPolicy(config) {
+    const reping = config.escalationRepingMinutes
+        ? `after ${config.escalationRepingMinutes} minutes`
+        : 'Disabled';
+    const supervisors = config.escalationSupervisorMinutes
+        ? `after ${config.escalationSupervisorMinutes} minutes${config.supervisorRoleId ? ` (<@&${config.supervisorRoleId}>)` : ''}`
+        : 'Disabled';
+    const channel = config.escalationChannelId ? `<#${config.escalationChannelId}>` : 'Alert channel';
+
+    return [
+        `**Escalation Re-ping:** ${reping}`,
+        `**Escalation to Supervisors:** ${supervisors}`,
+        `**Escalation Channel:** ${channel}`
+    ].join('\n');
+}
+
+/**
+ * Formats the external server condition of a routing rule with the server's name when it is known
+ * @param {Map<string, string>} serverNames - External server names by guild ID
+ * @returns {function(string): string} Formats a guild ID
+ */
+function serverNameFormatter(serverNames) {
+    return guildId => (serverNames.has(guildId) ? `${serverNames.get(guildId)} (${guildId})` : guildId);
+}
+
+/**
+ * Handles the routing subcommand group: adding, removing and listing dispatch routing rules
+ * @param {Object} interaction - The interaction object
+ * @param {string} subcommand - The routing subcommand
+ * @returns {Promise<void>}
+ */
+async function handleRoutingSubcommand(interaction, subcommand) {
+    const serverId = interaction.guild.id;
+
+    switch (subcommand) {
+        case 'add': {
+            const channel = interaction.options.getChannel('channel');
+            const role = interaction.options.getRole('role');
+            const externalGuildId = interaction.options.getString('server-id')?.trim() || null;
+            const locationKeywords = parseKeywords(interaction.options.getString('location-keywords'));
+            const detailsKeywords = parseKeywords(interaction.options.getString('details-keywords'));
+            const startTime = interaction.options.getString('from')?.trim() || null;
+            const endTime = interaction.options.getString('to')?.trim() || null;
+            const position = interaction.options.getInteger('position');
+
+            if (!isValidTime(startTime) || !isValidTime(endTime) || Boolean(startTime) !== Boolean(endTime)) {
+                return interaction.reply({
+                    content: 'Please provide both **from** and **to** as 24-hour UTC times (HH:MM), e.g. from:22:00 to:06:00.',
+                    ephemeral: true
+                });
+            }
+            if (startTime && startTime === endTime) {
+                return interaction.reply({
+                    content: 'The time window cannot start and end at the same time.',
+                    ephemeral: true
+                });
+            }
+            if (!externalGuildId && locationKeywords.length === 0 && detailsKeywords.length === 0 && !startTime) {
+                return interaction.reply({
+                    content: 'Please provide at least one condition: server-id, location-keywords, details-keywords or a from/to time window. Requests that match no rule already go to the alert channel.',
+                    ephemeral: true
+                });
+            }
+
+            let externalServer = null;
+            if (externalGuildId) {
+                externalServer = await ExternalServer.findByPk(externalGuildId);
+                if (!externalServer || getServerProviderId(externalServer) !== serverId) {
+                    return interaction.reply({
+                        content: `The server ${externalGuildId} is not registered with this security provider.`,
+                        ephemeral: true
+                    });
+                }
+            }
+
+            let rule;
+            try {
+                rule = await addRoutingRule(serverId, {
+                    externalGuildId,
+                    locationKeywords,
+                    detailsKeywords,
+                    startTime,
+                    endTime,
+                    channelId: channel.id,
+                    roleId: role?.id || null
+                }, position);
+            } catch (error) {
+                return interaction.reply({ content: `${error.message}.`, ephemeral: true });
+            }
+
+            const serverNames = new Map(externalServer ? [[externalServer.guildId, externalServer.guildName]] : []);
+            return interaction.reply({
+                content: `Successfully added routing rule #${rule.position}.
+${formatRoutingRule(rule, serverNameFormatter(serverNames))}`,
+                ephemeral: true
+            });
+        }
+
+        case 'remove': {
+            const position = interaction.options.getInteger('rule');
+            const removed = await removeRoutingRule(serverId, position);
+            if (!removed) {
+                return interaction.reply({
+                    content: `There is no routing rule #${position}. Use \`/config-server routing list\` to see the rules.`,
+                    ephemeral: true
+                });
+            }
+
+            return interaction.reply({
+                content: `Successfully removed routing rule #${position}. The rules after it moved up one place.`,
+                ephemeral: true
+            });
+        }
+
+        case 'list': {
+            const rules = await getRoutingRules(serverId);
+            const config = await getServerConfig(serverId);
+            const fallback = config?.alertChannelId ? `<#${config.alertChannelId}>` : 'the alert channel (not set)';
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle('Dispatch Routing Rules')
+                .setDescription(rules.length > 0
+                    ? `Rules are checked in order; the first rule whose conditions all match a request decides where its alert is posted. Requests that match no rule go to ${fallback}.`
+                    : `There are no routing rules. All requests go to ${fallback}.`)
+                .setTimestamp()
+                .setFooter({ text: `${rules.length}/${MAX_ROUTING_RULES} rules` });
+
+            const guildIds = rules.map(rule => rule.externalGuildId).filter(Boolean);
+            const servers = guildIds.length > 0 ? await ExternalServer.findAll({ where: { guildId: guildIds } }) : [];
+            const formatServer = serverNameFormatter(new Map(servers.map(server => [server.guildId, server.guildName])));
+            for (const rule of rules) {
+                embed.addFields({ name: `Rule #${rule.position}`, value: formatRoutingRule(rule, formatServer).slice(0, 1024) });
+            }
+
+            return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+    }
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -48,6 +207,154 @@ module.exports = {
                         .setDescription('The alert channel')
                         .addChannelTypes(ChannelType.GuildText)
                         .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set-on-duty-role')
+                .setDescription('Set the role the bot gives personnel while they are on duty')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The on-duty role')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set-escalation')
+                .setDescription('Set how unanswered security requests are escalated')
+                .addIntegerOption(option =>
+                    option.setName('reping-minutes')
+                        .setDescription('Minutes without a responder before the security role is pinged again (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('supervisor-minutes')
+                        .setDescription('Minutes without a responder before supervisors are alerted (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addRoleOption(option =>
+                    option.setName('supervisor-role')
+                        .setDescription('The role pinged when a request is escalated to supervisors')
+                        .setRequired(false))
+                .addChannelOption(option =>
+                    option.setName('escalation-channel')
+                        .setDescription('The channel for escalation summaries (defaults to the alert channel)')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set-rate-limits')
+                .setDescription('Set how often customers and customer servers can make security requests')
+                .addIntegerOption(option =>
+                    option.setName('user-cooldown')
+                        .setDescription('Seconds a customer must wait between requests (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('user-burst')
+                        .setDescription('Most requests one customer can make in the burst window (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('server-cooldown')
+                        .setDescription('Seconds a customer server must wait between requests (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('server-burst')
+                        .setDescription('Most requests one customer server can make in the burst window (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('emergency-burst')
+                        .setDescription('Most Emergency requests one customer can make in the burst window (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('window-minutes')
+                        .setDescription('Length of the burst window in minutes')
+                        .setMinValue(1)
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('offender-threshold')
+                        .setDescription('Refused requests in 24 hours before the blacklist role is asked to step in (0 to disable)')
+                        .setMinValue(0)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set-provider')
+                .setDescription('Register this server as a security provider customers can subscribe to, or rename it')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name customers see when choosing this provider')
+                        .setMaxLength(100)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set-request-panel')
+                .setDescription('Pin a panel with a Request Security button in a channel, or remove it')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('The channel for the panel (leave out to remove the panel)')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)))
+        .addSubcommandGroup(group =>
+            group
+                .setName('routing')
+                .setDescription('Send requests to different alert channels and roles')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('add')
+                        .setDescription('Add a routing rule; all of its conditions must match a request')
+                        .addChannelOption(option =>
+                            option.setName('channel')
+                                .setDescription('The channel alerts of matching requests are posted in')
+                                .addChannelTypes(ChannelType.GuildText)
+                                .setRequired(true))
+                        .addRoleOption(option =>
+                            option.setName('role')
+                                .setDescription('The role pinged instead of the security role')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('server-id')
+                                .setDescription('Only match requests from this external server')
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('location-keywords')
+                                .setDescription('Comma-separated keywords, one of which must be in the location')
+                                .setMaxLength(200)
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('details-keywords')
+                                .setDescription('Comma-separated keywords, one of which must be in the details')
+                                .setMaxLength(200)
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('from')
+                                .setDescription('Start of the time window, HH:MM in UTC')
+                                .setMaxLength(5)
+                                .setRequired(false))
+                        .addStringOption(option =>
+                            option.setName('to')
+                                .setDescription('End of the time window, HH:MM in UTC (may be past midnight)')
+                                .setMaxLength(5)
+                                .setRequired(false))
+                        .addIntegerOption(option =>
+                            option.setName('position')
+                                .setDescription('Where to insert the rule in the order (defaults to last)')
+                                .setMinValue(1)
+                                .setMaxValue(MAX_ROUTING_RULES)
+                                .setRequired(false)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('remove')
+                        .setDescription('Remove a routing rule')
+                        .addIntegerOption(option =>
+                            option.setName('rule')
+                                .setDescription('The number of the rule, as shown by /config-server routing list')
+                                .setMinValue(1)
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('list')
+                        .setDescription('List the routing rules in the order they are checked')))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('view-config')
@@ -63,16 +370,24 @@ module.exports = {
      * // /config-server set-customer-role @Customers
      * // /config-server set-security-role @Security
      * // /config-server set-alert-channel #security-alerts
+     * // /config-server set-on-duty-role @On Duty
+     * // /config-server set-escalation reping-minutes:5 supervisor-minutes:15 supervisor-role:@Supervisors escalation-channel:#escalations
+     * // /config-server set-rate-limits user-cooldown:120 user-burst:3 window-minutes:15 offender-threshold:5
+     * // /config-server set-provider name:VIG Security North
+     * // /config-server set-request-panel channel:#request-security
+     * // /config-server routing add channel:#night-team role:@Night from:22:00 to:06:00
+     * // /config-server routing add channel:#harbour-team location-keywords:harbour, dock position:1
+     * // /config-server routing remove rule:2
+     * // /config-server routing list
      * // /config-server view-config
      */
     async execute(interaction) {
         try {
-            const mainGuildId = process.env.GUILD_ID;
-            
-            // Check if this command is being used in a non-main server (bypass for developer)
-            if (interaction.guild.id !== mainGuildId && !isDeveloper(interaction.user.id)) {
+            // Check if this command is being used outside a security provider server (bypass for developer,
+            // who registers new providers with set-provider)
+            if (!(await isProviderGuild(interaction.guild.id)) && !isDeveloper(interaction.user.id)) {
                 return interaction.reply({
-                    content: 'This command can only be used in the main security company server.',
+                    content: 'This command can only be used in a security provider server.',
                     ephemeral: true
                 });
             }
@@ -86,6 +401,10 @@ module.exports = {
                 });
             }
 
+            if (interaction.options.getSubcommandGroup(false) === 'routing') {
+                return handleRoutingSubcommand(interaction, subcommand);
+            }
+
             const serverId = interaction.guild.id;
             let config = await getServerConfig(serverId);
 
@@ -150,6 +469,128 @@ module.exports = {
                     });
                 }
 
+                case 'set-on-duty-role': {
+                    const role = interaction.options.getRole('role');
+                    if (!role.editable) {
+                        return interaction.reply({
+                            content: `I cannot assign ${role.name}. Give the bot the Manage Roles permission and move its role above ${role.name}.`,
+                            ephemeral: true
+                        });
+                    }
+
+                    config = await updateServerConfig(serverId, { onDutyRoleId: role.id });
+
+                    return interaction.reply({
+                        content: `Successfully set ${role.name} as the on-duty role. The bot gives it to personnel while they are on duty, and new requests ping it instead of the security role while anyone is on duty.`,
+                        ephemeral: true
+                    });
+                }
+
+                case 'set-escalation': {
+                    const repingMinutes = interaction.options.getInteger('reping-minutes');
+                    const supervisorMinutes = interaction.options.getInteger('supervisor-minutes');
+                    const supervisorRole = interaction.options.getRole('supervisor-role');
+                    const escalationChannel = interaction.options.getChannel('escalation-channel');
+
+                    const updates = {};
+                    // 0 disables a step, which is stored as null
+                    if (repingMinutes !== null) updates.escalationRepingMinutes = repingMinutes || null;
+                    if (supervisorMinutes !== null) updates.escalationSupervisorMinutes = supervisorMinutes || null;
+                    if (supervisorRole) updates.supervisorRoleId = supervisorRole.id;
+                    if (escalationChannel) updates.escalationChannelId = escalationChannel.id;
+
+                    if (Object.keys(updates).length === 0) {
+                        return interaction.reply({
+                            content: 'Please provide at least one escalation setting to change.',
+                            ephemeral: true
+                        });
+                    }
+
+                    config = await updateServerConfig(serverId, updates);
+
+                    return interaction.reply({
+                        content: `Successfully updated the escalation policy.\n${formatEscalationPolicy(config)}`,
+                        ephemeral: true
+                    });
+                }
+
+                case 'set-rate-limits': {
+                    const options = {
+                        'user-cooldown': 'rateLimitUserCooldownSeconds',
+                        'user-burst': 'rateLimitUserBurst',
+                        'server-cooldown': 'rateLimitServerCooldownSeconds',
+                        'server-burst': 'rateLimitServerBurst',
+                        'emergency-burst': 'rateLimitEmergencyBurst',
+                        'window-minutes': 'rateLimitWindowMinutes',
+                        'offender-threshold': 'rateLimitOffenderThreshold'
+                    };
+
+                    const updates = {};
+                    for (const [option, column] of Object.entries(options)) {
+                        const value = interaction.options.getInteger(option);
+                        if (value !== null) updates[column] = value;
+                    }
+
+                    if (Object.keys(updates).length === 0) {
+                        return interaction.reply({
+                            content: `Please provide at least one rate limit setting to change.\n${formatRateLimits(config)}`,
+                            ephemeral: true
+                        });
+                    }
+
+                    config = await updateServerConfig(serverId, updates);
+
+                    return interaction.reply({
+                        content: `Successfully updated the request rate limits. They apply to \`/request-external-security\` and the request panels of customer servers.\n${formatRateLimits(config)}`,
+                        ephemeral: true
+                    });
+                }
+
+                case 'set-provider': {
+                    const externalServer = await ExternalServer.findByPk(serverId);
+                    if (externalServer && !externalServer.removedAt) {
+                        return interaction.reply({
+                            content: 'This server is set up as a customer of a security provider and cannot become a provider itself.',
+                            ephemeral: true
+                        });
+                    }
+
+                    const name = interaction.options.getString('name').trim();
+                    config = await registerProvider(serverId, name);
+
+                    return interaction.reply({
+                        content: `This server is now the security provider **${name}**. External servers can subscribe to it with \`/setup-security-channel\`.`,
+                        ephemeral: true
+                    });
+                }
+
+                case 'set-request-panel': {
+                    const channel = interaction.options.getChannel('channel');
+
+                    // Deleting, posting and pinning the panel can take a moment
+                    await interaction.deferReply({ ephemeral: true });
+
+                    if (!channel) {
+                        const removed = await removeRequestPanel(interaction.client, serverId);
+                        return interaction.editReply({
+                            content: removed ? 'Successfully removed the request panel.' : 'This server has no request panel.'
+                        });
+                    }
+
+                    try {
+                        await postRequestPanel(interaction.client, serverId, channel.id);
+                    } catch (error) {
+                        console.error(`[ERROR] Error posting the request panel in server ${serverId}:`, error);
+                        return interaction.editReply({
+                            content: `The request panel could not be posted: ${error.message}. Check that I can send, pin and manage messages in ${channel}.`
+                        });
+                    }
+
+                    return interaction.editReply({
+                        content: `Successfully pinned the request panel in ${channel}. Members can press its Request Security button to open the request form; a deleted panel is posted again.`
+                    });
+                }
+
                 case 'view-config': {
                     config = config || { serverId };
                     
@@ -167,7 +608,14 @@ module.exports = {
                         `**Manager Role:** ${managerRole} ${config.managerRoleId ? `(<@&${config.managerRoleId}>)` : ''}`,
                         `**Customer Role:** ${customerRole} ${config.customerRoleId ? `(<@&${config.customerRoleId}>)` : ''}`,
                         `**Security Role:** ${securityRole} ${config.securityRoleId ? `(<@&${config.securityRoleId}>)` : ''}`,
-                        `**Alert Channel:** ${alertChannel} ${config.alertChannelId ? `(<#${config.alertChannelId}>)` : ''}`
+                        `**Alert Channel:** ${alertChannel} ${config.alertChannelId ? `(<#${config.alertChannelId}>)` : ''}`,
+                        `**On-Duty Role:** ${config.onDutyRoleId ? `<@&${config.onDutyRoleId}>` : 'Not Set (the personnel on duty are mentioned directly)'}`,
+                        `**Provider Name:** ${formatProviderName(config, interaction.client)}`,
+                        `**Request Panel:** ${config.panelMessageId ? `<#${config.panelChannelId}>` : 'Not Set'}`,
+                        formatEscalationPolicy(config),
+                        formatRateLimits(config),
+                        `**Refused Requests (24 hours):** ${await countRecentRateLimitHits(serverId)}`,
+                        `**Routing Rules:** ${(await getRoutingRules(serverId)).length} (see \`/config-server routing list\`)`
                     ].join('\n');
 
                     return interaction.reply({
@@ -0,0 +1,390 @@
+/**
+ * @file Duty roster command
+ * @module CommandModules/Duty
+ * @description Lets security personnel in a security provider's server go on and off duty and see who is
+ * on duty, and lets managers maintain the weekly roster and review the shift history for payroll. While
+ * anyone is on duty, new requests only ping the personnel on duty.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, GuildMember, AttachmentBuilder } = require('discord.js');
+const { getSecurityRoleId, getServerConfig, isServerManager } = require('../database/server-config-utils');
+const { isProviderGuild, getProviderName } = require('../database/provider-utils');
+const { parseSearchDate } = require('../database/search-utils');
+const { isValidTime } = require('../database/routing-utils');
+const { toCsv } = require('../database/export-utils');
+const {
+    DAY_NAMES,
+    DAY_CHOICES,
+    SHIFT_EXPORT_COLUMNS,
+    getOnDutyShifts,
+    startShift,
+    endShift,
+    getRoster,
+    addRosterEntry,
+    removeRosterEntry,
+    formatRosterEntry,
+    getShiftHistory,
+    summariseShifts,
+    buildShiftRecord
+} = require('../database/duty-utils');
+
+/**
+ * Number of people listed in the history summary
+ * @type {number}
+ */
+const TOP_ENTRIES = 25;
+
+/**
+ * Subcommands only server managers can use
+ * @type {Array<string>}
+ */
+const MANAGER_SUBCOMMANDS = ['roster add', 'roster remove', 'history'];
+
+/**
+ * Formats a number of minutes as hours and minutes, e.g. '7h 30m'
+ * @param {number} minutes - The duration in minutes
+ * @returns {string} The formatted duration
+ */
+function formatHours(minutes) {
+    return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+/**
+ * Describes who new requests currently ping
+ * @param {ServerConfig} config - The provider's configuration
+ * @param {number} onDutyCount - How many people are on duty
+ * @returns {string} The description
+ */
+function describePing(config, onDutyCount) {
+    if (onDutyCount === 0) {
+        return config?.securityRoleId
+            ? `Nobody is on duty, so new requests ping the whole <@&${config.securityRoleId}> role.`
+            : 'Nobody is on duty.';
+    }
+    return config?.onDutyRoleId
+        ? `New requests ping the <@&${config.onDutyRoleId}> role.`
+        : 'New requests ping the personnel on duty directly.';
+}
+
+/**
+ * Handles /duty on
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleOn(interaction) {
+    const { shift, started } = await startShift(interaction.guild, interaction.user.id, interaction.user.tag);
+    const since = Math.floor(new Date(shift.startedAt).getTime() / 1000);
+
+    return interaction.editReply({
+        content: started
+            ? '🟢 You are now on duty. New security requests will ping you. Use `/duty off` when your shift ends.'
+            : `You have been on duty since <t:${since}:f>.`
+    });
+}
+
+/**
+ * Handles /duty off, for yourself or, for managers, someone else
+ * @param {Object} interaction The interaction object.
+ * @param {boolean} isManager Whether the member is a server manager.
+ * @returns {Promise<void>}
+ */
+async function handleOff(interaction, isManager) {
+    const user = interaction.options.getUser('user') || interaction.user;
+    const isSelf = user.id === interaction.user.id;
+    if (!isSelf && !isManager) {
+        return interaction.editReply({ content: 'Only server managers can take someone else off duty.' });
+    }
+
+    const shift = await endShift(interaction.guild, user.id);
+    if (!shift) {
+        return interaction.editReply({ content: isSelf ? 'You are not on duty.' : `${user} is not on duty.` });
+    }
+
+    const worked = formatHours(Math.round((new Date(shift.endedAt) - new Date(shift.startedAt)) / 60000));
+    return interaction.editReply({
+        content: isSelf
+            ? `🔴 You are now off duty. Shift length: ${worked}.`
+            : `🔴 ${user} is now off duty. Shift length: ${worked}.`
+    });
+}
+
+/**
+ * Handles /duty status
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleStatus(interaction) {
+    const shifts = await getOnDutyShifts(interaction.guild.id);
+    const config = await getServerConfig(interaction.guild.id);
+
+    const lines = shifts.map(shift =>
+        `<@${shift.userId}> since <t:${Math.floor(new Date(shift.startedAt).getTime() / 1000)}:R>${shift.source === 'roster' ? ' (roster)' : ''}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(shifts.length > 0 ? 0x00FF00 : 0x808080)
+        .setTitle(`On Duty (${shifts.length})`)
+        .setDescription([lines.join('\n'), describePing(config, shifts.length)].filter(Boolean).join('\n\n').slice(0, 4096))
+        .setTimestamp()
+        .setFooter({ text: await getProviderName(interaction.guild.id, interaction.client) });
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handles /duty history: totals per person and the shifts as a CSV attachment
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleHistory(interaction) {
+    const fromValue = interaction.options.getString('from');
+    const toValue = interaction.options.getString('to');
+    const user = interaction.options.getUser('user');
+
+    let from;
+    let to;
+    try {
+        from = parseSearchDate(fromValue);
+        to = parseSearchDate(toValue, true);
+    } catch (error) {
+        return interaction.editReply({ content: error.message });
+    }
+    if (from > to) {
+        return interaction.editReply({ content: 'The start date must be on or before the end date.' });
+    }
+
+    const shifts = await getShiftHistory(interaction.guild.id, from, to, user?.id);
+    if (shifts.length === 0) {
+        return interaction.editReply({ content: `No shifts were worked between ${fromValue} and ${toValue}${user ? ` by ${user}` : ''}.` });
+    }
+
+    const totals = summariseShifts(shifts, from, to);
+    const lines = totals
+        .slice(0, TOP_ENTRIES)
+        .map(total => `<@${total.userId}>: **${formatHours(total.minutes)}** in ${total.shiftCount} shift${total.shiftCount === 1 ? '' : 's'}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle('Shift History')
+        .setDescription(`Hours on duty between ${fromValue} and ${toValue} (UTC). Shifts are clipped to the period; shifts in progress count until now.\n\n${lines.join('\n')}`.slice(0, 4096))
+        .setTimestamp()
+        .setFooter({ text: await getProviderName(interaction.guild.id, interaction.client) });
+
+    const records = shifts.map(shift => buildShiftRecord(shift, from, to));
+    const attachment = new AttachmentBuilder(Buffer.from(toCsv(records, SHIFT_EXPORT_COLUMNS), 'utf8'), {
+        name: `shifts-${fromValue}-to-${toValue}.csv`
+    });
+
+    console.log(`[INFO] ${interaction.user.tag} exported ${records.length} shifts (${fromValue} to ${toValue})`);
+    return interaction.editReply({ embeds: [embed], files: [attachment] });
+}
+
+/**
+ * Handles the roster subcommand group
+ * @param {Object} interaction The interaction object.
+ * @param {string} subcommand The roster subcommand.
+ * @returns {Promise<void>}
+ */
+async function handleRoster(interaction, subcommand) {
+    switch (subcommand) {
+        case 'add': {
+            const user = interaction.options.getUser('user');
+            const dayOfWeek = interaction.options.getInteger('day');
+            const startTime = interaction.options.getString('from').trim();
+            const endTime = interaction.options.getString('to').trim();
+
+            if (!isValidTime(startTime) || !isValidTime(endTime)) {
+                return interaction.editReply({ content: 'Please provide **from** and **to** as 24-hour UTC times (HH:MM), e.g. from:22:00 to:06:00.' });
+            }
+            if (startTime === endTime) {
+                return interaction.editReply({ content: 'A shift cannot start and end at the same time.' });
+            }
+
+            let entry;
+            try {
+                entry = await addRosterEntry(interaction.guild.id, { userId: user.id, dayOfWeek, startTime, endTime });
+            } catch (error) {
+                return interaction.editReply({ content: `${error.message}.` });
+            }
+
+            return interaction.editReply({
+                content: `Added ${user} to the roster: ${formatRosterEntry(entry)}. They go on and off duty automatically every ${DAY_NAMES[dayOfWeek]}.`
+            });
+        }
+
+        case 'remove': {
+            const entryId = interaction.options.getInteger('entry');
+            const entry = await removeRosterEntry(interaction.guild.id, entryId);
+            if (!entry) {
+                return interaction.editReply({ content: `There is no roster entry #${entryId}. Use \`/duty roster list\` to see the roster.` });
+            }
+            return interaction.editReply({ content: `Removed ${formatRosterEntry(entry)} from the roster.` });
+        }
+
+        case 'list': {
+            const roster = await getRoster(interaction.guild.id);
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle('Duty Roster')
+                .setDescription(roster.length > 0
+                    ? roster.map(formatRosterEntry).join('\n').slice(0, 4096)
+                    : 'The roster is empty. Managers can add shifts with `/duty roster add`.')
+                .setTimestamp()
+                .setFooter({ text: 'Times are in UTC' });
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+    }
+}
+
+module.exports = {
+    /**
+     * Command definition for /duty
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('duty')
+        .setDescription('Go on or off duty and manage the duty roster')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('on')
+                .setDescription('Go on duty; new security requests will ping you'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('off')
+                .setDescription('Go off duty')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Take someone else off duty (managers only)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show who is on duty'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('history')
+                .setDescription('Show hours on duty per person and export the shifts (managers only)')
+                .addStringOption(option =>
+                    option.setName('from')
+                        .setDescription('First day of the period (YYYY-MM-DD, UTC)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('to')
+                        .setDescription('Last day of the period (YYYY-MM-DD, UTC)')
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Only include this person\'s shifts')
+                        .setRequired(false)))
+        .addSubcommandGroup(group =>
+            group
+                .setName('roster')
+                .setDescription('Manage the weekly duty roster')
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('add')
+                        .setDescription('Add a weekly shift (managers only)')
+                        .addUserOption(option =>
+                            option.setName('user')
+                                .setDescription('Who is on duty')
+                                .setRequired(true))
+                        .addIntegerOption(option =>
+                            option.setName('day')
+                                .setDescription('Day the shift starts on (UTC)')
+                                .addChoices(...DAY_CHOICES)
+                                .setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('from')
+                                .setDescription('Start of the shift, HH:MM in UTC')
+                                .setMaxLength(5)
+                                .setRequired(true))
+                        .addStringOption(option =>
+                            option.setName('to')
+                                .setDescription('End of the shift, HH:MM in UTC (may be past midnight)')
+                                .setMaxLength(5)
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('remove')
+                        .setDescription('Remove a weekly shift (managers only)')
+                        .addIntegerOption(option =>
+                            option.setName('entry')
+                                .setDescription('The number of the shift, as shown by /duty roster list')
+                                .setMinValue(1)
+                                .setRequired(true)))
+                .addSubcommand(subcommand =>
+                    subcommand
+                        .setName('list')
+                        .setDescription('Show the weekly duty roster'))),
+
+    /**
+     * Executes the duty command.
+     * Only security personnel in a security provider's server can go on duty; managers can also change the
+     * roster, view the shift history and take others off duty.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /duty on
+     * // /duty off
+     * // /duty status
+     * // /duty history from:2025-01-01 to:2025-01-31
+     * // /duty roster add user:@Officer day:Friday from:22:00 to:06:00
+     * // /duty roster remove entry:4
+     * // /duty roster list
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!(await isProviderGuild(interaction.guildId))) {
+            return interaction.editReply({
+                content: 'This command can only be used in a security provider server.'
+            });
+        }
+
+        try {
+            const member = interaction.member instanceof GuildMember
+                ? interaction.member
+                : await interaction.guild.members.fetch(interaction.user.id);
+            const group = interaction.options.getSubcommandGroup(false);
+            const subcommand = interaction.options.getSubcommand();
+            const commandName = group ? `${group} ${subcommand}` : subcommand;
+
+            const isManager = await isServerManager(member);
+            if (MANAGER_SUBCOMMANDS.includes(commandName) && !isManager) {
+                return interaction.editReply({
+                    content: 'You do not have permission to use this command. Only server managers can change the roster and view the shift history.'
+                });
+            }
+
+            // Going on duty needs the security role; managers can also check and end shifts without it
+            const securityRoleId = await getSecurityRoleId(interaction.guild.id);
+            const isSecurity = Boolean(securityRoleId) && member.roles.cache.has(securityRoleId);
+            if (!MANAGER_SUBCOMMANDS.includes(commandName) && !isSecurity && !(isManager && commandName !== 'on')) {
+                return interaction.editReply({
+                    content: securityRoleId
+                        ? `You do not have permission to use this command. You need the <@&${securityRoleId}> role to go on duty.`
+                        : 'This server is not properly configured. Please ask an administrator to set up the security role using the /config-server command.'
+                });
+            }
+
+            switch (commandName) {
+                case 'on':
+                    return await handleOn(interaction);
+                case 'off':
+                    return await handleOff(interaction, isManager);
+                case 'status':
+                    return await handleStatus(interaction);
+                case 'history':
+                    return await handleHistory(interaction);
+                default:
+                    return await handleRoster(interaction, subcommand);
+            }
+        } catch (error) {
+            console.error(`[ERROR] Error handling /duty for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error updating the duty roster: ${error.message}`
+            });
+        }
+    },
+};
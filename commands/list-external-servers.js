@@ -11,6 +11,7 @@ const { ExternalServer, SecurityRequest, sequelize } = require('../database/mode
 const { Op } = require('sequelize');
 const { INACTIVITY_THRESHOLD_DAYS } = require('../database/server-utils');
 const { isDeveloper } = require('../database/dev-utils');
+const { isProviderGuild, getServerProviderId, getProviderName, getGuildProviderName } = require('../database/provider-utils');
 
 module.exports = {
     /**
@@ -37,19 +38,18 @@ module.exports = {
      * // /list-external-servers
      * // /list-external-servers show-inactive:true
      * //
-     * // This command can only be used in the main security server by administrators.
+     * // This command can only be used in a security provider server by administrators.
      * // It displays information about all customer servers that have set up the bot,
      * // including their activity status, channel configuration, and any pending requests.
      */
     async execute(interaction) {
         await interaction.deferReply({ ephemeral: true });
         
-        const mainGuildId = process.env.GUILD_ID;
-        
-        // Check if this command is being used in the main security server (bypass for developer)
-        if (interaction.guildId !== mainGuildId && !isDeveloper(interaction.user.id)) {
+        // Check if this command is being used in a security provider server (bypass for developer)
+        const isProvider = await isProviderGuild(interaction.guildId);
+        if (!isProvider && !isDeveloper(interaction.user.id)) {
             return interaction.editReply({
-                content: 'This command can only be used in the main security server.'
+                content: 'This command can only be used in a security provider server.'
             });
         }
         
@@ -71,6 +71,10 @@ module.exports = {
             
             // Query for servers based on active status
             const whereClause = showInactive ? {} : { isActive: true };
+            // Providers only see the servers subscribed to them, the developer sees all servers elsewhere
+            if (isProvider) {
+                whereClause.providerGuildId = interaction.guildId;
+            }
             const externalServers = await ExternalServer.findAll({
                 where: whereClause,
                 order: [['lastAccessed', 'DESC']]
@@ -138,7 +142,7 @@ module.exports = {
                 .setTitle('External Servers')
                 .setDescription(`${externalServers.length} external servers${showInactive ? ' (including inactive)' : ''}`)
                 .setTimestamp()
-                .setFooter({ text: 'VIG Security' });
+                .setFooter({ text: await getGuildProviderName(interaction.guildId, interaction.client) });
             
             // Add fields for each server (limit to 25 due to Discord embed limitations)
             const serversToShow = externalServers.slice(0, 25);
@@ -146,10 +150,17 @@ module.exports = {
             for (const server of serversToShow) {
                 const activeRequests = requestCountMap.get(server.guildId) || 0;
                 const lastAccessedDate = new Date(server.lastAccessed).toLocaleString();
+                const status = server.removedAt
+                    ? `⚫ Bot removed on ${new Date(server.removedAt).toLocaleString()}`
+                    : (server.isActive ? '🟢 Active' : '🔴 Inactive');
+                
+                const providerLine = isProvider
+                    ? ''
+                    : `\n**Provider:** ${await getProviderName(getServerProviderId(server), interaction.client)}`;
                 
                 embed.addFields({
                     name: server.guildName,
-                    value: `**ID:** ${server.guildId}\n**Channel:** <#${server.channelId}>\n**Status:** ${server.isActive ? '🟢 Active' : '🔴 Inactive'}\n**Active Requests:** ${activeRequests}\n**Last Activity:** ${lastAccessedDate}`
+                    value: `**ID:** ${server.guildId}\n**Channel:** <#${server.channelId}>\n**Status:** ${status}\n**Active Requests:** ${activeRequests}\n**Last Activity:** ${lastAccessedDate}${providerLine}`
                 });
             }
             
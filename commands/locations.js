@@ -0,0 +1,171 @@
+/**
+ * @file Location directory command
+ * @module CommandModules/Locations
+ * @description Lets managers maintain their server's location directory. The location option of
+ * /request-security and /request-external-security autocompletes from it, and responders see the zone
+ * and notes of a directory location on the alert. Works in security provider servers and customer servers.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, GuildMember } = require('discord.js');
+const { isServerManager } = require('../database/server-config-utils');
+const { getGuildProviderName } = require('../database/provider-utils');
+const {
+    MAX_LOCATIONS,
+    MAX_LOCATION_NAME_LENGTH,
+    getLocations,
+    addLocation,
+    removeLocation,
+    suggestLocations,
+    formatLocation
+} = require('../database/location-utils');
+
+/**
+ * Handles /locations add
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleAdd(interaction) {
+    const name = interaction.options.getString('name').trim();
+    const zone = interaction.options.getString('zone')?.trim() || null;
+    const notes = interaction.options.getString('notes')?.trim() || null;
+    if (!name) {
+        return interaction.editReply({ content: 'Please provide a location name.' });
+    }
+
+    let result;
+    try {
+        result = await addLocation(interaction.guild.id, { name, zone, notes });
+    } catch (error) {
+        return interaction.editReply({ content: `${error.message}. Remove locations that are no longer used first.` });
+    }
+
+    return interaction.editReply({
+        content: result.created
+            ? `Added **${result.location.name}** to the location directory. It is now suggested when requesting security.`
+            : `Updated **${result.location.name}** in the location directory.`
+    });
+}
+
+/**
+ * Handles /locations remove
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleRemove(interaction) {
+    const name = interaction.options.getString('name');
+    const location = await removeLocation(interaction.guild.id, name);
+    if (!location) {
+        return interaction.editReply({ content: `There is no location called "${name}". Use \`/locations list\` to see the directory.` });
+    }
+    return interaction.editReply({ content: `Removed **${location.name}** from the location directory. Earlier requests keep their location.` });
+}
+
+/**
+ * Handles /locations list
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleList(interaction) {
+    const locations = await getLocations(interaction.guild.id);
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle(`Location Directory (${locations.length}/${MAX_LOCATIONS})`)
+        .setDescription(locations.length > 0
+            ? locations.map(formatLocation).join('\n\n').slice(0, 4096)
+            : 'The directory is empty. Add locations with `/locations add`.')
+        .setTimestamp()
+        .setFooter({ text: await getGuildProviderName(interaction.guild.id, interaction.client) });
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+module.exports = {
+    /**
+     * Command definition for /locations
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('locations')
+        .setDescription('Manage the locations suggested when requesting security (managers only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add a location, or update the zone and notes of an existing one')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name of the location, e.g. North Tower')
+                        .setMaxLength(MAX_LOCATION_NAME_LENGTH)
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('zone')
+                        .setDescription('Zone or area the location is in')
+                        .setMaxLength(100)
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('notes')
+                        .setDescription('Notes for responders, e.g. how to get in')
+                        .setMaxLength(1000)
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a location')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('The location to remove')
+                        .setAutocomplete(true)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show the location directory')),
+
+    /**
+     * Suggests locations from the directory for the remove subcommand
+     * @param {Object} interaction The autocomplete interaction object.
+     * @returns {Promise<void>}
+     */
+    async autocomplete(interaction) {
+        await interaction.respond(await suggestLocations(interaction.guildId, interaction.options.getFocused()));
+    },
+
+    /**
+     * Executes the locations command.
+     * Only server managers can view and change the directory, as its notes are meant for responders.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /locations add name:North Tower zone:Harbour District notes:Entrance on the east side
+     * // /locations remove name:North Tower
+     * // /locations list
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const member = interaction.member instanceof GuildMember
+                ? interaction.member
+                : await interaction.guild.members.fetch(interaction.user.id);
+            if (!(await isServerManager(member))) {
+                return interaction.editReply({
+                    content: 'You do not have permission to use this command. Only server managers can manage the location directory.'
+                });
+            }
+
+            switch (interaction.options.getSubcommand()) {
+                case 'add':
+                    return await handleAdd(interaction);
+                case 'remove':
+                    return await handleRemove(interaction);
+                default:
+                    return await handleList(interaction);
+            }
+        } catch (error) {
+            console.error(`[ERROR] Error handling /locations for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error updating the location directory: ${error.message}`
+            });
+        }
+    },
+};
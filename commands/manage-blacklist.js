@@ -17,6 +17,7 @@ const {
 const { canBlacklistServers, getBlacklistRoleId } = require('../database/server-config-utils');
 const { ExternalServer } = require('../database/models');
 const { isDeveloper } = require('../database/dev-utils');
+const { isProviderGuild, getServerProviderId } = require('../database/provider-utils');
 
 module.exports = {
     /**
@@ -63,11 +64,11 @@ module.exports = {
      * // /manage-blacklist list
      */
     async execute(interaction) {
-        // Check if we're in the main security company server (bypass for developer)
-        const mainGuildId = process.env.GUILD_ID;
-        if (interaction.guild.id !== mainGuildId && !isDeveloper(interaction.user.id)) {
+        // Check if we're in a security provider server (bypass for developer)
+        const isProvider = await isProviderGuild(interaction.guild.id);
+        if (!isProvider && !isDeveloper(interaction.user.id)) {
             return interaction.reply({
-                content: 'This command can only be used in the main security company server.',
+                content: 'This command can only be used in a security provider server.',
                 ephemeral: true
             });
         }
@@ -93,6 +94,9 @@ module.exports = {
         }
 
         const subcommand = interaction.options.getSubcommand();
+        // Providers manage the servers subscribed to them, the developer manages all servers elsewhere
+        const providerGuildId = isProvider ? interaction.guild.id : null;
+        const isManagedServer = server => !providerGuildId || getServerProviderId(server) === providerGuildId;
 
         try {
             switch (subcommand) {
@@ -102,9 +106,9 @@ module.exports = {
                     
                     // Check if server exists in our database
                     const server = await ExternalServer.findByPk(serverId);
-                    if (!server) {
+                    if (!server || !isManagedServer(server)) {
                         return interaction.reply({
-                            content: 'This server is not registered in our system. Only servers that have already configured the security system can be blacklisted.',
+                            content: 'This server is not registered with this security provider. Only servers that have already configured the security system can be blacklisted.',
                             ephemeral: true
                         });
                     }
@@ -137,9 +141,9 @@ module.exports = {
                     
                     // Check if server exists in our database
                     const server = await ExternalServer.findByPk(serverId);
-                    if (!server) {
+                    if (!server || !isManagedServer(server)) {
                         return interaction.reply({
-                            content: 'This server is not registered in our system.',
+                            content: 'This server is not registered with this security provider.',
                             ephemeral: true
                         });
                     }
@@ -169,7 +173,7 @@ module.exports = {
                 
                 case 'list': {
                     // Get all blacklisted servers
-                    const blacklistedServers = await getBlacklistedServers();
+                    const blacklistedServers = await getBlacklistedServers(providerGuildId);
                     
                     if (blacklistedServers.length === 0) {
                         return interaction.reply({
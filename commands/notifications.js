@@ -0,0 +1,85 @@
+/**
+ * @file Notifications command
+ * @module CommandModules/Notifications
+ * @description Lets requesters choose whether the bot sends them a direct message when the first
+ * responder joins one of their security requests and when it is concluded. The preferences belong
+ * to the user, so they apply to requests made from any server.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getNotificationPreference, setNotificationPreference } = require('../database/notification-utils');
+
+/**
+ * Formats a notification setting for display
+ * @param {boolean} enabled - Whether the notification is on
+ * @returns {string} 'On' or 'Off'
+ */
+function formatSetting(enabled) {
+    return enabled ? '✅ On' : '❌ Off';
+}
+
+module.exports = {
+    /**
+     * Command definition for /notifications
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('notifications')
+        .setDescription('Choose which updates about your security requests are sent to you by DM')
+        .addBooleanOption(option =>
+            option.setName('first-responder')
+                .setDescription('DM me when the first responder joins one of my requests')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('concluded')
+                .setDescription('DM me, with the reason, when one of my requests is concluded')
+                .setRequired(false)),
+
+    /**
+     * Executes the notifications command.
+     * Updates the given settings, then shows the caller's current preferences. Without options it only
+     * shows them.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /notifications
+     * // /notifications first-responder:True concluded:True
+     * // /notifications concluded:False
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const updates = {
+                dmOnFirstResponder: interaction.options.getBoolean('first-responder'),
+                dmOnConclusion: interaction.options.getBoolean('concluded')
+            };
+            const changed = Object.values(updates).some(value => value !== null);
+
+            const preference = changed
+                ? await setNotificationPreference(interaction.user.id, updates)
+                : await getNotificationPreference(interaction.user.id);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle('Request Notifications')
+                .setDescription(changed
+                    ? 'Your notification preferences have been updated.'
+                    : 'These are the updates about your security requests you receive by DM.')
+                .addFields(
+                    { name: 'First responder joins', value: formatSetting(preference.dmOnFirstResponder), inline: true },
+                    { name: 'Request concluded', value: formatSetting(preference.dmOnConclusion), inline: true }
+                )
+                .setTimestamp()
+                .setFooter({ text: 'Make sure you allow direct messages from this server, or the updates cannot be delivered.' });
+
+            return interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            console.error(`[ERROR] Error updating notification preferences for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error updating your notification preferences: ${error.message}`
+            });
+        }
+    },
+};
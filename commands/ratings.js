@@ -0,0 +1,124 @@
+/**
+ * @file Ratings summary command
+ * @module CommandModules/Ratings
+ * @description Summarises the satisfaction ratings customers gave after their external requests were
+ * concluded, per responder and per customer server. Intended for account managers in a security
+ * provider's server.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, GuildMember } = require('discord.js');
+const { isServerManager } = require('../database/server-config-utils');
+const { formatStars, summariseRatings } = require('../database/rating-utils');
+const { isProviderGuild, getProviderName } = require('../database/provider-utils');
+
+/**
+ * Number of entries listed per ranking
+ * @type {number}
+ */
+const TOP_ENTRIES = 10;
+
+/**
+ * Formats an average rating with its stars and number of ratings
+ * @param {number} average - The average rating
+ * @param {number} count - How many ratings the average is based on
+ * @returns {string} e.g. '★★★★☆ 4.25 (8 ratings)'
+ */
+function formatAverage(average, count) {
+    return `${formatStars(average)} ${average.toFixed(2)} (${count} rating${count === 1 ? '' : 's'})`;
+}
+
+/**
+ * Formats a ranking of averages as a list
+ * @param {Array<{key: string, count: number, average: number}>} entries - Averages, best rated first
+ * @param {function(string): string} formatKey - Formats the label of one entry
+ * @returns {string} The list, or 'No ratings yet' when empty
+ */
+function formatRanking(entries, formatKey) {
+    if (entries.length === 0) return 'No ratings yet';
+    const lines = entries
+        .slice(0, TOP_ENTRIES)
+        .map(entry => `${formatKey(entry.key)}: ${formatAverage(entry.average, entry.count)}`);
+    return lines.join('\n').slice(0, 1024);
+}
+
+module.exports = {
+    /**
+     * Command definition for /ratings
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('ratings')
+        .setDescription('Summarise customer satisfaction ratings (managers only)')
+        .addStringOption(option =>
+            option.setName('server-id')
+                .setDescription('Only include ratings from this customer server')
+                .setRequired(false)),
+
+    /**
+     * Executes the ratings command.
+     * Only server managers in a security provider's server can view its ratings.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /ratings
+     * // /ratings server-id:123456789012345678
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!(await isProviderGuild(interaction.guildId))) {
+            return interaction.editReply({
+                content: 'This command can only be used in a security provider server.'
+            });
+        }
+
+        try {
+            const member = interaction.member instanceof GuildMember
+                ? interaction.member
+                : await interaction.guild.members.fetch(interaction.user.id);
+            if (!(await isServerManager(member))) {
+                return interaction.editReply({
+                    content: 'You do not have permission to use this command. Only server managers can view ratings.'
+                });
+            }
+
+            const externalGuildId = interaction.options.getString('server-id');
+            const summary = await summariseRatings({ providerGuildId: interaction.guildId, externalGuildId });
+
+            const embed = new EmbedBuilder()
+                .setColor(0xFFD700)
+                .setTitle('Customer Satisfaction Ratings')
+                .setTimestamp()
+                .setFooter({ text: await getProviderName(interaction.guildId, interaction.client) });
+
+            if (summary.count === 0) {
+                embed.setDescription(externalGuildId
+                    ? 'This customer server has not rated any requests yet.'
+                    : 'No requests have been rated yet.');
+                return interaction.editReply({ embeds: [embed] });
+            }
+
+            embed
+                .setDescription(`**Overall:** ${formatAverage(summary.average, summary.count)}`)
+                .addFields(
+                    { name: 'Per Responder', value: formatRanking(summary.byResponder, responderId => `<@${responderId}>`) },
+                    { name: 'Per Customer Server', value: formatRanking(summary.byServer, name => name) }
+                );
+
+            if (summary.recentComments.length > 0) {
+                const comments = summary.recentComments
+                    .map(request => `${formatStars(request.rating)} *"${request.ratingComment.slice(0, 150)}"* – ${request.externalServer?.guildName || 'Unknown Server'}`)
+                    .join('\n');
+                embed.addFields({ name: 'Recent Comments', value: comments.slice(0, 1024) });
+            }
+
+            return interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            console.error(`[ERROR] Error summarising ratings for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error retrieving the ratings: ${error.message}`
+            });
+        }
+    },
+};
@@ -2,14 +2,293 @@
  * @file External security request command
  * @module CommandModules/ExternalSecurityRequest
  * @description Allows users in external (customer) servers to request security assistance
- * from the main Arcani Security server. This command is ONLY intended for customer Discord servers,
- * not the main Arcani security server. Creates alerts in both servers and tracks requests in the database.
+ * from the security provider their server subscribes to. This command is ONLY intended for customer Discord
+ * servers, not security provider servers. Creates alerts in both servers and tracks requests in the database.
+ * Requests can be made with the command options or with the request form, which asks for more about the situation.
  */
 
-const { SlashCommandBuilder, EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const { SlashCommandBuilder } = require('discord.js');
 const { ExternalServer, SecurityRequest } = require('../database/models');
 const { markServerActive } = require('../database/server-utils');
+const { renderSecurityMessage, renderExternalMessage, openRequestThread } = require('../database/request-utils');
+const { openRelayThread } = require('../database/relay-utils');
+const { recordRequestEvent } = require('../database/request-events');
+const { PRIORITY_CHOICES, buildPriorityPing } = require('../database/request-priorities');
 const { getSecurityRoleId, getAlertChannelId, getServerConfig } = require('../database/server-config-utils');
+const { isProviderGuild, getServerProviderId, getProviderName } = require('../database/provider-utils');
+const { resolveAlertRoute, describeAlertRoute } = require('../database/routing-utils');
+const { getSecurityPing } = require('../database/duty-utils');
+const { suggestLocations, resolveLocationName } = require('../database/location-utils');
+const { buildRequestFormModal, readRequestForm } = require('../database/request-form');
+const { checkRateLimit, recordRateLimitHit, formatRateLimitError } = require('../database/rate-limit-utils');
+
+/**
+ * Checks that this server is set up for security requests and that the member may make them here
+ * @param {Object} interaction The command or modal submit interaction object.
+ * @returns {Promise<{error?: string, providerGuildId?: string, providerName?: string}>} A user-facing error,
+ * or the provider the request goes to
+ */
+async function checkRequester(interaction) {
+    // Check if command is being used in a security provider's server
+    if (await isProviderGuild(interaction.guild.id)) {
+        return { error: '⚠️ This command is only for use in customer Discord servers, not in a security provider server. If you need security assistance here, please use `/request-security` instead.' };
+    }
+
+    // Check if this server is registered in our database
+    const externalServer = await ExternalServer.findByPk(interaction.guild.id);
+    if (!externalServer) {
+        return { error: 'This server has not been set up for security requests. An administrator needs to use the `/setup-security-channel` command first to register with a security provider.' };
+    }
+
+    // Servers that removed the bot have to be set up again after re-inviting it
+    if (externalServer.removedAt) {
+        return { error: 'This server removed the bot, so its security request setup has ended. An administrator needs to use the `/setup-security-channel` command to set it up again before requests can be made.' };
+    }
+
+    // Requests go to the provider this server subscribes to
+    const providerGuildId = getServerProviderId(externalServer);
+    const providerName = await getProviderName(providerGuildId, interaction.client);
+    const alertChannelId = providerGuildId ? await getAlertChannelId(providerGuildId) : null;
+    const securityRoleId = providerGuildId ? await getSecurityRoleId(providerGuildId) : null;
+
+    if (!providerGuildId || !alertChannelId || !securityRoleId) {
+        console.error(`Error: Missing required configuration in provider server ${providerGuildId}.`);
+        return { error: `${providerName}'s security server is not fully configured. Please contact ${providerName} administrators.` };
+    }
+
+    // Check if the server is blacklisted
+    if (externalServer.isBlacklisted) {
+        return { error: `⛔ This server has been blacklisted from using security services. Reason: ${externalServer.blacklistReason || 'No reason provided'}. If you believe this is in error, please contact ${providerName} administrators.` };
+    }
+
+    // Check if the command is being used in the designated channel
+    if (interaction.channelId !== externalServer.channelId) {
+        return { error: `You can only use this command in the designated security request channel: <#${externalServer.channelId}>` };
+    }
+    
+    // Check if role requirements exist and if the user has one of the required roles
+    const allowedRoleIds = externalServer.allowedRoleIds || [];
+    if (allowedRoleIds.length > 0) {
+        const memberRoles = interaction.member.roles.cache;
+        const hasRequiredRole = memberRoles.some(role => allowedRoleIds.includes(role.id));
+        
+        if (!hasRequiredRole) {
+            // Get the role names for a more helpful error message
+            const roleNames = allowedRoleIds
+                .map(id => {
+                    const role = interaction.guild.roles.cache.get(id);
+                    return role ? `<@&${id}>` : `Unknown Role (${id})`;
+                })
+                .join(', ');
+            
+            return { error: `You do not have permission to use this command. You need one of these roles: ${roleNames}` };
+        }
+    }
+
+    return { providerGuildId, providerName };
+}
+
+/**
+ * Checks that a new request stays within the provider's rate limits, so users and servers cannot flood the
+ * provider's alert channel. Checked before the request form is shown, so a form is not filled in for nothing,
+ * and again when it is sent, as several forms can be opened at once.
+ * @param {Object} interaction The command or button interaction object.
+ * @param {Object} provider The provider the request goes to, from checkRequester.
+ * @param {string} priority The priority of the request.
+ * @returns {Promise<string|null>} A user-facing error, or null if the request may be made
+ */
+async function checkRequestRate(interaction, { providerGuildId, providerName }, priority) {
+    const requester = { userId: interaction.user.id, externalGuildId: interaction.guild.id };
+    const rateLimit = await checkRateLimit(providerGuildId, { ...requester, priority });
+    if (!rateLimit) return null;
+
+    await recordRateLimitHit(interaction.client, providerGuildId, rateLimit, {
+        ...requester,
+        userName: interaction.user.tag || interaction.user.username,
+        guildName: interaction.guild.name
+    });
+    return formatRateLimitError(rateLimit, providerName);
+}
+
+/**
+ * Posts the confirmation in this server and sends the request to the provider's alert channel, records it
+ * in the database and opens the discussion (and relay) threads. Used by both the command options and the
+ * request form.
+ * @param {Object} interaction The command or modal submit interaction object.
+ * @param {Object} provider The provider the request goes to, from checkRequester.
+ * @param {string} provider.providerGuildId The provider's guild ID.
+ * @param {string} provider.providerName The provider's name.
+ * @param {Object} values The request.
+ * @param {string} values.location Where security is needed.
+ * @param {string} values.priority The priority of the request.
+ * @param {string} values.details Details about the situation.
+ * @param {string} values.contact Contact information.
+ * @param {boolean} [values.relayEnabled=false] Whether to open a relay thread on the confirmation.
+ * @param {number|null} [values.peopleInvolved] Number of people involved, from the request form.
+ * @param {boolean|null} [values.anyoneInjured] Whether anyone is injured, from the request form.
+ * @returns {Promise<void>}
+ */
+async function submitRequest(interaction, { providerGuildId, providerName }, { location: locationInput, priority, details, contact, relayEnabled = false, peopleInvolved = null, anyoneInjured = null }) {
+    try {
+        // Mark server as active and update lastAccessed timestamp
+        await markServerActive(interaction.guild.id);
+
+        const location = await resolveLocationName(interaction.guild.id, locationInput);
+        const requester = interaction.user;
+        const sourceGuild = interaction.guild.name;
+
+        // Build the request record; both messages are rendered from it
+        const request = SecurityRequest.build({
+            requestId: interaction.id,
+            isExternal: true,
+            requesterId: requester.id,
+            requesterName: requester.tag || requester.username,
+            location: location,
+            details: details,
+            contact: contact,
+            peopleInvolved: peopleInvolved,
+            anyoneInjured: anyoneInjured,
+            priority: priority,
+            relayEnabled: relayEnabled,
+            externalGuildId: interaction.guild.id,
+            providerGuildId: providerGuildId,
+            status: 'pending',
+            responders: []
+        });
+
+        // First, reply to the command user in their server
+        await interaction.reply({
+            content: 'Your security request is being processed...',
+            ephemeral: true
+        });
+
+        // Send the local confirmation to the channel
+        const localMessage = await interaction.channel.send(
+            await renderExternalMessage(interaction.client, request)
+        );
+
+        // Find the provider's guild and alert channel
+        const providerGuild = interaction.client.guilds.cache.get(providerGuildId);
+        if (!providerGuild) {
+            console.error(`Error: Could not find the provider guild with ID ${providerGuildId}`);
+            await interaction.followUp({
+                content: `Failed to send your request to ${providerName}. Please contact them directly.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Check if the bot is a member of the provider's guild
+        try {
+            await providerGuild.members.fetch(interaction.client.user.id);
+        } catch (error) {
+            console.error(`Bot is not a member of the provider's security guild: ${error.message}`);
+            await interaction.followUp({
+                content: `Security server configuration error: Bot is not a member of ${providerName}'s security server. Please contact your administrator.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Routing rules can send the alert to another team's channel
+        const config = await getServerConfig(providerGuildId);
+        const route = await resolveAlertRoute(providerGuild, config, {
+            externalGuildId: interaction.guild.id,
+            location,
+            details
+        });
+        request.securityChannelId = route.channelId;
+        request.pingRoleId = route.roleId;
+
+        let alertChannel;
+        try {
+            alertChannel = await providerGuild.channels.fetch(route.channelId);
+            if (!alertChannel) {
+                throw new Error('Channel not found');
+            }
+            
+            // Verify bot has access to the channel
+            const botMember = await providerGuild.members.fetch(interaction.client.user.id);
+            const permissions = alertChannel.permissionsFor(botMember);
+            
+            if (!permissions.has('ViewChannel') || !permissions.has('SendMessages')) {
+                throw new Error('Missing permissions in alert channel');
+            }
+        } catch (error) {
+            console.error(`Error accessing the alert channel: ${error.message}`);
+            await interaction.followUp({
+                content: `Failed to send your request to ${providerName}. The bot does not have proper access to the security channel.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Send the request to the security server
+        let securityMessage;
+        try {
+            // The priority decides which roles are pinged; only the personnel on duty are pinged if anyone is
+            const securityPing = await getSecurityPing(providerGuildId, config, route.roleId);
+            securityMessage = await alertChannel.send({
+                content: buildPriorityPing(priority, config, `New security request from external server ${sourceGuild}!`, securityPing),
+                ...(await renderSecurityMessage(request))
+            });
+        } catch (error) {
+            console.error(`Error sending message to security channel: ${error.message}`);
+            await interaction.followUp({
+                content: `Failed to send your request to ${providerName} due to a permissions issue. Please contact your security company administrator.`,
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Store the request in the database
+        try {
+            request.externalMessageId = localMessage.id;
+            request.securityMessageId = securityMessage ? securityMessage.id : null;
+            await request.save();
+            await recordRequestEvent(request.requestId, 'created', {
+                actorId: requester.id,
+                actorName: request.requesterName,
+                details: [`From ${sourceGuild}`, describeAlertRoute(route)].filter(Boolean).join('. ')
+            });
+
+            // Open a discussion thread for responders on the alert message
+            await openRequestThread(securityMessage, request);
+
+            // Connect the requester's thread to the discussion thread if they opted in
+            if (relayEnabled) {
+                await openRelayThread(localMessage, request);
+            }
+        } catch (error) {
+            console.error(`Error storing security request in database: ${error.message}`);
+            // Continue execution - the request has been sent even if DB storage fails
+        }
+
+        // Update the ephemeral reply
+        await interaction.followUp({
+            content: 'Your security request has been sent successfully!',
+            ephemeral: true
+        });
+    } catch (error) {
+        console.error(`Error sending external security request: ${error}`);
+        try {
+            // Check if the interaction has already been replied to
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp({
+                    content: `Error sending your security request: ${error.message}`,
+                    ephemeral: true
+                });
+            } else {
+                await interaction.reply({
+                    content: `Error sending your security request: ${error.message}`,
+                    ephemeral: true
+                });
+            }
+        } catch (replyError) {
+            console.error(`Failed to send error reply: ${replyError.message}`);
+        }
+    }
+}
 
 module.exports = {
     /**
@@ -18,280 +297,136 @@ module.exports = {
      */
     data: new SlashCommandBuilder()
         .setName('request-external-security')
-        .setDescription('Request security assistance from VIG Security (customer servers only)')
+        .setDescription('Request security assistance from your security provider (customer servers only)')
+        .addStringOption(option =>
+            option.setName('priority')
+                .setDescription('How urgent the situation is.')
+                .setRequired(true)
+                .addChoices(...PRIORITY_CHOICES))
         .addStringOption(option =>
             option.setName('location')
-                .setDescription('The location where security is needed.')
-                .setRequired(true))
+                .setDescription('The location where security is needed. Leave empty to fill in the request form.')
+                .setAutocomplete(true)
+                .setRequired(false))
         .addStringOption(option =>
             option.setName('details')
-                .setDescription('Details about the situation.')
-                .setRequired(true))
+                .setDescription('Details about the situation. Leave empty to fill in the request form.')
+                .setRequired(false))
         .addStringOption(option =>
             option.setName('contact')
-                .setDescription('Contact information (phone, email, etc.)')
-                .setRequired(true)),
-    
+                .setDescription('Contact information (phone, email, etc.). Leave empty to fill in the request form.')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('relay')
+                .setDescription('Open a thread here to talk with the responding security personnel.')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('form')
+                .setDescription('Open the request form to tell us more (people involved, injuries).')
+                .setRequired(false)),
+
+    /**
+     * Suggests locations from this server's location directory; any other location can still be typed
+     * @param {Object} interaction The autocomplete interaction object.
+     * @returns {Promise<void>}
+     */
+    async autocomplete(interaction) {
+        await interaction.respond(await suggestLocations(interaction.guildId, interaction.options.getFocused()));
+    },
+
     /**
      * Executes the request-external-security command.
-     * Allows users in external (customer) servers to send security requests to the main server.
-     * This command is only for customer Discord servers, not the main Arcani security server.
+     * Allows users in external (customer) servers to send security requests to their security provider's server.
+     * When asked for, or when the location, details or contact are missing, the request form is opened instead;
+     * it is submitted through submitForm.
+     * This command is only for customer Discord servers, not security provider servers.
      * @param {Object} interaction The interaction object.
      * @returns {Promise<void>}
      * @example
      * // Example usage:
-     * // /request-external-security location:North Building details:Suspicious activity in parking lot contact:Extension 4422
+     * // /request-external-security priority:Urgent location:North Building details:Suspicious activity in parking lot contact:Extension 4422 relay:True
+     * // /request-external-security priority:Emergency form:True
      * // 
      * // This creates:
      * // 1. A confirmation message in the external server
-     * // 2. A request in the main security server with buttons for personnel to respond
-     * // 3. A database entry tracking the request status
+     * // 2. A request in the security provider's server with buttons for personnel to respond
+     * // 3. A discussion thread on that request for the responders
+     * // 4. With relay enabled, a thread on the confirmation message that is mirrored to the discussion thread
+     * // 5. A database entry tracking the request status
      */
     async execute(interaction) {
-        // Get the main guild ID from the guild with primary server configuration
-        const mainGuildId = process.env.GUILD_ID;
-        
-        // Check if command is being used in the main Arcani server
-        if (interaction.guild.id === mainGuildId) {
-            return interaction.reply({ 
-                content: '⚠️ This command is only for use in customer Discord servers, not the main VIG security server. If you need security assistance in the main server, please use `/request-security` instead.',
-                ephemeral: true 
-            });
+        const provider = await checkRequester(interaction);
+        if (provider.error) {
+            return interaction.reply({ content: provider.error, ephemeral: true });
         }
-        
-        // Fetch alertChannelId and securityRoleId from the main guild's configuration
-        const alertChannelId = await getAlertChannelId(mainGuildId);
-        const securityRoleId = await getSecurityRoleId(mainGuildId);
-
-        if (!mainGuildId || !alertChannelId || !securityRoleId) {
-            console.error('Error: Missing required configuration in main server.');
-            return interaction.reply({ 
-                content: 'The main security server is not fully configured. Please contact VIG Security administrators.',
-                ephemeral: true 
-            });
-        }
-
-        try {
-            // Check if this server is registered in our database
-            const externalServer = await ExternalServer.findByPk(interaction.guild.id);
-            if (!externalServer) {
-                return interaction.reply({
-                    content: 'This server has not been set up for security requests. An administrator needs to use the `/setup-security-channel` command first to register with VIG Security.',
-                    ephemeral: true
-                });
-            }
 
-            // Check if the server is blacklisted
-            if (externalServer.isBlacklisted) {
-                return interaction.reply({
-                    content: `⛔ This server has been blacklisted from using security services. Reason: ${externalServer.blacklistReason || 'No reason provided'}. If you believe this is in error, please contact VIG Security administrators.`,
-                    ephemeral: true
-                });
-            }
-
-            // Check if the command is being used in the designated channel
-            if (interaction.channelId !== externalServer.channelId) {
-                return interaction.reply({
-                    content: `You can only use this command in the designated security request channel: <#${externalServer.channelId}>`,
-                    ephemeral: true
-                });
-            }
-            
-            // Check if role requirements exist and if the user has one of the required roles
-            const allowedRoleIds = externalServer.allowedRoleIds || [];
-            if (allowedRoleIds.length > 0) {
-                const memberRoles = interaction.member.roles.cache;
-                const hasRequiredRole = memberRoles.some(role => allowedRoleIds.includes(role.id));
-                
-                if (!hasRequiredRole) {
-                    // Get the role names for a more helpful error message
-                    const roleNames = allowedRoleIds
-                        .map(id => {
-                            const role = interaction.guild.roles.cache.get(id);
-                            return role ? `<@&${id}>` : `Unknown Role (${id})`;
-                        })
-                        .join(', ');
-                    
-                    return interaction.reply({
-                        content: `You do not have permission to use this command. You need one of these roles: ${roleNames}`,
-                        ephemeral: true
-                    });
-                }
-            }
+        const priority = interaction.options.getString('priority');
+        const location = interaction.options.getString('location');
+        const details = interaction.options.getString('details');
+        const contact = interaction.options.getString('contact');
+        const relayEnabled = interaction.options.getBoolean('relay') ?? false;
 
-            // Mark server as active and update lastAccessed timestamp
-            await markServerActive(interaction.guild.id);
-
-            const location = interaction.options.getString('location');
-            const details = interaction.options.getString('details');
-            const contact = interaction.options.getString('contact');
-            const requester = interaction.user;
-            const sourceGuild = interaction.guild.name;
-
-            // --- Create local confirmation embed ---
-            const localEmbed = new EmbedBuilder()
-                .setColor(0x0099FF)
-                .setTitle('Security Request Sent')
-                .addFields(
-                    { name: 'Location', value: location },
-                    { name: 'Details', value: details },
-                    { name: 'Contact', value: contact },
-                    { name: 'Status', value: 'Your request has been sent to VIG Security' }
-                )
-                .setTimestamp()
-                .setFooter({ text: `Request ID: ${interaction.id}` });
-
-            // --- Create remote request embed for the security server ---
-            const remoteEmbed = new EmbedBuilder()
-                .setColor(0xFF0000)
-                .setTitle('🚨 External Security Request 🚨')
-                .setAuthor({ name: `${requester.tag || requester.username} from ${sourceGuild}`, iconURL: requester.displayAvatarURL() })
-                .addFields(
-                    { name: 'Source Server', value: sourceGuild },
-                    { name: 'Location', value: location },
-                    { name: 'Details', value: details },
-                    { name: 'Contact', value: contact },
-                    { name: 'Requester', value: `${requester.tag || requester.username} (${requester.id})` },
-                    { name: 'Responding Security', value: 'None yet.' }
-                )
-                .setTimestamp()
-                .setFooter({ text: `Request ID: ${interaction.id}` });
-
-            // --- Create response buttons ---
-            const respondButton = new ButtonBuilder()
-                .setCustomId(`extrespond_${interaction.id}_${interaction.guild.id}`)
-                .setLabel('Respond')
-                .setStyle(ButtonStyle.Success)
-                .setEmoji('✅');
-
-            const concludeButton = new ButtonBuilder()
-                .setCustomId(`extconclude_${interaction.id}_${interaction.guild.id}`)
-                .setLabel('Conclude Request')
-                .setStyle(ButtonStyle.Danger)
-                .setEmoji('✖️');
-
-            const row = new ActionRowBuilder()
-                .addComponents(respondButton, concludeButton);
-
-            // First, reply to the command user in their server
-            await interaction.reply({
-                content: 'Your security request is being processed...',
-                ephemeral: true
-            });
+        const rateLimitError = await checkRequestRate(interaction, provider, priority);
+        if (rateLimitError) {
+            return interaction.reply({ content: rateLimitError, ephemeral: true });
+        }
 
-            // Send the local confirmation to the channel
-            const localMessage = await interaction.channel.send({
-                embeds: [localEmbed]
-            });
+        if (interaction.options.getBoolean('form') || !location || !details || !contact) {
+            return interaction.showModal(buildRequestFormModal(priority, {
+                isExternal: true,
+                relay: relayEnabled,
+                values: { location, details, contact }
+            }));
+        }
 
-            // Find the main guild and alert channel
-            const mainGuild = interaction.client.guilds.cache.get(mainGuildId);
-            if (!mainGuild) {
-                console.error(`Error: Could not find the main guild with ID ${mainGuildId}`);
-                await interaction.followUp({
-                    content: 'Failed to send your request to VIG Security. Please contact them directly.',
-                    ephemeral: true
-                });
-                return;
-            }
+        return submitRequest(interaction, provider, { location, priority, details, contact, relayEnabled });
+    },
 
-            // Check if the bot is a member of the main guild
-            try {
-                await mainGuild.members.fetch(interaction.client.user.id);
-            } catch (error) {
-                console.error(`Bot is not a member of the main security guild: ${error.message}`);
-                await interaction.followUp({
-                    content: 'Security server configuration error: Bot is not a member of the main security server. Please contact your administrator.',
-                    ephemeral: true
-                });
-                return;
-            }
+    /**
+     * Opens the request form from the request panel, after the same checks as the command.
+     * @param {Object} interaction The button interaction object.
+     * @param {Object} form The choices made on the panel.
+     * @param {string} form.priority The priority of the request.
+     * @returns {Promise<void>}
+     */
+    async openForm(interaction, { priority }) {
+        const provider = await checkRequester(interaction);
+        if (provider.error) {
+            return interaction.reply({ content: provider.error, ephemeral: true });
+        }
 
-            let alertChannel;
-            try {
-                alertChannel = await mainGuild.channels.fetch(alertChannelId);
-                if (!alertChannel) {
-                    throw new Error('Channel not found');
-                }
-                
-                // Verify bot has access to the channel
-                const botMember = await mainGuild.members.fetch(interaction.client.user.id);
-                const permissions = alertChannel.permissionsFor(botMember);
-                
-                if (!permissions.has('ViewChannel') || !permissions.has('SendMessages')) {
-                    throw new Error('Missing permissions in alert channel');
-                }
-            } catch (error) {
-                console.error(`Error accessing the alert channel: ${error.message}`);
-                await interaction.followUp({
-                    content: 'Failed to send your request to VIG Security. The bot does not have proper access to the security channel.',
-                    ephemeral: true
-                });
-                return;
-            }
+        const rateLimitError = await checkRequestRate(interaction, provider, priority);
+        if (rateLimitError) {
+            return interaction.reply({ content: rateLimitError, ephemeral: true });
+        }
 
-            // Send the request to the security server
-            let securityMessage;
-            try {
-                securityMessage = await alertChannel.send({
-                    content: `<@&${securityRoleId}> New security request from external server ${sourceGuild}!`,
-                    embeds: [remoteEmbed],
-                    components: [row]
-                });
-            } catch (error) {
-                console.error(`Error sending message to security channel: ${error.message}`);
-                await interaction.followUp({
-                    content: 'Failed to send your request to VIG Security due to a permissions issue. Please contact your security company administrator.',
-                    ephemeral: true
-                });
-                return;
-            }
+        return interaction.showModal(buildRequestFormModal(priority, { isExternal: true }));
+    },
 
-            // Store the request in the database
-            try {
-                await SecurityRequest.create({
-                    requestId: interaction.id,
-                    isExternal: true,
-                    requesterId: requester.id,
-                    requesterName: requester.tag || requester.username,
-                    location: location,
-                    details: details,
-                    contact: contact,
-                    externalGuildId: interaction.guild.id,
-                    externalMessageId: localMessage.id,
-                    securityMessageId: securityMessage ? securityMessage.id : null,
-                    status: 'pending',
-                    responders: JSON.stringify([])  // Store as JSON string for SQLite compatibility
-                });
-            } catch (error) {
-                console.error(`Error storing security request in database: ${error.message}`);
-                // Continue execution - the request has been sent even if DB storage fails
-            }
+    /**
+     * Sends the request from a submitted request form, after the same checks as the command.
+     * @param {Object} interaction The modal submit interaction object.
+     * @param {Object} form The choices made before the form was opened.
+     * @param {string} form.priority The priority of the request.
+     * @param {boolean} form.relay Whether to open a relay thread on the confirmation.
+     * @returns {Promise<void>}
+     */
+    async submitForm(interaction, { priority, relay }) {
+        const provider = await checkRequester(interaction);
+        if (provider.error) {
+            return interaction.reply({ content: provider.error, ephemeral: true });
+        }
 
-            // Update the ephemeral reply
-            await interaction.followUp({
-                content: 'Your security request has been sent successfully!',
-                ephemeral: true
-            });
+        const form = readRequestForm(interaction.fields);
+        if (form.error) {
+            return interaction.reply({ content: form.error, ephemeral: true });
+        }
 
-        } catch (error) {
-            console.error(`Error sending external security request: ${error}`);
-            try {
-                // Check if the interaction has already been replied to
-                if (interaction.replied || interaction.deferred) {
-                    await interaction.followUp({
-                        content: `Error sending your security request: ${error.message}`,
-                        ephemeral: true
-                    });
-                } else {
-                    await interaction.reply({
-                        content: `Error sending your security request: ${error.message}`,
-                        ephemeral: true
-                    });
-                }
-            } catch (replyError) {
-                console.error(`Failed to send error reply: ${replyError.message}`);
-            }
+        const rateLimitError = await checkRequestRate(interaction, provider, priority);
+        if (rateLimitError) {
+            return interaction.reply({ content: rateLimitError, ephemeral: true });
         }
+
+        return submitRequest(interaction, provider, { ...form.values, priority, relayEnabled: relay });
     },
-};
\ No newline at end of file
+};
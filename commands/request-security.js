@@ -2,13 +2,25 @@
 /**
  * @file Security request command
  * @module CommandModules/RequestSecurity
- * @description Allows customers in the main Arcani security server to request on-site security assistance.
- * This command is ONLY intended for use within the main Arcani Discord server, not external customer servers.
- * It creates an alert in the configured security channel and allows security personnel to respond.
+ * @description Allows customers in a security provider's server to request on-site security assistance.
+ * This command is ONLY intended for use within security provider servers, not external customer servers.
+ * It creates an alert in the configured security channel (or the channel of a matching routing rule) and
+ * allows security personnel to respond. Requests can be made with the command options or with the
+ * request form, which asks for more about the situation.
  */
 
-const { SlashCommandBuilder, EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, PermissionsBitField, GuildMember } = require('discord.js');
-const { getCustomerRoleId, getSecurityRoleId, getAlertChannelId } = require('../database/server-config-utils');
+const { SlashCommandBuilder, PermissionsBitField, GuildMember } = require('discord.js');
+const { SecurityRequest } = require('../database/models');
+const { renderSecurityMessage, openRequestThread } = require('../database/request-utils');
+const { recordRequestEvent } = require('../database/request-events');
+const { buildRequesterComponents } = require('../database/request-embeds');
+const { PRIORITY_CHOICES, buildPriorityPing } = require('../database/request-priorities');
+const { getCustomerRoleId, getSecurityRoleId, getAlertChannelId, getServerConfig } = require('../database/server-config-utils');
+const { isProviderGuild } = require('../database/provider-utils');
+const { resolveAlertRoute, describeAlertRoute } = require('../database/routing-utils');
+const { getSecurityPing } = require('../database/duty-utils');
+const { suggestLocations, resolveLocationName } = require('../database/location-utils');
+const { buildRequestFormModal, readRequestForm } = require('../database/request-form');
 
 /**
  * @typedef {Object} CommandInteraction
@@ -20,6 +32,142 @@ const { getCustomerRoleId, getSecurityRoleId, getAlertChannelId } = require('../
  * @description Discord.js GuildMember object
  */
 
+/**
+ * @typedef {Object} ButtonInteraction
+ * @description Discord.js ButtonInteraction object
+ */
+
+/**
+ * @typedef {Object} ModalSubmitInteraction
+ * @description Discord.js ModalSubmitInteraction object
+ */
+
+/**
+ * Checks that this server takes security requests and that the member may make them
+ * @param {CommandInteraction|ModalSubmitInteraction} interaction The interaction object.
+ * @returns {Promise<string|null>} A user-facing error, or null if the request can be made
+ */
+async function checkRequester(interaction) {
+    // Check if this is a security provider's server
+    if (!(await isProviderGuild(interaction.guild.id))) {
+        return '⚠️ This command is only for use within a security provider server. If you are in a customer server and need security assistance, please use `/request-external-security` instead.';
+    }
+
+    // Fetch configuration from database
+    const customerRoleId = await getCustomerRoleId(interaction.guild.id);
+    const securityRoleId = await getSecurityRoleId(interaction.guild.id);
+    const alertChannelId = await getAlertChannelId(interaction.guild.id);
+
+    if (!customerRoleId || !securityRoleId || !alertChannelId) {
+        console.error(`Error: Missing required configuration for server ${interaction.guild.id}.`);
+        return 'This server is not fully configured for security requests. An administrator needs to set up the customer role, security role, and alert channel using the /config-server command.';
+    }
+
+    // Ensure the member object is fetched
+    const member = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
+
+    // Check if the user has the customer role
+    if (!member.roles.cache.has(customerRoleId)) {
+        return `You do not have permission to use this command. You need the <@&${customerRoleId}> role to request security assistance.`;
+    }
+
+    return null;
+}
+
+/**
+ * Sends a security request to the alert channel, records it in the database and opens a discussion thread
+ * on the alert. Used by both the command options and the request form.
+ * @param {CommandInteraction|ModalSubmitInteraction} interaction The interaction object.
+ * @param {Object} values The request.
+ * @param {string} values.location Where security is needed.
+ * @param {string} values.priority The priority of the request.
+ * @param {string} values.details Details about the situation.
+ * @param {string|null} [values.contact] Contact information, from the request form.
+ * @param {number|null} [values.peopleInvolved] Number of people involved, from the request form.
+ * @param {boolean|null} [values.anyoneInjured] Whether anyone is injured, from the request form.
+ * @returns {Promise<void>}
+ */
+async function submitRequest(interaction, { location: locationInput, priority, details, contact = null, peopleInvolved = null, anyoneInjured = null }) {
+    // Routing, the duty lookup, the alert and its thread can take longer than Discord waits for a reply
+    await interaction.deferReply({ ephemeral: true });
+
+    const location = await resolveLocationName(interaction.guild.id, locationInput);
+    const requester = interaction.user;
+
+    // Routing rules can send the alert to another team's channel
+    const config = await getServerConfig(interaction.guild.id);
+    const route = await resolveAlertRoute(interaction.guild, config, { location, details });
+
+    // Build the request record; the alert message is rendered from it
+    const request = SecurityRequest.build({
+        requestId: interaction.id, // Use interaction ID as a unique request ID
+        isExternal: false,
+        requesterId: requester.id,
+        requesterName: requester.tag || requester.username,
+        location: location,
+        details: details,
+        contact: contact,
+        peopleInvolved: peopleInvolved,
+        anyoneInjured: anyoneInjured,
+        priority: priority,
+        providerGuildId: interaction.guild.id,
+        securityChannelId: route.channelId,
+        pingRoleId: route.roleId,
+        status: 'pending',
+        responders: []
+    });
+
+    // --- Send to Alert Channel ---
+    try {
+        const alertChannel = await interaction.client.channels.fetch(route.channelId);
+        if (!alertChannel || !alertChannel.isTextBased()) {
+             console.error(`Error: Alert channel (${route.channelId}) not found or is not a text channel.`);
+             return interaction.editReply({ content: 'Could not find the security alert channel. Please contact an administrator.' });
+        }
+
+        // Check bot permissions in the alert channel
+        const botPermissions = alertChannel.permissionsFor(interaction.client.user);
+        if (!botPermissions || !botPermissions.has(PermissionsBitField.Flags.SendMessages) || !botPermissions.has(PermissionsBitField.Flags.EmbedLinks)) {
+             console.error(`Error: Bot lacks SendMessages or EmbedLinks permission in channel ${route.channelId}.`);
+             return interaction.editReply({ content: 'I do not have permission to send messages or embeds in the alert channel.' });
+        }
+
+        // The priority decides which roles are pinged; only the personnel on duty are pinged if anyone is
+        const securityPing = await getSecurityPing(interaction.guild.id, config, route.roleId);
+        const securityMessage = await alertChannel.send({
+            content: buildPriorityPing(priority, config, 'New security request!', securityPing),
+            ...(await renderSecurityMessage(request))
+        });
+
+        // Store the request in the database
+        try {
+            request.securityMessageId = securityMessage.id;
+            await request.save();
+            await recordRequestEvent(request.requestId, 'created', {
+                actorId: request.requesterId,
+                actorName: request.requesterName,
+                details: describeAlertRoute(route)
+            });
+
+            // Open a discussion thread for responders on the alert message
+            await openRequestThread(securityMessage, request);
+        } catch (error) {
+            console.error(`Error storing security request in database: ${error.message}`);
+            // Continue execution - the request has been sent even if DB storage fails
+        }
+
+        // The requester can cancel from here if the request was made by mistake
+        await interaction.editReply({
+            content: 'Your security request has been sent to the alert channel.',
+            components: buildRequesterComponents(request)
+        });
+
+    } catch (error) {
+        console.error('Error sending security request alert:', error);
+        await interaction.editReply({ content: 'There was an error sending the security request. Please try again or contact an administrator.' });
+    }
+}
+
 module.exports = {
     /**
      * Command definition for /request-security
@@ -28,115 +176,101 @@ module.exports = {
     data: new SlashCommandBuilder()
         .setName('request-security')
         .setDescription('Request on-site security assistance (Arcani Discord only)')
+        .addStringOption(option =>
+            option.setName('priority')
+                .setDescription('How urgent the situation is.')
+                .setRequired(true)
+                .addChoices(...PRIORITY_CHOICES))
         .addStringOption(option =>
             option.setName('location')
-                .setDescription('The location where security is needed.')
-                .setRequired(true))
+                .setDescription('The location where security is needed. Leave empty to fill in the request form.')
+                .setAutocomplete(true)
+                .setRequired(false))
         .addStringOption(option =>
             option.setName('details')
                 .setDescription('Optional details about the situation.')
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('form')
+                .setDescription('Open the request form to tell us more (people involved, injuries, contact).')
                 .setRequired(false)),
+
+    /**
+     * Suggests locations from this server's location directory; any other location can still be typed
+     * @param {Object} interaction The autocomplete interaction object.
+     * @returns {Promise<void>}
+     */
+    async autocomplete(interaction) {
+        await interaction.respond(await suggestLocations(interaction.guildId, interaction.options.getFocused()));
+    },
+
     /**
      * Executes the request-security command.
-     * Checks user permissions, creates an embed and buttons, and sends an alert to the designated channel.
-     * This command is only intended for use within the main Arcani Discord server.
+     * Checks user permissions, then either sends the request or, when asked for or when no location is given,
+     * opens the request form. The form is submitted through submitForm.
+     * This command is only intended for use within security provider servers.
      * @param {CommandInteraction} interaction The interaction object.
      * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /request-security priority:Urgent location:North Tower details:Fight in the lobby
+     * // /request-security priority:Urgent form:True
      */
     async execute(interaction) {
-        // Check if this is the main Arcani security server
-        const mainGuildId = process.env.GUILD_ID;
-        if (interaction.guild.id !== mainGuildId) {
-            return interaction.reply({ 
-                content: '⚠️ This command is only for use within the main Arcani security server. If you are in a customer server and need security assistance, please use `/request-external-security` instead.',
-                ephemeral: true 
-            });
+        const error = await checkRequester(interaction);
+        if (error) {
+            return interaction.reply({ content: error, ephemeral: true });
         }
 
-        // Fetch configuration from database
-        const customerRoleId = await getCustomerRoleId(interaction.guild.id);
-        const securityRoleId = await getSecurityRoleId(interaction.guild.id);
-        const alertChannelId = await getAlertChannelId(interaction.guild.id);
+        const priority = interaction.options.getString('priority');
+        const location = interaction.options.getString('location');
+        const details = interaction.options.getString('details');
 
-        if (!customerRoleId || !securityRoleId || !alertChannelId) {
-            console.error(`Error: Missing required configuration for server ${interaction.guild.id}.`);
-            return interaction.reply({ 
-                content: 'This server is not fully configured for security requests. An administrator needs to set up the customer role, security role, and alert channel using the /config-server command.',
-                ephemeral: true 
-            });
+        if (interaction.options.getBoolean('form') || !location) {
+            return interaction.showModal(buildRequestFormModal(priority, { values: { location, details } }));
         }
 
-        // Ensure the member object is fetched
-        const member = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
+        return submitRequest(interaction, {
+            location,
+            priority,
+            details: details || 'No additional details provided.'
+        });
+    },
 
-        // Check if the user has the customer role
-        if (!member.roles.cache.has(customerRoleId)) {
-            return interaction.reply({ 
-                content: `You do not have permission to use this command. You need the <@&${customerRoleId}> role to request security assistance.`, 
-                ephemeral: true 
-            });
+    /**
+     * Opens the request form from the request panel, after the same checks as the command.
+     * @param {ButtonInteraction} interaction The button interaction object.
+     * @param {Object} form The choices made on the panel.
+     * @param {string} form.priority The priority of the request.
+     * @returns {Promise<void>}
+     */
+    async openForm(interaction, { priority }) {
+        const error = await checkRequester(interaction);
+        if (error) {
+            return interaction.reply({ content: error, ephemeral: true });
         }
 
-        const location = interaction.options.getString('location');
-        const details = interaction.options.getString('details') || 'No additional details provided.';
-        const requester = interaction.user;
-
-        // --- Create Embed ---
-        const requestEmbed = new EmbedBuilder()
-            .setColor(0xFF0000) // Red color for urgency
-            .setTitle('🚨 Security Request 🚨')
-            .setAuthor({ name: requester.tag || requester.username, iconURL: requester.displayAvatarURL() })
-            .addFields(
-                { name: 'Location', value: location },
-                { name: 'Details', value: details },
-                { name: 'Requested By', value: `${requester}` }, // Mentions the user
-                { name: 'Responding Security', value: 'None yet.' }
-            )
-            .setTimestamp()
-            .setFooter({ text: `Request ID: ${interaction.id}` }); // Use interaction ID as a unique request ID
-
-        // --- Create Buttons ---
-        const respondButton = new ButtonBuilder()
-            .setCustomId(`respond_${interaction.id}`) // Unique ID for this request's button
-            .setLabel('Respond')
-            .setStyle(ButtonStyle.Success)
-            .setEmoji('✅');
-
-        const concludeButton = new ButtonBuilder()
-            .setCustomId(`conclude_${interaction.id}`)
-            .setLabel('Conclude Request')
-            .setStyle(ButtonStyle.Danger)
-            .setEmoji('✖️');
-
-        const row = new ActionRowBuilder()
-            .addComponents(respondButton, concludeButton);
-
-        // --- Send to Alert Channel ---
-        try {
-            const alertChannel = await interaction.client.channels.fetch(alertChannelId);
-            if (!alertChannel || !alertChannel.isTextBased()) {
-                 console.error(`Error: Alert channel (${alertChannelId}) not found or is not a text channel.`);
-                 return interaction.reply({ content: 'Could not find the security alert channel. Please contact an administrator.', ephemeral: true });
-            }
-
-            // Check bot permissions in the alert channel
-            const botPermissions = alertChannel.permissionsFor(interaction.client.user);
-            if (!botPermissions || !botPermissions.has(PermissionsBitField.Flags.SendMessages) || !botPermissions.has(PermissionsBitField.Flags.EmbedLinks)) {
-                 console.error(`Error: Bot lacks SendMessages or EmbedLinks permission in channel ${alertChannelId}.`);
-                 return interaction.reply({ content: 'I do not have permission to send messages or embeds in the alert channel.', ephemeral: true });
-            }
-
-            await alertChannel.send({
-                content: `<@&${securityRoleId}> New security request!`, // Ping the security role
-                embeds: [requestEmbed],
-                components: [row]
-            });
+        return interaction.showModal(buildRequestFormModal(priority));
+    },
 
-            await interaction.reply({ content: 'Your security request has been sent to the alert channel.', ephemeral: true });
+    /**
+     * Sends the request from a submitted request form, after the same checks as the command.
+     * @param {ModalSubmitInteraction} interaction The modal submit interaction object.
+     * @param {Object} form The choices made before the form was opened.
+     * @param {string} form.priority The priority of the request.
+     * @returns {Promise<void>}
+     */
+    async submitForm(interaction, { priority }) {
+        const error = await checkRequester(interaction);
+        if (error) {
+            return interaction.reply({ content: error, ephemeral: true });
+        }
 
-        } catch (error) {
-            console.error('Error sending security request alert:', error);
-            await interaction.reply({ content: 'There was an error sending the security request. Please try again or contact an administrator.', ephemeral: true });
+        const form = readRequestForm(interaction.fields);
+        if (form.error) {
+            return interaction.reply({ content: form.error, ephemeral: true });
         }
+
+        return submitRequest(interaction, { ...form.values, priority });
     },
-};
\ No newline at end of file
+};
@@ -0,0 +1,132 @@
+/**
+ * @file Request status command
+ * @module CommandModules/RequestStatus
+ * @description Lets requesters check on their own security requests: whether they are still pending,
+ * who is responding, how long ago they were submitted and how they were concluded.
+ * In external servers only requests made from that server are listed.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { SecurityRequest } = require('../database/models');
+const { getResponderNames } = require('../database/request-utils');
+const { formatStatus } = require('../database/request-embeds');
+const { formatPriority, sortByPriority } = require('../database/request-priorities');
+const { isProviderGuild, getGuildProviderName } = require('../database/provider-utils');
+
+/**
+ * How many days concluded requests keep showing up as recent
+ * @type {number}
+ */
+const RECENT_REQUEST_DAYS = 7;
+
+/**
+ * Maximum number of requests listed (embeds are limited to 25 fields)
+ * @type {number}
+ */
+const MAX_LISTED_REQUESTS = 10;
+
+/**
+ * Builds the embed field describing one request
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<{name: string, value: string}>} The embed field
+ */
+async function buildRequestField(client, request) {
+    const responderNames = await getResponderNames(client, request);
+    const submittedAt = Math.floor(new Date(request.createdAt).getTime() / 1000);
+
+    const lines = [
+        `**Status:** ${formatStatus(request.status)}`,
+        `**Responders:** ${responderNames.length > 0 ? responderNames.join(', ') : 'None yet'}`,
+        `**Submitted:** <t:${submittedAt}:R>`
+    ];
+    if (request.status === 'concluded') {
+        lines.push(`**Conclusion:** ${request.conclusionReason || 'No reason provided'}`);
+    }
+    lines.push(`**Request ID:** ${request.requestId}`);
+
+    return {
+        name: `${formatPriority(request.priority)} – ${request.location}`.slice(0, 256),
+        value: lines.join('\n').slice(0, 1024)
+    };
+}
+
+module.exports = {
+    /**
+     * Command definition for /request-status
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('request-status')
+        .setDescription('Check the status of your open and recent security requests'),
+
+    /**
+     * Executes the request-status command.
+     * Lists the caller's open requests and the requests concluded in the last few days.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /request-status
+     * //
+     * // In a security provider's server this lists the caller's requests handled by that provider;
+     * // in an external server only the requests made from that server.
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        try {
+            const where = { requesterId: interaction.user.id };
+            if (await isProviderGuild(interaction.guildId)) {
+                where.providerGuildId = interaction.guildId;
+            } else {
+                where.externalGuildId = interaction.guildId;
+            }
+
+            const recentSince = new Date(Date.now() - RECENT_REQUEST_DAYS * 24 * 60 * 60 * 1000);
+            const openRequests = await SecurityRequest.findAll({
+                where: { ...where, status: { [Op.ne]: 'concluded' } }
+            });
+            const recentRequests = await SecurityRequest.findAll({
+                where: { ...where, status: 'concluded', concludedAt: { [Op.gte]: recentSince } },
+                order: [['concludedAt', 'DESC']]
+            });
+
+            const requests = [...sortByPriority(openRequests), ...recentRequests];
+            if (requests.length === 0) {
+                return interaction.editReply({
+                    content: `You have no open security requests and none were concluded in the last ${RECENT_REQUEST_DAYS} days.`
+                });
+            }
+
+            const listedRequests = requests.slice(0, MAX_LISTED_REQUESTS);
+            const fields = [];
+            for (const request of listedRequests) {
+                fields.push(await buildRequestField(interaction.client, request));
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle('Your Security Requests')
+                .setDescription(`${openRequests.length} open, ${recentRequests.length} concluded in the last ${RECENT_REQUEST_DAYS} days`)
+                .addFields(fields)
+                .setTimestamp()
+                .setFooter({ text: await getGuildProviderName(interaction.guildId, interaction.client) });
+
+            if (requests.length > MAX_LISTED_REQUESTS) {
+                embed.addFields({
+                    name: 'More Requests',
+                    value: `${requests.length - MAX_LISTED_REQUESTS} older requests not shown.`
+                });
+            }
+
+            return interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            console.error(`[ERROR] Error fetching request status for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error retrieving your requests: ${error.message}`
+            });
+        }
+    },
+};
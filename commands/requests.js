@@ -0,0 +1,373 @@
+/**
+ * @file Request history command
+ * @module CommandModules/Requests
+ * @description Lets security personnel in a security provider's server look up its past and current
+ * security requests, shown as a paginated embed, and lets server managers export the request history as
+ * a CSV or JSON file.
+ */
+
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ActionRowBuilder,
+    ComponentType,
+    AttachmentBuilder,
+    GuildMember
+} = require('discord.js');
+const { getSecurityRoleId, isServerManager } = require('../database/server-config-utils');
+const { getResponderIds, resolveResponderNames } = require('../database/request-utils');
+const { formatStatus } = require('../database/request-embeds');
+const { formatPriority } = require('../database/request-priorities');
+const { parseSearchDate, searchRequests } = require('../database/search-utils');
+const { buildExportRecord, toCsv, toJson } = require('../database/export-utils');
+const { isProviderGuild, getProviderName } = require('../database/provider-utils');
+
+/**
+ * Number of requests shown per page
+ * @type {number}
+ */
+const PAGE_SIZE = 5;
+
+/**
+ * Maximum number of requests a search returns
+ * @type {number}
+ */
+const MAX_SEARCH_RESULTS = 250;
+
+/**
+ * How long the page buttons keep working after the last use
+ * @type {number}
+ */
+const PAGINATION_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Adds the search filter options to a subcommand
+ * @param {import('discord.js').SlashCommandSubcommandBuilder} subcommand - The subcommand to extend
+ * @returns {import('discord.js').SlashCommandSubcommandBuilder} The subcommand
+ */
+function addSearchOptions(subcommand) {
+    return subcommand
+        .addStringOption(option =>
+            option.setName('status')
+                .setDescription('Only requests with this status')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Pending', value: 'pending' },
+                    { name: 'Responding', value: 'responding' },
+                    { name: 'Concluded', value: 'concluded' }
+                ))
+        .addStringOption(option =>
+            option.setName('server')
+                .setDescription('External server ID or part of its name')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('requester')
+                .setDescription('Only requests made by this user')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('responder')
+                .setDescription('Only requests this user responded to')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('location')
+                .setDescription('Part of the request location')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('from')
+                .setDescription('Submitted on or after this date (YYYY-MM-DD, UTC)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('to')
+                .setDescription('Submitted on or before this date (YYYY-MM-DD, UTC)')
+                .setRequired(false));
+}
+
+/**
+ * Reads the search filters from the command options
+ * @param {Object} interaction The interaction object.
+ * @returns {import('../database/search-utils').RequestSearchFilters} The filters
+ * @throws {Error} If a date filter is invalid or the dates are in the wrong order
+ */
+function getSearchFilters(interaction) {
+    const filters = {
+        providerGuildId: interaction.guildId,
+        status: interaction.options.getString('status'),
+        server: interaction.options.getString('server'),
+        requesterId: interaction.options.getUser('requester')?.id,
+        responderId: interaction.options.getUser('responder')?.id,
+        location: interaction.options.getString('location'),
+        from: parseSearchDate(interaction.options.getString('from')),
+        to: parseSearchDate(interaction.options.getString('to'), true)
+    };
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw new Error('The start date must be on or before the end date.');
+    }
+    return filters;
+}
+
+/**
+ * Builds the embed field describing one request in the search results
+ * @param {SecurityRequest} request - The stored security request, with its externalServer included
+ * @returns {{name: string, value: string}} The embed field
+ */
+function buildResultField(request) {
+    const responderIds = getResponderIds(request);
+    const submittedAt = Math.floor(new Date(request.createdAt).getTime() / 1000);
+    const source = request.isExternal
+        ? (request.externalServer?.guildName || `Unknown Server (${request.externalGuildId})`)
+        : 'Main server';
+
+    const lines = [
+        `**Status:** ${formatStatus(request.status)}`,
+        `**Source:** ${source}`,
+        `**Requester:** <@${request.requesterId}>`,
+        `**Responders:** ${responderIds.length > 0 ? responderIds.map(id => `<@${id}>`).join(', ') : 'None'}`,
+        `**Submitted:** <t:${submittedAt}:f>`
+    ];
+    if (request.status === 'concluded') {
+        lines.push(`**Conclusion:** ${request.conclusionReason || 'No reason provided'}`);
+    }
+    lines.push(`**Request ID:** ${request.requestId}`);
+
+    return {
+        name: `${formatPriority(request.priority)} – ${request.location}`.slice(0, 256),
+        value: lines.join('\n').slice(0, 1024)
+    };
+}
+
+/**
+ * Renders one page of search results
+ * @param {Array<SecurityRequest>} requests - All matching requests
+ * @param {number} page - Zero-based page index
+ * @param {string} providerName - Name of the provider shown in the footer
+ * @param {boolean} [disabled=false] - Whether the page buttons are disabled
+ * @returns {{embeds: Array<EmbedBuilder>, components: Array<ActionRowBuilder>}} Message payload
+ */
+function renderResultsPage(requests, page, providerName, disabled = false) {
+    const pageCount = Math.ceil(requests.length / PAGE_SIZE);
+    const pageRequests = requests.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+    const embed = new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle('Security Request Search')
+        .setDescription(`${requests.length} matching request${requests.length === 1 ? '' : 's'}${requests.length >= MAX_SEARCH_RESULTS ? ` (showing the newest ${MAX_SEARCH_RESULTS}, narrow your filters to see more)` : ''}`)
+        .addFields(pageRequests.map(buildResultField))
+        .setTimestamp()
+        .setFooter({ text: `Page ${page + 1} of ${pageCount} • ${providerName}` });
+
+    if (pageCount <= 1) {
+        return { embeds: [embed], components: [] };
+    }
+
+    const previousButton = new ButtonBuilder()
+        .setCustomId('requests_previous')
+        .setLabel('Previous')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('◀️')
+        .setDisabled(disabled || page === 0);
+
+    const nextButton = new ButtonBuilder()
+        .setCustomId('requests_next')
+        .setLabel('Next')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('▶️')
+        .setDisabled(disabled || page >= pageCount - 1);
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(previousButton, nextButton)] };
+}
+
+/**
+ * Handles /requests search
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleSearch(interaction) {
+    let filters;
+    try {
+        filters = getSearchFilters(interaction);
+    } catch (error) {
+        return interaction.editReply({ content: error.message });
+    }
+
+    const requests = await searchRequests(filters, { limit: MAX_SEARCH_RESULTS });
+    if (requests.length === 0) {
+        return interaction.editReply({ content: 'No security requests match these filters.' });
+    }
+
+    const providerName = await getProviderName(interaction.guildId, interaction.client);
+    let page = 0;
+    const message = await interaction.editReply(renderResultsPage(requests, page, providerName));
+    if (requests.length <= PAGE_SIZE) return;
+
+    // The page buttons are handled here rather than in the interactionCreate router
+    const collector = message.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        filter: buttonInteraction => buttonInteraction.user.id === interaction.user.id,
+        idle: PAGINATION_TIMEOUT_MS
+    });
+
+    collector.on('collect', async buttonInteraction => {
+        try {
+            page += buttonInteraction.customId === 'requests_next' ? 1 : -1;
+            await buttonInteraction.update(renderResultsPage(requests, page, providerName));
+        } catch (error) {
+            console.error(`[ERROR] Failed to change search results page for ${interaction.user.id}:`, error);
+        }
+    });
+
+    collector.on('end', () => {
+        interaction.editReply(renderResultsPage(requests, page, providerName, true)).catch(error => {
+            console.error('[ERROR] Failed to disable search result buttons:', error);
+        });
+    });
+}
+
+/**
+ * Handles /requests export
+ * @param {Object} interaction The interaction object.
+ * @returns {Promise<void>}
+ */
+async function handleExport(interaction) {
+    const format = interaction.options.getString('format');
+    const fromValue = interaction.options.getString('from');
+    const toValue = interaction.options.getString('to');
+
+    let from;
+    let to;
+    try {
+        from = parseSearchDate(fromValue);
+        to = parseSearchDate(toValue, true);
+    } catch (error) {
+        return interaction.editReply({ content: error.message });
+    }
+    if (from > to) {
+        return interaction.editReply({ content: 'The start date must be on or before the end date.' });
+    }
+
+    // Reports read oldest first
+    const requests = (await searchRequests({ providerGuildId: interaction.guildId, from, to })).reverse();
+    if (requests.length === 0) {
+        return interaction.editReply({ content: `No security requests were submitted between ${fromValue} and ${toValue}.` });
+    }
+
+    // Resolve every responder once rather than per request
+    const responderIds = [...new Set(requests.flatMap(request => getResponderIds(request)))];
+    const names = await resolveResponderNames(interaction.guild, responderIds);
+    const responderNames = new Map(responderIds.map((id, index) => [id, names[index]]));
+
+    const records = requests.map(request => buildExportRecord(request, responderNames));
+    const content = format === 'json' ? toJson(records) : toCsv(records);
+    const attachment = new AttachmentBuilder(Buffer.from(content, 'utf8'), {
+        name: `security-requests-${fromValue}-to-${toValue}.${format}`
+    });
+
+    console.log(`[INFO] ${interaction.user.tag} exported ${records.length} security requests (${fromValue} to ${toValue}, ${format})`);
+    return interaction.editReply({
+        content: `Exported ${records.length} security request${records.length === 1 ? '' : 's'} submitted between ${fromValue} and ${toValue}.`,
+        files: [attachment]
+    });
+}
+
+/**
+ * Checks whether the member may use a /requests subcommand.
+ * Exports are limited to server managers, searches to security personnel.
+ * @param {import('discord.js').GuildMember} member - The member using the command
+ * @param {string} subcommand - The subcommand being used
+ * @returns {Promise<string|null>} An error message, or null if the member is allowed
+ */
+async function checkPermission(member, subcommand) {
+    if (subcommand === 'export') {
+        return (await isServerManager(member))
+            ? null
+            : 'You do not have permission to export requests. Only server managers can export request history.';
+    }
+
+    const securityRoleId = await getSecurityRoleId(member.guild.id);
+    if (!securityRoleId) {
+        return 'This server is not properly configured. Please ask an administrator to set up the security role using the /config-server command.';
+    }
+    return member.roles.cache.has(securityRoleId)
+        ? null
+        : 'You do not have permission to use this command. Only security personnel can look up requests.';
+}
+
+module.exports = {
+    /**
+     * Command definition for /requests
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('requests')
+        .setDescription('Look up and export security requests')
+        .addSubcommand(subcommand =>
+            addSearchOptions(subcommand
+                .setName('search')
+                .setDescription('Search past and current security requests')))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Export the requests of a date range as a file (managers only)')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('File format of the export')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'CSV', value: 'csv' },
+                            { name: 'JSON', value: 'json' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('from')
+                        .setDescription('First day of the report (YYYY-MM-DD, UTC)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('to')
+                        .setDescription('Last day of the report (YYYY-MM-DD, UTC)')
+                        .setRequired(true))),
+
+    /**
+     * Executes the requests command.
+     * Only security personnel in a security provider's server can search its requests and only server managers can export them.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /requests search status:Concluded location:parking
+     * // /requests search responder:@Officer from:2025-01-01 to:2025-01-31
+     * // /requests search server:Customer Server
+     * // /requests export format:CSV from:2025-01-01 to:2025-01-31
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!(await isProviderGuild(interaction.guildId))) {
+            return interaction.editReply({
+                content: 'This command can only be used in a security provider server.'
+            });
+        }
+
+        try {
+            const subcommand = interaction.options.getSubcommand();
+            const member = interaction.member instanceof GuildMember
+                ? interaction.member
+                : await interaction.guild.members.fetch(interaction.user.id);
+
+            const permissionError = await checkPermission(member, subcommand);
+            if (permissionError) {
+                return interaction.editReply({ content: permissionError });
+            }
+
+            if (subcommand === 'search') {
+                await handleSearch(interaction);
+            } else if (subcommand === 'export') {
+                await handleExport(interaction);
+            }
+        } catch (error) {
+            console.error(`[ERROR] Error handling /requests for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error looking up requests: ${error.message}`
+            });
+        }
+    },
+};
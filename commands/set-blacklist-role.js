@@ -10,6 +10,7 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const { setBlacklistRole, getBlacklistRoleId } = require('../database/server-config-utils');
 const { isDeveloper } = require('../database/dev-utils');
+const { isProviderGuild } = require('../database/provider-utils');
 
 module.exports = {
     /**
@@ -42,11 +43,10 @@ module.exports = {
             });
         }
         
-        // Check if we're in the main security company server (bypass for developer)
-        const mainGuildId = process.env.GUILD_ID;
-        if (interaction.guild.id !== mainGuildId && !isDeveloper(interaction.user.id)) {
+        // Check if we're in a security provider server (bypass for developer)
+        if (!(await isProviderGuild(interaction.guild.id)) && !isDeveloper(interaction.user.id)) {
             return interaction.reply({
-                content: 'This command can only be used in the main security company server.',
+                content: 'This command can only be used in a security provider server.',
                 ephemeral: true
             });
         }
@@ -8,6 +8,7 @@
 
 const { SlashCommandBuilder, PermissionFlagsBits, EmbedBuilder } = require('discord.js');
 const { ExternalServer } = require('../database/models');
+const { getServerProviderId, getProviderName } = require('../database/provider-utils');
 
 module.exports = {
     /**
@@ -138,7 +139,7 @@ module.exports = {
                         .setTitle('Authorized Security Request Roles')
                         .setDescription('The following roles can use security request commands:')
                         .setTimestamp()
-                        .setFooter({ text: 'VIG SecurityS' });
+                        .setFooter({ text: await getProviderName(getServerProviderId(externalServer), interaction.client) });
                     
                     // Add fields for each role
                     let roleListText = '';
@@ -1,15 +1,47 @@
 /**
  * @file Setup security channel command
  * @module CommandModules/SetupSecurityChannel
- * @description Allows server administrators to register their server with the Arcani security system
- * and designate a channel for security requests. This is the initial setup command that must be run
- * in external servers before they can use the security request features. It registers the server in
- * the database and configures a dedicated security channel.
+ * @description Allows server administrators to register their server with the Arcani security system,
+ * choose the security provider they subscribe to and designate a channel for security requests. This is
+ * the initial setup command that must be run in external servers before they can use the security request
+ * features. It registers the server in the database and configures a dedicated security channel.
  */
 
 const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
 const { ExternalServer } = require('../database/models');
 const { markServerActive } = require('../database/server-utils');
+const { isProviderGuild, getProviders, getServerProviderId, getDefaultProviderId, formatProviderName, findProvider } = require('../database/provider-utils');
+const { postRequestPanel, removeRequestPanel } = require('../database/panel-utils');
+
+/**
+ * Maximum number of autocomplete suggestions Discord accepts
+ * @type {number}
+ */
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+/**
+ * Posts, moves or removes the request panel after the security channel is saved
+ * @param {Object} interaction The interaction object.
+ * @param {boolean|null} panelOption The panel option, null when not given
+ * @param {boolean} panelRemoved Whether the existing panel was taken down, because the channel changed or the option is false
+ * @returns {Promise<string>} A sentence about the panel for the reply, empty when nothing changed
+ */
+async function updatePanel(interaction, panelOption, panelRemoved) {
+    if (panelOption === false) {
+        return panelRemoved ? ' The request panel was removed.' : '';
+    }
+    if (!panelOption && !panelRemoved) return '';
+
+    try {
+        await postRequestPanel(interaction.client, interaction.guild.id);
+        return panelRemoved && !panelOption
+            ? ' The request panel was moved to the new channel.'
+            : ' A request panel was pinned in the channel so members can request security with a button.';
+    } catch (error) {
+        console.error(`[ERROR] Error posting the request panel in server ${interaction.guild.id}:`, error);
+        return ` However, the request panel could not be posted: ${error.message}. Check that I can send, pin and manage messages in the channel.`;
+    }
+}
 
 module.exports = {
     /**
@@ -18,21 +50,47 @@ module.exports = {
      */
     data: new SlashCommandBuilder()
         .setName('setup-security-channel')
-        .setDescription('Set up a channel for sending security requests to VIG Security')
+        .setDescription('Set up a channel for sending security requests to your security provider')
         .addChannelOption(option =>
             option.setName('channel')
                 .setDescription('The channel to use for security requests')
                 .setRequired(true))
+        .addStringOption(option =>
+            option.setName('provider')
+                .setDescription('The security provider to send requests to (defaults to your current provider)')
+                .setAutocomplete(true)
+                .setRequired(false))
+        .addBooleanOption(option =>
+            option.setName('panel')
+                .setDescription('Pin a panel with a Request Security button in the channel (false removes it)')
+                .setRequired(false))
         .setDefaultMemberPermissions(PermissionFlagsBits.Administrator),
     
+    /**
+     * Suggests security providers for the provider option
+     * @param {Object} interaction The autocomplete interaction object.
+     * @returns {Promise<void>}
+     */
+    async autocomplete(interaction) {
+        const query = interaction.options.getFocused().toLowerCase();
+        const choices = (await getProviders())
+            .map(provider => ({ name: formatProviderName(provider, interaction.client), value: provider.serverId }))
+            .filter(choice => choice.name.toLowerCase().includes(query))
+            .slice(0, MAX_AUTOCOMPLETE_CHOICES);
+
+        await interaction.respond(choices);
+    },
+
     /**
      * Executes the setup-security-channel command.
-     * Configures a channel in an external server for security requests.
+     * Configures a channel in an external server for security requests and subscribes the server to a provider.
      * @param {Object} interaction The interaction object.
      * @returns {Promise<void>}
      * @example
      * // Example usage:
      * // /setup-security-channel channel:#security-requests
+     * // /setup-security-channel channel:#security-requests provider:VIG Security North
+     * // /setup-security-channel channel:#security-requests panel:True
      * //
      * // This command must be used by a server administrator in any server that wishes
      * // to connect with Arcani Security services. Once configured, users in that server
@@ -42,17 +100,17 @@ module.exports = {
      * // - Use /set-required-roles to restrict who can submit security requests
      */
     async execute(interaction) {
-        const mainGuildId = process.env.GUILD_ID;
-        
+        // Moving the request panel takes several Discord requests, which can run past the reply deadline
+        await interaction.deferReply({ ephemeral: true });
+
         try {
             // Get the selected channel
             const channel = interaction.options.getChannel('channel');
 
             // Verify the channel is a text channel
             if (channel.type !== ChannelType.GuildText) {
-                return interaction.reply({ 
-                    content: 'You must select a text channel for security requests.',
-                    ephemeral: true 
+                return interaction.editReply({
+                    content: 'You must select a text channel for security requests.'
                 });
             }
 
@@ -60,41 +118,61 @@ module.exports = {
             try {
                 const permissions = channel.permissionsFor(interaction.client.user);
                 if (!permissions.has('SendMessages')) {
-                    return interaction.reply({ 
-                        content: 'I don\'t have permission to send messages in that channel. Please give me the appropriate permissions first.',
-                        ephemeral: true 
+                    return interaction.editReply({
+                        content: 'I don\'t have permission to send messages in that channel. Please give me the appropriate permissions first.'
                     });
                 }
             } catch (permError) {
                 console.error('Error checking permissions:', permError);
-                return interaction.reply({ 
-                    content: 'There was an error checking my permissions for that channel. Make sure I have the necessary permissions.',
-                    ephemeral: true 
+                return interaction.editReply({
+                    content: 'There was an error checking my permissions for that channel. Make sure I have the necessary permissions.'
                 });
             }
 
-            // If this is the main security guild, don't allow this command
-            if (interaction.guild.id === mainGuildId) {
-                return interaction.reply({ 
-                    content: 'This command cannot be used in the main security server.',
-                    ephemeral: true 
+            // Security provider servers cannot subscribe to a provider
+            if (await isProviderGuild(interaction.guild.id)) {
+                return interaction.editReply({
+                    content: 'This command cannot be used in a security provider server.'
                 });
             }
 
             // Check if this server is already registered
             let externalServer = await ExternalServer.findByPk(interaction.guild.id);
+
+            // Use the chosen provider, otherwise keep the current one (or the default provider for new servers)
+            const providerQuery = interaction.options.getString('provider');
+            const provider = providerQuery
+                ? await findProvider(providerQuery, interaction.client)
+                : (await getProviders()).find(config => config.serverId === (externalServer ? getServerProviderId(externalServer) : getDefaultProviderId()));
+            if (!provider) {
+                const providerNames = (await getProviders()).map(config => formatProviderName(config, interaction.client));
+                return interaction.editReply({
+                    content: providerNames.length > 0
+                        ? `${providerQuery ? `"${providerQuery}" is not a security provider.` : 'Please choose a security provider.'} Available providers: ${providerNames.join(', ')}`
+                        : 'There are no security providers to subscribe to yet.'
+                });
+            }
+            const providerName = formatProviderName(provider, interaction.client);
+
+            // Take the panel down while the server still points at its channel, so it can be posted in the new one
+            const panelOption = interaction.options.getBoolean('panel');
+            const hadPanel = Boolean(externalServer?.panelMessageId) && !externalServer.removedAt;
+            const panelRemoved = hadPanel && (panelOption === false || externalServer.channelId !== channel.id)
+                && await removeRequestPanel(interaction.client, interaction.guild.id);
             
             if (externalServer) {
                 // Update existing server entry
+                externalServer.providerGuildId = provider.serverId;
                 externalServer.channelId = channel.id;
                 externalServer.guildName = interaction.guild.name;
                 externalServer.isActive = true;
+                externalServer.removedAt = null;
                 externalServer.lastAccessed = new Date();
                 await externalServer.save();
+                const panelNote = await updatePanel(interaction, panelOption, panelRemoved);
                 
-                return interaction.reply({ 
-                    content: `Security request channel updated to ${channel}. This channel will now receive security request confirmations.`,
-                    ephemeral: true 
+                return interaction.editReply({
+                    content: `Security request channel updated to ${channel}, subscribed to **${providerName}**. This channel will now receive security request confirmations.${panelNote}`
                 });
             } else {
                 // Create new server entry
@@ -102,21 +180,21 @@ module.exports = {
                     guildId: interaction.guild.id,
                     guildName: interaction.guild.name,
                     channelId: channel.id,
+                    providerGuildId: provider.serverId,
                     isActive: true,
                     lastAccessed: new Date()
                 });
+                const panelNote = await updatePanel(interaction, panelOption, panelRemoved);
                 
-                return interaction.reply({ 
-                    content: `Security request channel set to ${channel}. Your server can now use the \`/request-external-security\` command in this channel to submit security requests to VIG Security.`,
-                    ephemeral: true 
+                return interaction.editReply({
+                    content: `Security request channel set to ${channel}. Your server can now use the \`/request-external-security\` command in this channel to submit security requests to **${providerName}**.${panelNote}`
                 });
             }
             
         } catch (error) {
             console.error(`Error setting up security channel: ${error}`);
-            return interaction.reply({ 
-                content: `There was an error setting up the security channel: ${error.message}`,
-                ephemeral: true 
+            return interaction.editReply({
+                content: `There was an error setting up the security channel: ${error.message}`
             });
         }
     },
@@ -0,0 +1,166 @@
+/**
+ * @file Request statistics command
+ * @module CommandModules/Stats
+ * @description Shows security personnel in a security provider's server how fast its requests are answered
+ * and how the workload is spread over servers, hours of the day and responders.
+ */
+
+const { SlashCommandBuilder, EmbedBuilder, GuildMember } = require('discord.js');
+const { getSecurityRoleId, isServerManager } = require('../database/server-config-utils');
+const { parseSearchDate } = require('../database/search-utils');
+const { resolvePeriod, computeRequestStats } = require('../database/stats-utils');
+const { isProviderGuild, getProviderName } = require('../database/provider-utils');
+
+/**
+ * Number of entries listed per ranking (servers, hours, responders)
+ * @type {number}
+ */
+const TOP_ENTRIES = 5;
+
+/**
+ * Display names of the predefined periods
+ * @type {Object<string, string>}
+ */
+const PERIOD_LABELS = {
+    day: 'Last 24 hours',
+    week: 'Last 7 days',
+    month: 'Last 30 days'
+};
+
+/**
+ * Formats a duration given in minutes, e.g. '1h 25m'
+ * @param {number|null} minutes - The duration in minutes
+ * @returns {string} The formatted duration, or 'n/a' when there is no value
+ */
+function formatMinutes(minutes) {
+    if (minutes === null) return 'n/a';
+    if (minutes < 1) return `${Math.round(minutes * 60)}s`;
+
+    const rounded = Math.round(minutes);
+    const hours = Math.floor(rounded / 60);
+    return hours > 0 ? `${hours}h ${rounded % 60}m` : `${rounded}m`;
+}
+
+/**
+ * Formats a duration summary for an embed field
+ * @param {import('../database/stats-utils').DurationSummary} summary - The summary to format
+ * @returns {string} Average and median on separate lines
+ */
+function formatDurationSummary(summary) {
+    if (summary.count === 0) return 'No data';
+    return `**Average:** ${formatMinutes(summary.averageMinutes)}\n**Median:** ${formatMinutes(summary.medianMinutes)}\n*Based on ${summary.count} request${summary.count === 1 ? '' : 's'}*`;
+}
+
+/**
+ * Formats a ranking as a numbered list
+ * @param {Array<Object>} entries - Ranked entries, busiest first
+ * @param {function(Object): string} formatEntry - Formats the label of one entry
+ * @returns {string} The list, or 'No data' when empty
+ */
+function formatRanking(entries, formatEntry) {
+    if (entries.length === 0) return 'No data';
+    return entries
+        .slice(0, TOP_ENTRIES)
+        .map((entry, index) => `${index + 1}. ${formatEntry(entry)} – ${entry.count}`)
+        .join('\n');
+}
+
+module.exports = {
+    /**
+     * Command definition for /stats
+     * @type {SlashCommandBuilder}
+     */
+    data: new SlashCommandBuilder()
+        .setName('stats')
+        .setDescription('Show response-time and workload statistics for security requests')
+        .addStringOption(option =>
+            option.setName('period')
+                .setDescription('The period to compute statistics for')
+                .setRequired(true)
+                .addChoices(
+                    { name: 'Day', value: 'day' },
+                    { name: 'Week', value: 'week' },
+                    { name: 'Month', value: 'month' },
+                    { name: 'Custom', value: 'custom' }
+                ))
+        .addStringOption(option =>
+            option.setName('from')
+                .setDescription('Start of a custom period (YYYY-MM-DD, UTC)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('to')
+                .setDescription('End of a custom period (YYYY-MM-DD, UTC)')
+                .setRequired(false)),
+
+    /**
+     * Executes the stats command.
+     * Only security personnel and server managers in a security provider's server can view its statistics.
+     * @param {Object} interaction The interaction object.
+     * @returns {Promise<void>}
+     * @example
+     * // Example usage:
+     * // /stats period:Week
+     * // /stats period:Custom from:2025-01-01 to:2025-03-31
+     */
+    async execute(interaction) {
+        await interaction.deferReply({ ephemeral: true });
+
+        if (!(await isProviderGuild(interaction.guildId))) {
+            return interaction.editReply({
+                content: 'This command can only be used in a security provider server.'
+            });
+        }
+
+        try {
+            const member = interaction.member instanceof GuildMember
+                ? interaction.member
+                : await interaction.guild.members.fetch(interaction.user.id);
+            const securityRoleId = await getSecurityRoleId(interaction.guild.id);
+            const isSecurity = securityRoleId && member.roles.cache.has(securityRoleId);
+            if (!isSecurity && !(await isServerManager(member))) {
+                return interaction.editReply({
+                    content: 'You do not have permission to use this command. Only security personnel and managers can view statistics.'
+                });
+            }
+
+            const period = interaction.options.getString('period');
+            const fromValue = interaction.options.getString('from');
+            const toValue = interaction.options.getString('to');
+
+            let from;
+            let to;
+            try {
+                ({ from, to } = resolvePeriod(period, parseSearchDate(fromValue), parseSearchDate(toValue, true)));
+            } catch (error) {
+                return interaction.editReply({ content: error.message });
+            }
+
+            const stats = await computeRequestStats(from, to, interaction.guildId);
+            const periodLabel = period === 'custom' ? `${fromValue} to ${toValue}` : PERIOD_LABELS[period];
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle('Security Request Statistics')
+                .setDescription(`**Period:** ${periodLabel}\n**Requests:** ${stats.total} (${stats.concluded} concluded, ${stats.cancelled} cancelled)`)
+                .setTimestamp()
+                .setFooter({ text: await getProviderName(interaction.guildId, interaction.client) });
+
+            if (stats.total > 0) {
+                embed.addFields(
+                    { name: 'Time to First Responder', value: formatDurationSummary(stats.firstResponse), inline: true },
+                    { name: 'Time to Conclusion', value: formatDurationSummary(stats.conclusion), inline: true },
+                    { name: 'Requests per Server', value: formatRanking(stats.byServer, entry => entry.name) },
+                    { name: 'Busiest Hours (UTC)', value: formatRanking(stats.byHour, entry => `${String(entry.hour).padStart(2, '0')}:00–${String(entry.hour).padStart(2, '0')}:59`) },
+                    { name: 'Requests per Responder', value: formatRanking(stats.byResponder, entry => `<@${entry.responderId}>`) }
+                );
+            }
+
+            return interaction.editReply({ embeds: [embed] });
+        } catch (error) {
+            console.error(`[ERROR] Error computing statistics for ${interaction.user.id}:`, error);
+            return interaction.editReply({
+                content: `There was an error computing statistics: ${error.message}`
+            });
+        }
+    },
+};
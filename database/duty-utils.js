@@ -0,0 +1,385 @@
+/**
+ * @file Duty roster utilities
+ * @module Database/DutyUtils
+ * @description Tracks which security personnel are on duty. Personnel go on and off duty with /duty or
+ * from the weekly roster; every shift is kept as shift history for payroll and reporting. While someone
+ * is on duty, new requests ping the on-duty role (or the people on duty directly) instead of the whole
+ * security role, so off-duty staff are left alone. When nobody is on duty the security role is pinged.
+ */
+
+const { Op } = require('sequelize');
+const { DutyShift, RosterEntry } = require('./models');
+const { getServerConfig } = require('./server-config-utils');
+const { getProviders } = require('./provider-utils');
+const { timeToMinutes } = require('./routing-utils');
+
+/**
+ * How often the roster is applied, in milliseconds
+ * @type {number}
+ */
+const DUTY_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Maximum number of people mentioned directly when no on-duty role is configured.
+ * With more people on duty, the security role is pinged instead.
+ * @type {number}
+ */
+const MAX_DIRECT_MENTIONS = 20;
+
+/**
+ * Maximum number of roster entries per provider
+ * @type {number}
+ */
+const MAX_ROSTER_ENTRIES = 50;
+
+/**
+ * Day names, indexed like Date.getUTCDay()
+ * @type {Array<string>}
+ */
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Choices for the slash command day option, Monday first
+ * @type {Array<{name: string, value: number}>}
+ */
+const DAY_CHOICES = [1, 2, 3, 4, 5, 6, 0].map(value => ({ name: DAY_NAMES[value], value }));
+
+/**
+ * Columns of an exported shift, in CSV order
+ * @type {Array<string>}
+ */
+const SHIFT_EXPORT_COLUMNS = [
+    'shiftId',
+    'userId',
+    'userName',
+    'source',
+    'startedAt',
+    'endedAt',
+    'minutes',
+    'minutesInPeriod'
+];
+
+/**
+ * Gets the shift a person currently has in progress
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {string} userId - The Discord user ID
+ * @returns {Promise<DutyShift|null>} The shift in progress, or null if the person is off duty
+ */
+async function getActiveShift(providerGuildId, userId) {
+    return DutyShift.findOne({ where: { providerGuildId, userId, endedAt: null } });
+}
+
+/**
+ * Gets the shifts in progress at a provider, longest on duty first
+ * @param {string} providerGuildId - The provider's guild ID
+ * @returns {Promise<Array<DutyShift>>} The shifts in progress
+ */
+async function getOnDutyShifts(providerGuildId) {
+    return DutyShift.findAll({
+        where: { providerGuildId, endedAt: null },
+        order: [['startedAt', 'ASC']]
+    });
+}
+
+/**
+ * Gives or takes the on-duty role, if the provider has one configured.
+ * Failures are logged; the shift itself is already recorded.
+ * @param {import('discord.js').Guild} guild - The provider's guild
+ * @param {string} userId - The Discord user ID
+ * @param {boolean} onDuty - Whether the person went on duty
+ * @returns {Promise<void>}
+ */
+async function updateOnDutyRole(guild, userId, onDuty) {
+    const config = await getServerConfig(guild.id);
+    if (!config?.onDutyRoleId) return;
+
+    try {
+        const member = await guild.members.fetch(userId);
+        if (onDuty) {
+            await member.roles.add(config.onDutyRoleId, 'Went on duty');
+        } else {
+            await member.roles.remove(config.onDutyRoleId, 'Went off duty');
+        }
+    } catch (error) {
+        console.error(`[ERROR] Failed to ${onDuty ? 'give' : 'take'} the on-duty role ${onDuty ? 'to' : 'from'} ${userId} in ${guild.id}:`, error);
+    }
+}
+
+/**
+ * Puts a person on duty
+ * @param {import('discord.js').Guild} guild - The provider's guild
+ * @param {string} userId - The Discord user ID
+ * @param {string} userName - The person's name, stored with the shift
+ * @param {string} [source='manual'] - 'manual' for /duty on, 'roster' for scheduled shifts
+ * @returns {Promise<{shift: DutyShift, started: boolean}>} The shift in progress, and whether it was
+ * started now (false when the person was already on duty)
+ */
+async function startShift(guild, userId, userName, source = 'manual') {
+    const existing = await getActiveShift(guild.id, userId);
+    if (existing) return { shift: existing, started: false };
+
+    const shift = await DutyShift.create({
+        providerGuildId: guild.id,
+        userId,
+        userName,
+        startedAt: new Date(),
+        source
+    });
+    await updateOnDutyRole(guild, userId, true);
+    console.log(`[INFO] ${userName} (${userId}) went on duty in ${guild.id} (${source})`);
+    return { shift, started: true };
+}
+
+/**
+ * Takes a person off duty
+ * @param {import('discord.js').Guild} guild - The provider's guild
+ * @param {string} userId - The Discord user ID
+ * @returns {Promise<DutyShift|null>} The ended shift, or null if the person was not on duty
+ */
+async function endShift(guild, userId) {
+    const shift = await getActiveShift(guild.id, userId);
+    if (!shift) return null;
+
+    await shift.update({ endedAt: new Date() });
+    await updateOnDutyRole(guild, userId, false);
+    console.log(`[INFO] ${shift.userName} (${userId}) went off duty in ${guild.id}`);
+    return shift;
+}
+
+/**
+ * Decides who a new request or re-ping alerts in place of the security role. A role from a routing rule
+ * always wins; otherwise the on-duty role is pinged, or the people on duty are mentioned directly if no
+ * on-duty role is configured. With nobody on duty, the security role is pinged.
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {ServerConfig} config - The provider's configuration
+ * @param {string|null} [routedRoleId] - The role of the routing rule the request was sent with
+ * @returns {Promise<import('./request-priorities').SecurityPing>} Who to ping, empty for the security role
+ * @example
+ * const securityPing = await getSecurityPing(guild.id, config, route.roleId);
+ * const content = buildPriorityPing(priority, config, 'New security request!', securityPing);
+ */
+async function getSecurityPing(providerGuildId, config, routedRoleId = null) {
+    if (routedRoleId) return { roleId: routedRoleId };
+
+    const shifts = await getOnDutyShifts(providerGuildId);
+    if (shifts.length === 0) return {};
+    if (config?.onDutyRoleId) return { roleId: config.onDutyRoleId };
+    if (shifts.length > MAX_DIRECT_MENTIONS) return {};
+    return { userIds: shifts.map(shift => shift.userId) };
+}
+
+/**
+ * Finds the occurrence of a weekly roster shift that is in progress
+ * @param {RosterEntry} entry - The roster entry
+ * @param {Date} now - The current time
+ * @returns {{startsAt: Date, endsAt: Date}|null} The shift in progress, or null if it is not scheduled now
+ */
+function getCurrentRosterSlot(entry, now) {
+    const start = timeToMinutes(entry.startTime);
+    const length = (timeToMinutes(entry.endTime) - start + 24 * 60) % (24 * 60);
+
+    // A shift that runs past midnight may have started yesterday
+    for (const daysAgo of [0, 1]) {
+        const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysAgo));
+        if (day.getUTCDay() !== entry.dayOfWeek) continue;
+
+        const startsAt = new Date(day.getTime() + start * 60000);
+        const endsAt = new Date(startsAt.getTime() + length * 60000);
+        if (now >= startsAt && now < endsAt) return { startsAt, endsAt };
+    }
+    return null;
+}
+
+/**
+ * Applies the roster of every provider: puts people on duty when their scheduled shift starts and takes
+ * them off duty when it ends. People who go off duty during a scheduled shift stay off duty until their
+ * next one, and shifts started with /duty on are never ended by the roster.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {Date} [now=new Date()] - The current time
+ * @returns {Promise<{started: number, ended: number}>} How many shifts were started and ended
+ */
+async function applyRoster(client, now = new Date()) {
+    const stats = { started: 0, ended: 0 };
+
+    for (const provider of await getProviders()) {
+        const guild = client.guilds.cache.get(provider.serverId);
+        if (!guild?.available) continue;
+
+        // Start of the scheduled shift in progress, per person
+        const scheduled = new Map();
+        for (const entry of await RosterEntry.findAll({ where: { providerGuildId: guild.id } })) {
+            const slot = getCurrentRosterSlot(entry, now);
+            if (slot && (!scheduled.has(entry.userId) || slot.startsAt < scheduled.get(entry.userId))) {
+                scheduled.set(entry.userId, slot.startsAt);
+            }
+        }
+
+        for (const [userId, startsAt] of scheduled) {
+            const shiftThisSlot = await DutyShift.findOne({
+                where: {
+                    providerGuildId: guild.id,
+                    userId,
+                    [Op.or]: [{ endedAt: null }, { startedAt: { [Op.gte]: startsAt } }]
+                }
+            });
+            if (shiftThisSlot) continue;
+
+            // People who left the server are skipped
+            const member = await guild.members.fetch(userId).catch(() => null);
+            if (!member) continue;
+            await startShift(guild, userId, member.user.tag, 'roster');
+            stats.started++;
+        }
+
+        const rosterShifts = await DutyShift.findAll({ where: { providerGuildId: guild.id, endedAt: null, source: 'roster' } });
+        for (const shift of rosterShifts.filter(shift => !scheduled.has(shift.userId))) {
+            await endShift(guild, shift.userId);
+            stats.ended++;
+        }
+    }
+
+    return stats;
+}
+
+/**
+ * Gets a provider's roster, ordered by day and start time
+ * @param {string} providerGuildId - The provider's guild ID
+ * @returns {Promise<Array<RosterEntry>>} The roster entries
+ */
+async function getRoster(providerGuildId) {
+    const entries = await RosterEntry.findAll({ where: { providerGuildId } });
+    // Monday first, like the day choices
+    const dayRank = day => (day + 6) % 7;
+    return entries.sort((a, b) => dayRank(a.dayOfWeek) - dayRank(b.dayOfWeek) || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Adds a weekly shift to a provider's roster
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {Object} entryData - The shift
+ * @param {string} entryData.userId - Who is on duty
+ * @param {number} entryData.dayOfWeek - Day the shift starts on, 0 (Sunday) to 6 (Saturday)
+ * @param {string} entryData.startTime - Start of the shift, HH:MM in UTC
+ * @param {string} entryData.endTime - End of the shift, HH:MM in UTC
+ * @returns {Promise<RosterEntry>} The created entry
+ * @throws {Error} When the roster is full
+ */
+async function addRosterEntry(providerGuildId, entryData) {
+    const count = await RosterEntry.count({ where: { providerGuildId } });
+    if (count >= MAX_ROSTER_ENTRIES) {
+        throw new Error(`A roster can have at most ${MAX_ROSTER_ENTRIES} shifts`);
+    }
+    return RosterEntry.create({ ...entryData, providerGuildId });
+}
+
+/**
+ * Removes a shift from a provider's roster. A shift in progress is not ended; it ends on the next roster check.
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {number} entryId - The roster entry ID
+ * @returns {Promise<RosterEntry|null>} The removed entry, or null if the provider has no such entry
+ */
+async function removeRosterEntry(providerGuildId, entryId) {
+    const entry = await RosterEntry.findOne({ where: { id: entryId, providerGuildId } });
+    if (!entry) return null;
+
+    await entry.destroy();
+    return entry;
+}
+
+/**
+ * Formats a roster entry for display
+ * @param {RosterEntry} entry - The roster entry
+ * @returns {string} e.g. '`#4` Friday 22:00-06:00 UTC <@234…>'
+ */
+function formatRosterEntry(entry) {
+    return `\`#${entry.id}\` ${DAY_NAMES[entry.dayOfWeek]} ${entry.startTime}-${entry.endTime} UTC <@${entry.userId}>`;
+}
+
+/**
+ * Gets the shifts that overlap a period, oldest first
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {string|null} [userId] - Only include this person's shifts
+ * @returns {Promise<Array<DutyShift>>} The shifts
+ */
+async function getShiftHistory(providerGuildId, from, to, userId = null) {
+    const where = {
+        providerGuildId,
+        startedAt: { [Op.lte]: to },
+        [Op.or]: [{ endedAt: null }, { endedAt: { [Op.gte]: from } }]
+    };
+    if (userId) where.userId = userId;
+
+    return DutyShift.findAll({ where, order: [['startedAt', 'ASC']] });
+}
+
+/**
+ * Calculates how many minutes of a shift fall in a period. Shifts in progress count until now.
+ * @param {DutyShift} shift - The shift
+ * @param {Date} [from] - Start of the period, defaults to the start of the shift
+ * @param {Date} [to] - End of the period, defaults to the end of the shift
+ * @returns {number} The minutes worked in the period
+ */
+function getShiftMinutes(shift, from, to) {
+    const start = Math.max(new Date(shift.startedAt).getTime(), from ? from.getTime() : -Infinity);
+    const end = Math.min(shift.endedAt ? new Date(shift.endedAt).getTime() : Date.now(), to ? to.getTime() : Infinity);
+    return Math.max(0, Math.round((end - start) / 60000));
+}
+
+/**
+ * Totals the minutes worked per person in a period
+ * @param {Array<DutyShift>} shifts - Shifts returned by getShiftHistory
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Array<{userId: string, userName: string, shiftCount: number, minutes: number}>} Totals, most minutes first
+ */
+function summariseShifts(shifts, from, to) {
+    const totals = new Map();
+    for (const shift of shifts) {
+        const total = totals.get(shift.userId) || { userId: shift.userId, userName: shift.userName, shiftCount: 0, minutes: 0 };
+        total.shiftCount++;
+        total.minutes += getShiftMinutes(shift, from, to);
+        totals.set(shift.userId, total);
+    }
+    return [...totals.values()].sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * Converts a shift into a flat export record
+ * @param {DutyShift} shift - The shift
+ * @param {Date} from - Start of the exported period
+ * @param {Date} to - End of the exported period
+ * @returns {Object} The export record with one property per SHIFT_EXPORT_COLUMNS entry
+ */
+function buildShiftRecord(shift, from, to) {
+    return {
+        shiftId: shift.id,
+        userId: shift.userId,
+        userName: shift.userName,
+        source: shift.source,
+        startedAt: new Date(shift.startedAt).toISOString(),
+        endedAt: shift.endedAt ? new Date(shift.endedAt).toISOString() : null,
+        minutes: getShiftMinutes(shift),
+        minutesInPeriod: getShiftMinutes(shift, from, to)
+    };
+}
+
+module.exports = {
+    DUTY_CHECK_INTERVAL_MS,
+    DAY_NAMES,
+    DAY_CHOICES,
+    SHIFT_EXPORT_COLUMNS,
+    getOnDutyShifts,
+    startShift,
+    endShift,
+    getSecurityPing,
+    applyRoster,
+    getRoster,
+    addRosterEntry,
+    removeRosterEntry,
+    formatRosterEntry,
+    getShiftHistory,
+    summariseShifts,
+    buildShiftRecord
+};
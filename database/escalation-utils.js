@@ -0,0 +1,157 @@
+/**
+ * @file Request escalation utilities
+ * @module Database/EscalationUtils
+ * @description Escalates security requests that stay pending without a responder, following the
+ * escalation policy stored in the ServerConfig of the provider handling the request. After the re-ping
+ * delay the security role (or the personnel on duty) is pinged again; after the supervisor delay the supervisor role is pinged and
+ * a summary is posted in the escalation channel.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { getServerConfig } = require('./server-config-utils');
+const { getRequestProviderId } = require('./provider-utils');
+const { findOpenRequests, escalateRequest } = require('./request-utils');
+const { formatPriority, formatSecurityMentions } = require('./request-priorities');
+const { getSecurityPing } = require('./duty-utils');
+
+/**
+ * How often pending requests are checked for escalation, in milliseconds
+ * @type {number}
+ */
+const ESCALATION_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Escalation level once the security role has been re-pinged
+ * @type {number}
+ */
+const LEVEL_REPINGED = 1;
+
+/**
+ * Escalation level once supervisors have been alerted
+ * @type {number}
+ */
+const LEVEL_SUPERVISORS = 2;
+
+/**
+ * Builds a link to a request's alert message
+ * @param {import('discord.js').GuildChannel} channel - The alert channel
+ * @param {SecurityRequest} request - The security request
+ * @returns {string} Jump link to the alert message
+ */
+function getAlertMessageLink(channel, request) {
+    return `https://discord.com/channels/${channel.guild.id}/${channel.id}/${request.securityMessageId}`;
+}
+
+/**
+ * Pings the security role again, as a reply to the request's alert message. The role of the routing rule
+ * the request was sent with, or the personnel now on duty, are pinged instead when there are any.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {ServerConfig} config - Configuration of the provider handling the request
+ * @param {SecurityRequest} request - The escalated request
+ * @param {number} minutesPending - How long the request has been waiting
+ * @returns {Promise<void>}
+ */
+async function repingSecurityRole(client, config, request, minutesPending) {
+    const alertChannel = await client.channels.fetch(request.securityChannelId);
+    const securityPing = await getSecurityPing(config.serverId, config, request.pingRoleId);
+    await alertChannel.send({
+        content: `${formatSecurityMentions(config, securityPing).join(' ')} ⏰ This ${formatPriority(request.priority)} request has been waiting ${minutesPending} minutes without a responder.`,
+        reply: { messageReference: request.securityMessageId, failIfNotExists: false }
+    });
+}
+
+/**
+ * Pings the supervisor role and posts a summary of the request in the escalation channel
+ * (or the alert channel if no escalation channel is configured)
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {ServerConfig} config - Configuration of the provider handling the request
+ * @param {SecurityRequest} request - The escalated request
+ * @param {number} minutesPending - How long the request has been waiting
+ * @returns {Promise<void>}
+ */
+async function alertSupervisors(client, config, request, minutesPending) {
+    const alertChannel = await client.channels.fetch(request.securityChannelId);
+    const escalationChannel = config.escalationChannelId
+        ? await client.channels.fetch(config.escalationChannelId)
+        : alertChannel;
+
+    const summaryEmbed = new EmbedBuilder()
+        .setColor(0xFFA500)
+        .setTitle('⚠️ Unanswered Security Request')
+        .setDescription(`No security personnel have responded for ${minutesPending} minutes.`)
+        .addFields(
+            { name: 'Priority', value: formatPriority(request.priority) },
+            { name: 'Location', value: request.location },
+            { name: 'Requested By', value: request.isExternal ? `${request.requesterName} (external)` : `<@${request.requesterId}>` },
+            { name: 'Alert', value: `[Jump to request](${getAlertMessageLink(alertChannel, request)})` }
+        )
+        .setTimestamp()
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+
+    if (request.threadId) {
+        summaryEmbed.addFields({ name: 'Discussion', value: `<#${request.threadId}>` });
+    }
+
+    await escalationChannel.send({
+        content: config.supervisorRoleId
+            ? `<@&${config.supervisorRoleId}> A security request needs attention.`
+            : 'A security request needs attention.',
+        embeds: [summaryEmbed]
+    });
+}
+
+/**
+ * Checks all pending requests against the escalation policy of the provider handling them and escalates
+ * the ones that have waited too long. Each level is only applied once per pending period.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @returns {Promise<{repinged: number, supervisorAlerts: number, errors: number}>} Escalation statistics
+ * @example
+ * const stats = await checkRequestEscalations(client);
+ * console.log(`Re-pinged ${stats.repinged} requests, alerted supervisors about ${stats.supervisorAlerts}`);
+ */
+async function checkRequestEscalations(client) {
+    const stats = { repinged: 0, supervisorAlerts: 0, errors: 0 };
+
+    // Each provider has its own escalation policy
+    const configs = new Map();
+    const pendingRequests = await findOpenRequests({ status: 'pending' });
+    for (const request of pendingRequests) {
+        if (!request.securityChannelId || !request.securityMessageId) continue;
+
+        const providerGuildId = getRequestProviderId(request);
+        if (!configs.has(providerGuildId)) {
+            configs.set(providerGuildId, await getServerConfig(providerGuildId));
+        }
+        const config = configs.get(providerGuildId);
+        if (!config || (!config.escalationRepingMinutes && !config.escalationSupervisorMinutes)) continue;
+
+        const pendingSince = new Date(request.pendingSince || request.createdAt);
+        const minutesPending = Math.floor((Date.now() - pendingSince.getTime()) / 60000);
+
+        try {
+            if (config.escalationSupervisorMinutes && minutesPending >= config.escalationSupervisorMinutes && request.escalationLevel < LEVEL_SUPERVISORS) {
+                const escalated = await escalateRequest(request.requestId, LEVEL_SUPERVISORS);
+                if (escalated) {
+                    await alertSupervisors(client, config, escalated, minutesPending);
+                    stats.supervisorAlerts++;
+                }
+            } else if (config.escalationRepingMinutes && minutesPending >= config.escalationRepingMinutes && request.escalationLevel < LEVEL_REPINGED) {
+                const escalated = await escalateRequest(request.requestId, LEVEL_REPINGED);
+                if (escalated) {
+                    await repingSecurityRole(client, config, escalated, minutesPending);
+                    stats.repinged++;
+                }
+            }
+        } catch (error) {
+            console.error(`[ERROR] Failed to escalate request ${request.requestId}:`, error);
+            stats.errors++;
+        }
+    }
+
+    return stats;
+}
+
+module.exports = {
+    checkRequestEscalations,
+    ESCALATION_CHECK_INTERVAL_MS
+};
@@ -0,0 +1,122 @@
+/**
+ * @file Request export utilities
+ * @module Database/ExportUtils
+ * @description Turns security requests into flat records and serialises them as CSV or JSON
+ * for the incident reports produced by /requests export. The CSV serialiser is also used for the
+ * shift history produced by /duty history.
+ */
+
+const { getResponderIds } = require('./request-utils');
+
+/**
+ * Columns of an exported request, in CSV order
+ * @type {Array<string>}
+ */
+const EXPORT_COLUMNS = [
+    'requestId',
+    'createdAt',
+    'priority',
+    'status',
+    'source',
+    'location',
+    'details',
+    'contact',
+    'peopleInvolved',
+    'anyoneInjured',
+    'requesterId',
+    'requesterName',
+    'responderIds',
+    'responderNames',
+    'concludedAt',
+    'concludedById',
+    'concludedByName',
+    'conclusionReason',
+    'firstRespondedAt',
+    'minutesToFirstResponse',
+    'minutesToConclusion'
+];
+
+/**
+ * Converts a request into a flat export record
+ * @param {SecurityRequest} request - The stored security request, with its externalServer included
+ * @param {Map<string, string>} responderNames - Display names keyed by responder ID
+ * @returns {Object} The export record with one property per EXPORT_COLUMNS entry
+ */
+function buildExportRecord(request, responderNames) {
+    const responderIds = getResponderIds(request);
+    const minutesSinceCreation = timestamp => (timestamp
+        ? Math.round((new Date(timestamp) - new Date(request.createdAt)) / 60000)
+        : null);
+
+    return {
+        requestId: request.requestId,
+        createdAt: new Date(request.createdAt).toISOString(),
+        priority: request.priority,
+        status: request.status,
+        source: request.isExternal ? (request.externalServer?.guildName || request.externalGuildId) : 'Main server',
+        location: request.location,
+        details: request.details || null,
+        contact: request.contact || null,
+        peopleInvolved: request.peopleInvolved ?? null,
+        anyoneInjured: request.anyoneInjured ?? null,
+        requesterId: request.requesterId,
+        requesterName: request.requesterName,
+        responderIds,
+        responderNames: responderIds.map(id => responderNames.get(id) || id),
+        concludedAt: request.concludedAt ? new Date(request.concludedAt).toISOString() : null,
+        concludedById: request.concludedById || null,
+        concludedByName: request.concludedByName || null,
+        conclusionReason: request.conclusionReason || null,
+        firstRespondedAt: request.firstRespondedAt ? new Date(request.firstRespondedAt).toISOString() : null,
+        minutesToFirstResponse: minutesSinceCreation(request.firstRespondedAt),
+        minutesToConclusion: minutesSinceCreation(request.concludedAt)
+    };
+}
+
+/**
+ * Characters a spreadsheet reads as the start of a formula
+ * @type {RegExp}
+ */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Escapes a value for a CSV cell. Lists are joined with semicolons. Text that a spreadsheet would run as a
+ * formula, such as a location typed as '=HYPERLINK(...)', is prefixed with an apostrophe so it is shown as text.
+ * @param {*} value - The value to escape
+ * @returns {string} The CSV cell
+ */
+function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = Array.isArray(value) ? value.join('; ') : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialises export records as CSV with a header row
+ * @param {Array<Object>} records - Records built by buildExportRecord
+ * @param {Array<string>} [columns=EXPORT_COLUMNS] - The columns, in CSV order
+ * @returns {string} The CSV document
+ */
+function toCsv(records, columns = EXPORT_COLUMNS) {
+    const rows = records.map(record => columns.map(column => toCsvCell(record[column])).join(','));
+    return [columns.join(','), ...rows].join('\r\n');
+}
+
+/**
+ * Serialises export records as pretty-printed JSON
+ * @param {Array<Object>} records - Records built by buildExportRecord
+ * @returns {string} The JSON document
+ */
+function toJson(records) {
+    return JSON.stringify(records, null, 2);
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    buildExportRecord,
+    toCsv,
+    toJson
+};
@@ -0,0 +1,165 @@
+/**
+ * @file Guild lifecycle utilities
+ * @module Database/GuildLifecycleUtils
+ * @description Handles the bot joining and leaving customer servers: new servers get an onboarding
+ * message explaining the setup, and when the bot is removed from a server it is marked removed, its
+ * open requests are concluded and the alert channel of its security provider is notified.
+ */
+
+const { EmbedBuilder, ChannelType, PermissionFlagsBits } = require('discord.js');
+const { ExternalServer } = require('./models');
+const { findOpenRequests, concludeRequest, syncSecurityMessage, postToRequestThread, closeRequestThread, getResponderIds } = require('./request-utils');
+const { markServerRemoved, sendSystemNotification } = require('./server-utils');
+const { isProviderGuild, getProviders, getServerProviderId, formatProviderName, getProviderName } = require('./provider-utils');
+
+/**
+ * Conclusion reason of requests whose server removed the bot
+ * @type {string}
+ */
+const SERVER_REMOVED_REASON = 'Customer server removed the bot';
+
+/**
+ * Builds the onboarding message posted when the bot joins a customer server
+ * @param {import('discord.js').Guild} guild - The joined guild
+ * @param {boolean} wasRegistered - Whether the server was set up before the bot was removed
+ * @param {Array<string>} providerNames - Names of the security providers the server can subscribe to
+ * @param {string|null} currentProviderName - Name of the provider the server was subscribed to, null for new servers
+ * @returns {EmbedBuilder} The onboarding embed
+ */
+function buildOnboardingEmbed(guild, wasRegistered, providerNames, currentProviderName) {
+    const channelStep = providerNames.length > 1
+        ? `Run \`/setup-security-channel channel:#your-channel provider:<name>\` (Administrator permission required) and pick your security provider: ${providerNames.map(name => `**${name}**`).join(', ')}. Requests are made and confirmed in that channel.`
+        : 'Run `/setup-security-channel channel:#your-channel` (Administrator permission required). Requests are made and confirmed in that channel.';
+
+    return new EmbedBuilder()
+        .setColor(0x0099FF)
+        .setTitle('👋 Thanks for adding the Arcani security bot!')
+        .setDescription(wasRegistered
+            ? `**${guild.name}** was connected to a security provider before. An administrator needs to run \`/setup-security-channel\` again to resume security requests.`
+            : `**${guild.name}** can request security assistance once an administrator has finished the setup.`)
+        .addFields(
+            { name: '1. Choose a channel', value: channelStep.slice(0, 1024) },
+            { name: '2. Restrict who can request (optional)', value: 'Run `/set-required-roles` to limit `/request-external-security` to specific roles.' },
+            { name: '3. Request security', value: 'Members use `/request-external-security` in the chosen channel to alert the security personnel.' }
+        )
+        .setTimestamp()
+        .setFooter({ text: (currentProviderName || providerNames.join(' • ') || 'Arcani Security').slice(0, 2048) });
+}
+
+/**
+ * Finds a channel the onboarding message can be posted in: the server's system channel if the bot
+ * can send messages there, otherwise the first text channel it can send messages in
+ * @param {import('discord.js').Guild} guild - The joined guild
+ * @returns {import('discord.js').TextChannel|null} The channel, or null if the bot cannot post anywhere
+ */
+function findOnboardingChannel(guild) {
+    const me = guild.members.me;
+    const canSend = channel => channel?.type === ChannelType.GuildText
+        && channel.permissionsFor(me)?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks]);
+
+    if (canSend(guild.systemChannel)) return guild.systemChannel;
+
+    return guild.channels.cache
+        .filter(canSend)
+        .sort((a, b) => a.rawPosition - b.rawPosition)
+        .first() || null;
+}
+
+/**
+ * Posts the onboarding message in a server the bot just joined.
+ * Nothing is posted in security provider servers.
+ * @param {import('discord.js').Guild} guild - The joined guild
+ * @returns {Promise<boolean>} Whether the onboarding message was posted
+ */
+async function sendOnboardingMessage(guild) {
+    if (await isProviderGuild(guild.id)) return false;
+
+    const channel = findOnboardingChannel(guild);
+    if (!channel) {
+        console.warn(`[WARN] No channel to post the onboarding message in ${guild.name} (${guild.id})`);
+        return false;
+    }
+
+    try {
+        const externalServer = await ExternalServer.findByPk(guild.id);
+        const providerNames = (await getProviders()).map(provider => formatProviderName(provider, guild.client));
+        const currentProviderName = externalServer ? await getProviderName(getServerProviderId(externalServer), guild.client) : null;
+        await channel.send({ embeds: [buildOnboardingEmbed(guild, Boolean(externalServer), providerNames, currentProviderName)] });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to post onboarding message in ${guild.name} (${guild.id}):`, error);
+        return false;
+    }
+}
+
+/**
+ * Concludes the open requests of a server that removed the bot. The requester can no longer be
+ * reached, so only the security server message and discussion thread are updated.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} guildId - The Discord guild ID of the removed server
+ * @returns {Promise<Array<SecurityRequest>>} The requests that were concluded
+ */
+async function concludeRemovedServerRequests(client, guildId) {
+    const openRequests = await findOpenRequests({ externalGuildId: guildId });
+    const concludedRequests = [];
+
+    for (const openRequest of openRequests) {
+        try {
+            const { request, concluded } = await concludeRequest(openRequest.requestId, {
+                userId: client.user.id,
+                userName: client.user.tag,
+                reason: SERVER_REMOVED_REASON
+            });
+            if (!concluded) continue;
+
+            await syncSecurityMessage(client, request);
+            const responderIds = getResponderIds(request);
+            await postToRequestThread(client, request, {
+                content: `🚫 The customer server removed the bot, so this request was concluded automatically. The requester can no longer be reached through the bot. ${responderIds.map(id => `<@${id}>`).join(' ')}`.trim(),
+                allowedMentions: { users: responderIds }
+            });
+            await closeRequestThread(client, request);
+            concludedRequests.push(request);
+        } catch (error) {
+            console.error(`[ERROR] Failed to conclude request ${openRequest.requestId} of removed server ${guildId}:`, error);
+        }
+    }
+
+    return concludedRequests;
+}
+
+/**
+ * Handles the bot being removed from a customer server: marks the server removed, concludes its
+ * open requests and notifies the alert channel of the provider it subscribed to.
+ * Servers that never registered with /setup-security-channel are ignored.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {import('discord.js').Guild} guild - The guild the bot was removed from
+ * @returns {Promise<{server: ExternalServer, concluded: Array<SecurityRequest>}|null>} The removed server and
+ * its concluded requests, or null if the server was not registered
+ */
+async function handleServerRemoved(client, guild) {
+    const server = await markServerRemoved(guild.id);
+    if (!server) return null;
+
+    const concluded = await concludeRemovedServerRequests(client, guild.id);
+
+    const lines = [`The bot was removed from **${server.guildName}** (${server.guildId}). The server has been marked as removed.`];
+    if (concluded.length > 0) {
+        lines.push('', `**${concluded.length}** open request${concluded.length === 1 ? ' was' : 's were'} concluded automatically:`);
+        lines.push(...concluded.map(request => `• ${request.location} (ID: ${request.requestId})`));
+    }
+
+    await sendSystemNotification(client, lines.join('\n').slice(0, 4096), {
+        title: '📤 Removed from Customer Server',
+        notifyExternal: false,
+        providerGuildId: getServerProviderId(server)
+    });
+
+    return { server, concluded };
+}
+
+module.exports = {
+    SERVER_REMOVED_REASON,
+    sendOnboardingMessage,
+    handleServerRemoved
+};
@@ -0,0 +1,289 @@
+/**
+ * @file Configuration health utilities
+ * @module Database/HealthUtils
+ * @description Reconciles the stored configuration with Discord: checks that each security provider's
+ * configured channels and roles (including those of its routing rules) and each external server's security channel still exist and that the
+ * bot still has the permissions it needs there. External servers the bot is no longer a member of are
+ * marked as removed. Each provider gets a health report in its alert channel covering its own server
+ * and the external servers subscribed to it.
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const { Op } = require('sequelize');
+const { ExternalServer } = require('./models');
+const { getServerConfig } = require('./server-config-utils');
+const { sendSystemNotification } = require('./server-utils');
+const { handleServerRemoved } = require('./guild-lifecycle-utils');
+const { getProviders, getServerProviderId } = require('./provider-utils');
+const { getRoutingRules } = require('./routing-utils');
+
+/**
+ * How often the configuration health is checked after the startup check, in milliseconds
+ * @type {number}
+ */
+const HEALTH_CHECK_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Permissions the bot needs in every channel it posts requests in
+ * @type {Array<bigint>}
+ */
+const MESSAGE_PERMISSIONS = [
+    PermissionFlagsBits.ViewChannel,
+    PermissionFlagsBits.SendMessages,
+    PermissionFlagsBits.EmbedLinks,
+    PermissionFlagsBits.ReadMessageHistory
+];
+
+/**
+ * Additional permissions needed to open, post in and close request threads
+ * @type {Array<bigint>}
+ */
+const THREAD_PERMISSIONS = [
+    PermissionFlagsBits.CreatePublicThreads,
+    PermissionFlagsBits.SendMessagesInThreads,
+    PermissionFlagsBits.ManageThreads
+];
+
+/**
+ * Formats a permission flag for display, e.g. 'Send Messages'
+ * @param {bigint} permission - The permission flag
+ * @returns {string} The permission name
+ */
+function formatPermission(permission) {
+    const name = Object.keys(PermissionFlagsBits).find(key => PermissionFlagsBits[key] === permission);
+    return name ? name.replace(/([a-z])([A-Z])/g, '$1 $2') : String(permission);
+}
+
+/**
+ * Checks that a configured channel exists and that the bot has the given permissions in it
+ * @param {import('discord.js').Guild} guild - The guild the channel belongs to
+ * @param {string} channelId - The configured channel ID
+ * @param {string} label - What the channel is used for, e.g. 'Alert channel'
+ * @param {Array<bigint>} permissions - Permissions the bot needs in the channel
+ * @returns {Array<string>} The problems found, empty if the channel is healthy
+ */
+function checkChannel(guild, channelId, label, permissions) {
+    const channel = guild.channels.cache.get(channelId);
+    if (!channel) {
+        return [`${label} <#${channelId}> (${channelId}) no longer exists`];
+    }
+
+    const granted = channel.permissionsFor(guild.members.me);
+    const missing = permissions.filter(permission => !granted?.has(permission));
+    if (missing.length > 0) {
+        return [`${label} ${channel} is missing permissions: ${missing.map(formatPermission).join(', ')}`];
+    }
+    return [];
+}
+
+/**
+ * Checks that a configured role exists and, optionally, that the bot can ping or assign it
+ * @param {import('discord.js').Guild} guild - The guild the role belongs to
+ * @param {string} roleId - The configured role ID
+ * @param {string} label - What the role is used for, e.g. 'Security role'
+ * @param {Object} [options] - Extra checks
+ * @param {import('discord.js').GuildChannel} [options.pingChannel] - Channel the bot pings the role in
+ * @param {boolean} [options.assignable=false] - Whether the bot adds and removes the role
+ * @returns {Array<string>} The problems found, empty if the role is healthy
+ */
+function checkRole(guild, roleId, label, { pingChannel, assignable = false } = {}) {
+    const role = guild.roles.cache.get(roleId);
+    if (!role) {
+        return [`${label} (${roleId}) no longer exists`];
+    }
+
+    const issues = [];
+    if (pingChannel && !role.mentionable
+        && !pingChannel.permissionsFor(guild.members.me)?.has(PermissionFlagsBits.MentionEveryone)) {
+        issues.push(`${label} ${role} is not mentionable and the bot cannot mention all roles in ${pingChannel}, so pings will not notify anyone`);
+    }
+    if (assignable && !role.editable) {
+        issues.push(`${label} ${role} cannot be assigned by the bot (it needs Manage Roles and a higher role than ${role})`);
+    }
+    return issues;
+}
+
+/**
+ * Checks a security provider's configuration
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} guildId - The provider's guild ID
+ * @returns {Promise<{guildId: string, guildName: string, issues: Array<string>}>} The problems found
+ */
+async function checkProviderServer(client, guildId) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+        return { guildId, guildName: 'Security provider server', issues: ['The bot is not a member of this security provider server'] };
+    }
+
+    const config = await getServerConfig(guildId);
+    const issues = [];
+
+    if (!config?.alertChannelId) {
+        issues.push('No alert channel is configured, requests cannot be posted');
+    } else {
+        issues.push(...checkChannel(guild, config.alertChannelId, 'Alert channel', [...MESSAGE_PERMISSIONS, ...THREAD_PERMISSIONS]));
+    }
+    const alertChannel = guild.channels.cache.get(config?.alertChannelId);
+
+    if (!config?.securityRoleId) {
+        issues.push('No security role is configured, requests cannot be posted');
+    } else {
+        issues.push(...checkRole(guild, config.securityRoleId, 'Security role', { pingChannel: alertChannel }));
+    }
+
+    if (!config?.customerRoleId) {
+        issues.push('No customer role is configured');
+    } else {
+        issues.push(...checkRole(guild, config.customerRoleId, 'Customer role', { assignable: true }));
+    }
+
+    if (config?.managerRoleId) {
+        issues.push(...checkRole(guild, config.managerRoleId, 'Manager role'));
+    }
+    if (config?.blacklistRoleId) {
+        issues.push(...checkRole(guild, config.blacklistRoleId, 'Blacklist role'));
+    }
+    if (config?.onDutyRoleId) {
+        issues.push(...checkRole(guild, config.onDutyRoleId, 'On-duty role', { pingChannel: alertChannel, assignable: true }));
+    }
+
+    const escalationChannelId = config?.escalationChannelId || config?.alertChannelId;
+    if (config?.escalationChannelId) {
+        issues.push(...checkChannel(guild, config.escalationChannelId, 'Escalation channel', MESSAGE_PERMISSIONS));
+    }
+    if (config?.supervisorRoleId) {
+        issues.push(...checkRole(guild, config.supervisorRoleId, 'Supervisor role', {
+            pingChannel: guild.channels.cache.get(escalationChannelId)
+        }));
+    }
+
+    for (const rule of await getRoutingRules(guildId)) {
+        const label = `Routing rule #${rule.position}`;
+        issues.push(...checkChannel(guild, rule.channelId, `${label} channel`, [...MESSAGE_PERMISSIONS, ...THREAD_PERMISSIONS]));
+        if (rule.roleId) {
+            issues.push(...checkRole(guild, rule.roleId, `${label} role`, { pingChannel: guild.channels.cache.get(rule.channelId) }));
+        }
+    }
+
+    return { guildId, guildName: guild.name, issues };
+}
+
+/**
+ * Checks the security channel of an external server
+ * @param {import('discord.js').Guild} guild - The external guild
+ * @param {ExternalServer} server - The stored external server
+ * @returns {Array<string>} The problems found, empty if the server is healthy
+ */
+function checkExternalServer(guild, server) {
+    return checkChannel(guild, server.channelId, 'Security channel', [...MESSAGE_PERMISSIONS, ...THREAD_PERMISSIONS]);
+}
+
+/**
+ * Checks the configuration of a security provider and the external servers subscribed to it that have
+ * not been removed. External servers the bot is no longer a member of (for instance because it was kicked
+ * while offline) are marked as removed, which also concludes their open requests.
+ * Unavailable guilds (Discord outages) are skipped.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} providerGuildId - The provider's guild ID
+ * @returns {Promise<{results: Array<{guildId: string, guildName: string, issues: Array<string>}>, removed: Array<ExternalServer>, issueCount: number}>}
+ * The problems found per guild (guilds without problems are left out) and the servers marked as removed
+ * @example
+ * const report = await checkConfigurationHealth(client, process.env.GUILD_ID);
+ * console.log(`${report.issueCount} configuration problems found`);
+ */
+async function checkConfigurationHealth(client, providerGuildId) {
+    const results = [await checkProviderServer(client, providerGuildId)];
+    const removed = [];
+
+    const servers = (await ExternalServer.findAll({
+        where: { removedAt: { [Op.is]: null }, isBlacklisted: false },
+        order: [['guildName', 'ASC']]
+    })).filter(server => getServerProviderId(server) === providerGuildId);
+
+    for (const server of servers) {
+        const guild = client.guilds.cache.get(server.guildId);
+        if (!guild) {
+            const result = await handleServerRemoved(client, { id: server.guildId, name: server.guildName });
+            if (result) removed.push(result.server);
+            continue;
+        }
+        if (!guild.available) continue;
+
+        results.push({ guildId: server.guildId, guildName: server.guildName, issues: checkExternalServer(guild, server) });
+    }
+
+    const unhealthy = results.filter(result => result.issues.length > 0);
+    return {
+        results: unhealthy,
+        removed,
+        issueCount: unhealthy.reduce((total, result) => total + result.issues.length, 0)
+    };
+}
+
+/**
+ * Formats a health check as the text of the health report
+ * @param {Object} report - The result of checkConfigurationHealth
+ * @returns {string} The report text
+ */
+function formatHealthReport(report) {
+    if (report.issueCount === 0 && report.removed.length === 0) {
+        return '✅ All configured channels and roles exist and the bot has the permissions it needs.';
+    }
+
+    const sections = report.results.map(result =>
+        [`**${result.guildName}** (${result.guildId})`, ...result.issues.map(issue => `• ${issue}`)].join('\n'));
+    if (report.removed.length > 0) {
+        sections.push([
+            '**No longer a member, marked as removed:**',
+            ...report.removed.map(server => `• ${server.guildName} (${server.guildId})`)
+        ].join('\n'));
+    }
+
+    const text = sections.join('\n\n');
+    return text.length > 4000 ? `${text.slice(0, 4000)}\n…` : text;
+}
+
+/**
+ * Runs the configuration health check for every security provider and posts each report in the
+ * provider's alert channel
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {Object} [options] - Report options
+ * @param {boolean} [options.onlyIfUnhealthy=false] - Only post a report when problems were found
+ * @returns {Promise<Map<string, Object>>} The result of checkConfigurationHealth per provider guild ID
+ * @example
+ * // At startup, always post the reports
+ * await runHealthCheck(client);
+ * // On the schedule, only post when something is broken
+ * await runHealthCheck(client, { onlyIfUnhealthy: true });
+ */
+async function runHealthCheck(client, { onlyIfUnhealthy = false } = {}) {
+    const reports = new Map();
+
+    for (const provider of await getProviders()) {
+        const providerGuildId = provider.serverId;
+        const report = await checkConfigurationHealth(client, providerGuildId);
+        reports.set(providerGuildId, report);
+        console.log(`[INFO] Configuration health check for provider ${providerGuildId}: ${report.issueCount} problems in ${report.results.length} servers, ${report.removed.length} servers marked removed`);
+
+        if (report.issueCount === 0 && onlyIfUnhealthy) continue;
+
+        const result = await sendSystemNotification(client, formatHealthReport(report), {
+            title: report.issueCount > 0 ? '🩺 Configuration Health Report: problems found' : '🩺 Configuration Health Report',
+            isError: report.issueCount > 0,
+            notifyExternal: false,
+            providerGuildId
+        });
+        if (!result.mainSuccess) {
+            console.error(`[ERROR] Could not post the configuration health report in the alert channel of provider ${providerGuildId}:\n${formatHealthReport(report)}`);
+        }
+    }
+
+    return reports;
+}
+
+module.exports = {
+    HEALTH_CHECK_INTERVAL_MS,
+    checkConfigurationHealth,
+    formatHealthReport,
+    runHealthCheck
+};
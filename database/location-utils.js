@@ -0,0 +1,170 @@
+/**
+ * @file Location directory utilities
+ * @module Database/LocationUtils
+ * @description Manages the location directory of each server and matches request locations against it.
+ * The location option of the request commands autocompletes from the directory of the server it is used
+ * in but still accepts free text; a typed location that matches a directory entry (ignoring case) is
+ * stored with the entry's name, so requests for the same place can be reported on together.
+ */
+
+const { Op } = require('sequelize');
+const { Location, sequelize } = require('./models');
+const { getRequestProviderId } = require('./provider-utils');
+
+/**
+ * Maximum number of locations in a server's directory
+ * @type {number}
+ */
+const MAX_LOCATIONS = 200;
+
+/**
+ * Maximum length of a location name. Autocomplete values cannot be longer.
+ * @type {number}
+ */
+const MAX_LOCATION_NAME_LENGTH = 100;
+
+/**
+ * Maximum number of autocomplete suggestions Discord accepts
+ * @type {number}
+ */
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+/**
+ * Gets the location directory of a server, sorted by name
+ * @param {string} guildId - The server's guild ID
+ * @returns {Promise<Array<Location>>} The locations
+ */
+async function getLocations(guildId) {
+    return Location.findAll({
+        where: { guildId },
+        order: [['name', 'ASC']]
+    });
+}
+
+/**
+ * Finds a location in a server's directory by name, ignoring case
+ * @param {string} guildId - The server's guild ID
+ * @param {string} name - The location name
+ * @returns {Promise<Location|null>} The location, or null if the directory has no such location
+ */
+async function findLocation(guildId, name) {
+    if (!guildId || !name) return null;
+    return Location.findOne({
+        where: {
+            guildId,
+            [Op.and]: [sequelize.where(sequelize.fn('lower', sequelize.col('name')), name.trim().toLowerCase())]
+        }
+    });
+}
+
+/**
+ * Adds a location to a server's directory. Adding a location that already exists updates its zone and
+ * notes; a zone or notes that are not given are kept.
+ * @param {string} guildId - The server's guild ID
+ * @param {Object} locationData - The location
+ * @param {string} locationData.name - Name of the location
+ * @param {string|null} [locationData.zone] - Zone the location is in
+ * @param {string|null} [locationData.notes] - Notes for responders
+ * @returns {Promise<{location: Location, created: boolean}>} The location and whether it is new
+ * @throws {Error} When the directory already has the maximum number of locations
+ */
+async function addLocation(guildId, { name, zone = null, notes = null }) {
+    const existing = await findLocation(guildId, name);
+    if (existing) {
+        await existing.update({ zone: zone ?? existing.zone, notes: notes ?? existing.notes });
+        return { location: existing, created: false };
+    }
+
+    const count = await Location.count({ where: { guildId } });
+    if (count >= MAX_LOCATIONS) {
+        throw new Error(`A server can have at most ${MAX_LOCATIONS} locations`);
+    }
+
+    const location = await Location.create({ guildId, name: name.trim(), zone, notes });
+    return { location, created: true };
+}
+
+/**
+ * Removes a location from a server's directory. Requests made for it keep their location.
+ * @param {string} guildId - The server's guild ID
+ * @param {string} name - The location name, ignoring case
+ * @returns {Promise<Location|null>} The removed location, or null if the directory has no such location
+ */
+async function removeLocation(guildId, name) {
+    const location = await findLocation(guildId, name);
+    if (!location) return null;
+
+    await location.destroy();
+    return location;
+}
+
+/**
+ * Suggests locations from a server's directory whose name or zone contains the typed text
+ * @param {string} guildId - The server's guild ID
+ * @param {string} query - The text typed so far
+ * @returns {Promise<Array<{name: string, value: string}>>} Autocomplete choices, at most 25
+ * @example
+ * await interaction.respond(await suggestLocations(interaction.guildId, interaction.options.getFocused()));
+ */
+async function suggestLocations(guildId, query) {
+    const normalised = query.trim().toLowerCase();
+    return (await getLocations(guildId))
+        .filter(location => location.name.toLowerCase().includes(normalised)
+            || (location.zone || '').toLowerCase().includes(normalised))
+        .slice(0, MAX_AUTOCOMPLETE_CHOICES)
+        .map(location => ({
+            name: (location.zone ? `${location.name} (${location.zone})` : location.name).slice(0, 100),
+            value: location.name
+        }));
+}
+
+/**
+ * Matches the location typed in a request against a server's directory
+ * @param {string} guildId - The server's guild ID
+ * @param {string} input - The location option value
+ * @returns {Promise<string>} The directory name of the location, or the trimmed input if it is not in the directory
+ * @example
+ * const location = await resolveLocationName(interaction.guild.id, interaction.options.getString('location'));
+ * // 'north tower' -> 'North Tower'
+ */
+async function resolveLocationName(guildId, input) {
+    const location = await findLocation(guildId, input);
+    return location ? location.name : input.trim();
+}
+
+/**
+ * Gets the directory entry of a request's location. External requests use the customer server's
+ * directory, internal requests the provider's.
+ * @param {SecurityRequest} request - The security request
+ * @returns {Promise<Location|null>} The location, or null if it is not in the directory
+ */
+async function getRequestLocation(request) {
+    const guildId = request.isExternal ? request.externalGuildId : getRequestProviderId(request);
+    return findLocation(guildId, request.location);
+}
+
+/**
+ * Formats a location for display
+ * @param {Location} location - The location
+ * @returns {string} The name, zone and notes
+ * @example
+ * formatLocation(location);
+ * // '**North Tower** – Harbour District\nEntrance on the east side, code 4411'
+ */
+function formatLocation(location) {
+    const title = location.zone ? `**${location.name}** – ${location.zone}` : `**${location.name}**`;
+    return location.notes ? `${title}\n${location.notes}` : title;
+}
+
+module.exports = {
+    MAX_LOCATIONS,
+    MAX_LOCATION_NAME_LENGTH,
+    getLocations,
+    findLocation,
+    addLocation,
+    removeLocation,
+    suggestLocations,
+    resolveLocationName,
+    getRequestLocation,
+    formatLocation
+};
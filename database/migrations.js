@@ -6,7 +6,7 @@
  * with code changes without requiring manual database manipulation.
  */
 
-const { sequelize, ExternalServer, ServerConfig } = require('./models');
+const { sequelize, ExternalServer, ServerConfig, SecurityRequest } = require('./models');
 const { QueryTypes, DataTypes } = require('sequelize');
 
 /**
@@ -21,7 +21,21 @@ async function runMigrations() {
     const migrations = [
         migrateLastAccessed,
         migrateServerConfigs,
-        migrateBlacklistColumns
+        migrateBlacklistColumns,
+        migrateSecurityChannelColumn,
+        migratePriorityColumn,
+        migrateEscalationColumns,
+        migrateThreadColumn,
+        migrateRelayColumns,
+        migrateFirstRespondedColumn,
+        migrateRatingColumns,
+        migrateRemovedAtColumn,
+        migrateProviderColumns,
+        migratePingRoleColumn,
+        migrateOnDutyRoleColumn,
+        migrateRequestFormColumns,
+        migratePanelColumns,
+        migrateRateLimitColumns
     ];
     
     for (const migration of migrations) {
@@ -254,6 +268,300 @@ async function migrateBlacklistColumns() {
     }
 }
 
+/**
+ * Adds a column to the first existing table out of a list of possible table names,
+ * unless the column already exists (under its camelCase or snake_case name)
+ * @param {Array<string>} possibleTableNames - Table names to look for, in order of preference
+ * @param {string} columnName - The snake_case column name to add
+ * @param {string} columnDefinition - SQL type and constraints for the column
+ * @returns {Promise<boolean>} True if the column was added
+ * @example
+ * await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'security_channel_id', 'TEXT');
+ */
+async function addColumnIfMissing(possibleTableNames, columnName, columnDefinition) {
+    const tableListQuery = await sequelize.query(
+        "SELECT name FROM sqlite_master WHERE type='table';",
+        { type: QueryTypes.SELECT }
+    );
+    const tableNames = tableListQuery.map(result => result.name);
+
+    const table = possibleTableNames.find(name => tableNames.includes(name));
+    if (!table) {
+        console.log(`[INFO] No table found for ${columnName}, it will be created during sync`);
+        return false;
+    }
+
+    const columns = await sequelize.query(
+        `PRAGMA table_info(${table});`,
+        { type: QueryTypes.SELECT }
+    );
+    const camelCaseName = columnName.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+    const hasColumn = columns.some(column => column.name === columnName || column.name === camelCaseName);
+
+    if (hasColumn) {
+        console.log(`[INFO] ${columnName} column already exists in ${table}`);
+        return false;
+    }
+
+    console.log(`[INFO] Adding ${columnName} column to ${table}`);
+    await sequelize.query(`ALTER TABLE ${table} ADD COLUMN ${columnName} ${columnDefinition};`);
+    return true;
+}
+
+/**
+ * Migration to add the security channel column to SecurityRequests, so request messages
+ * can be re-rendered from the database
+ * @returns {Promise<void>}
+ */
+async function migrateSecurityChannelColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding security_channel_id column to SecurityRequests');
+        await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'security_channel_id', 'TEXT');
+        console.log('[INFO] Migration completed: Added security_channel_id column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (security channel column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the priority column to SecurityRequests.
+ * Existing requests are treated as normal priority.
+ * @returns {Promise<void>}
+ */
+async function migratePriorityColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding priority column to SecurityRequests');
+        await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'priority', "TEXT NOT NULL DEFAULT 'normal'");
+        console.log('[INFO] Migration completed: Added priority column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (priority column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the escalation policy columns to ServerConfigs and the
+ * escalation tracking columns to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migrateEscalationColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding escalation columns');
+
+        const serverConfigTables = ['server_configs', 'ServerConfigs', 'serverconfigs', 'ServerConfig'];
+        await addColumnIfMissing(serverConfigTables, 'escalation_reping_minutes', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'escalation_supervisor_minutes', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'supervisor_role_id', 'TEXT');
+        await addColumnIfMissing(serverConfigTables, 'escalation_channel_id', 'TEXT');
+
+        const securityRequestTables = ['security_requests', 'SecurityRequests'];
+        await addColumnIfMissing(securityRequestTables, 'pending_since', 'DATETIME');
+        await addColumnIfMissing(securityRequestTables, 'escalation_level', 'INTEGER NOT NULL DEFAULT 0');
+
+        console.log('[INFO] Migration completed: Added escalation columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (escalation columns):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the discussion thread column to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migrateThreadColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding thread_id column to SecurityRequests');
+        await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'thread_id', 'TEXT');
+        console.log('[INFO] Migration completed: Added thread_id column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (thread column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the customer relay columns to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migrateRelayColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding relay columns to SecurityRequests');
+        const securityRequestTables = ['security_requests', 'SecurityRequests'];
+        await addColumnIfMissing(securityRequestTables, 'relay_enabled', 'BOOLEAN NOT NULL DEFAULT 0');
+        await addColumnIfMissing(securityRequestTables, 'external_thread_id', 'TEXT');
+        console.log('[INFO] Migration completed: Added relay columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (relay columns):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the first response timestamp to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migrateFirstRespondedColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding first_responded_at column to SecurityRequests');
+        await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'first_responded_at', 'DATETIME');
+        console.log('[INFO] Migration completed: Added first_responded_at column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (first responded column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the satisfaction rating columns to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migrateRatingColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding rating columns to SecurityRequests');
+        const securityRequestTables = ['security_requests', 'SecurityRequests'];
+        await addColumnIfMissing(securityRequestTables, 'rating', 'INTEGER');
+        await addColumnIfMissing(securityRequestTables, 'rating_comment', 'TEXT');
+        await addColumnIfMissing(securityRequestTables, 'rated_at', 'DATETIME');
+        console.log('[INFO] Migration completed: Added rating columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (rating columns):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the removedAt column to ExternalServers
+ * @returns {Promise<void>}
+ */
+async function migrateRemovedAtColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding removedAt column to ExternalServers');
+        await addColumnIfMissing(['ExternalServers', 'external_servers'], 'removed_at', 'DATETIME');
+        console.log('[INFO] Migration completed: Added removedAt column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (removedAt column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the security provider columns. The server in GUILD_ID was the only provider
+ * before multiple providers were supported, so it becomes a provider and existing external servers
+ * and requests are linked to it.
+ * @returns {Promise<void>}
+ */
+async function migrateProviderColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding security provider columns');
+        await addColumnIfMissing(['server_configs', 'ServerConfigs'], 'is_provider', 'BOOLEAN NOT NULL DEFAULT 0');
+        await addColumnIfMissing(['server_configs', 'ServerConfigs'], 'provider_name', 'TEXT');
+        await addColumnIfMissing(['external_servers', 'ExternalServers'], 'provider_guild_id', 'TEXT');
+        await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'provider_guild_id', 'TEXT');
+
+        const mainGuildId = process.env.GUILD_ID;
+        if (mainGuildId) {
+            await ServerConfig.update({ isProvider: true }, { where: { serverId: mainGuildId } });
+            const [servers] = await ExternalServer.update({ providerGuildId: mainGuildId }, { where: { providerGuildId: null } });
+            const [requests] = await SecurityRequest.update({ providerGuildId: mainGuildId }, { where: { providerGuildId: null } });
+            if (servers > 0 || requests > 0) {
+                console.log(`[INFO] Linked ${servers} external servers and ${requests} requests to provider ${mainGuildId}`);
+            }
+        }
+        console.log('[INFO] Migration completed: Added security provider columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (provider columns):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the routed ping role to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migratePingRoleColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding ping_role_id column to SecurityRequests');
+        await addColumnIfMissing(['security_requests', 'SecurityRequests'], 'ping_role_id', 'TEXT');
+        console.log('[INFO] Migration completed: Added ping_role_id column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (ping role column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the on-duty role to ServerConfigs
+ * @returns {Promise<void>}
+ */
+async function migrateOnDutyRoleColumn() {
+    try {
+        console.log('[INFO] Running migration: Adding on_duty_role_id column to ServerConfigs');
+        await addColumnIfMissing(['server_configs', 'ServerConfigs'], 'on_duty_role_id', 'TEXT');
+        console.log('[INFO] Migration completed: Added on_duty_role_id column');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (on-duty role column):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the request form fields to SecurityRequests
+ * @returns {Promise<void>}
+ */
+async function migrateRequestFormColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding request form columns to SecurityRequests');
+        const securityRequestTables = ['security_requests', 'SecurityRequests'];
+        await addColumnIfMissing(securityRequestTables, 'people_involved', 'INTEGER');
+        await addColumnIfMissing(securityRequestTables, 'anyone_injured', 'BOOLEAN');
+        console.log('[INFO] Migration completed: Added request form columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (request form columns):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the request panel columns to ServerConfigs and ExternalServers
+ * @returns {Promise<void>}
+ */
+async function migratePanelColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding request panel columns');
+        await addColumnIfMissing(['server_configs', 'ServerConfigs'], 'panel_channel_id', 'TEXT');
+        await addColumnIfMissing(['server_configs', 'ServerConfigs'], 'panel_message_id', 'TEXT');
+        await addColumnIfMissing(['external_servers', 'ExternalServers'], 'panel_message_id', 'TEXT');
+        console.log('[INFO] Migration completed: Added request panel columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (request panel columns):', error);
+        throw error;
+    }
+}
+
+/**
+ * Migration to add the request rate limit settings to ServerConfigs
+ * @returns {Promise<void>}
+ */
+async function migrateRateLimitColumns() {
+    try {
+        console.log('[INFO] Running migration: Adding rate limit columns to ServerConfigs');
+        const serverConfigTables = ['server_configs', 'ServerConfigs'];
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_user_cooldown_seconds', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_user_burst', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_server_cooldown_seconds', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_server_burst', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_emergency_burst', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_window_minutes', 'INTEGER');
+        await addColumnIfMissing(serverConfigTables, 'rate_limit_offender_threshold', 'INTEGER');
+        console.log('[INFO] Migration completed: Added rate limit columns');
+    } catch (error) {
+        console.error('[ERROR] Migration failed (rate limit columns):', error);
+        throw error;
+    }
+}
+
 module.exports = {
     runMigrations
 };
\ No newline at end of file
@@ -0,0 +1,74 @@
+/**
+ * @file Blacklist suggestion model
+ * @module Database/Models/BlacklistSuggestion
+ * @description Defines the database model for the log of blacklist suggestions posted to security
+ * providers. The log makes sure a repeat offender is only suggested once per offender window.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one user or customer server that was suggested for the blacklist.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} BlacklistSuggestion model
+ * @example
+ * // Example of logging a suggestion about a requester who kept hitting the rate limits:
+ * await BlacklistSuggestion.create({
+ *   providerGuildId: '123456789012345678', // The provider the suggestion was posted to
+ *   externalGuildId: '234567890123456789', // The customer server it was about
+ *   scope: 'user',                         // Whether the user or the whole server reached the threshold
+ *   userId: '345678901234567890'           // The user, null for the server scope
+ * });
+ */
+module.exports = (sequelize) => {
+    const BlacklistSuggestion = sequelize.define('BlacklistSuggestion', {
+        /**
+         * Auto-incrementing suggestion ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * The security provider the suggestion was posted to
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * The customer server the suggestion was about
+         * @type {string}
+         */
+        externalGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Whose rate limit hits reached the offender threshold: 'user' or 'server'
+         * @type {string}
+         */
+        scope: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Discord user ID of the offender, null when the whole server reached the threshold
+         * @type {string|null}
+         */
+        userId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ['provider_guild_id', 'external_guild_id'] }]
+    });
+
+    return BlacklistSuggestion;
+};
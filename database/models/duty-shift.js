@@ -0,0 +1,94 @@
+/**
+ * @file Duty shift model
+ * @module Database/Models/DutyShift
+ * @description Defines the database model for the shifts security personnel work. A shift starts when
+ * someone goes on duty (with /duty on or from the roster) and ends when they go off duty. Shifts are
+ * kept after they end, as the shift history used for payroll and reporting.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one shift of a member of the security personnel.
+ * A shift without an end time is in progress; a person has at most one shift in progress per provider.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} DutyShift model
+ * @example
+ * // Example of a shift started with /duty on:
+ * await DutyShift.create({
+ *   providerGuildId: '123456789012345678', // The provider the shift is worked for
+ *   userId: '234567890123456789',          // Who is on duty
+ *   userName: 'officer#0001',              // Name at the start of the shift
+ *   startedAt: new Date(),                 // When the shift started
+ *   source: 'manual'                       // 'manual' for /duty on, 'roster' for scheduled shifts
+ * });
+ */
+module.exports = (sequelize) => {
+    const DutyShift = sequelize.define('DutyShift', {
+        /**
+         * Auto-incrementing shift ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * Guild ID of the security provider the shift is worked for
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Discord user ID of the person on duty
+         * @type {string}
+         */
+        userId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Name of the person when the shift started
+         * @type {string}
+         */
+        userName: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * When the shift started
+         * @type {Date}
+         */
+        startedAt: {
+            type: DataTypes.DATE,
+            allowNull: false
+        },
+        /**
+         * When the shift ended. Null while the shift is in progress.
+         * @type {Date}
+         */
+        endedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        /**
+         * How the shift started: 'manual' (/duty on) or 'roster' (a scheduled shift).
+         * Roster shifts end automatically when the scheduled shift is over.
+         * @type {string}
+         */
+        source: {
+            type: DataTypes.STRING,
+            allowNull: false,
+            defaultValue: 'manual'
+        }
+    }, {
+        indexes: [{ fields: ['provider_guild_id', 'user_id'] }]
+    });
+
+    // Association will be set up in the models/index.js file
+    return DutyShift;
+};
@@ -3,7 +3,7 @@
  * @module Database/Models/ExternalServer
  * @description Defines the database model for external Discord servers that have configured the bot,
  * including role permission requirements and server activity tracking. This model tracks customer servers
- * that can request security services from the main security server.
+ * that can request security services from the security provider it subscribes to.
  */
 
 const { DataTypes } = require('sequelize');
@@ -11,7 +11,7 @@ const { DataTypes } = require('sequelize');
 /**
  * Represents an external server that has configured the bot for security requests.
  * External servers are customer Discord servers that can request security assistance
- * from the main security server. This model maintains the relationship and configuration
+ * from the security provider they subscribe to. This model maintains the relationship and configuration
  * between the security provider and the customer servers.
  * 
  * @typedef {Object} ExternalServer
@@ -107,6 +107,33 @@ module.exports = (sequelize) => {
             type: DataTypes.DATE,
             defaultValue: DataTypes.NOW
         },
+        /**
+         * Guild ID of the security provider this server subscribes to.
+         * Requests from this server are sent to that provider's alert channel.
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Date when the bot was removed from the server.
+         * Set when the bot is kicked or the server is deleted, and cleared once the bot is used there again.
+         * @type {Date}
+         */
+        removedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
+        /**
+         * Message ID of the self-service request panel in the security channel, if the server has one.
+         * The panel is posted again when this message is deleted.
+         * @type {string}
+         */
+        panelMessageId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
         /**
          * Array of role IDs that are allowed to use the bot commands.
          * Stored as JSON string in database but automatically parsed to array when accessed.
@@ -10,11 +10,27 @@ const { sequelize } = require('../config');
 const ExternalServerModel = require('./external-server');
 const SecurityRequestModel = require('./security-request');
 const ServerConfigModel = require('./server-config');
+const RequestEventModel = require('./request-event');
+const RoutingRuleModel = require('./routing-rule');
+const DutyShiftModel = require('./duty-shift');
+const RosterEntryModel = require('./roster-entry');
+const NotificationPreferenceModel = require('./notification-preference');
+const LocationModel = require('./location');
+const RateLimitHitModel = require('./rate-limit-hit');
+const BlacklistSuggestionModel = require('./blacklist-suggestion');
 
 // Initialize models with sequelize instance
 const ExternalServer = ExternalServerModel(sequelize);
 const SecurityRequest = SecurityRequestModel(sequelize);
 const ServerConfig = ServerConfigModel(sequelize);
+const RequestEvent = RequestEventModel(sequelize);
+const RoutingRule = RoutingRuleModel(sequelize);
+const DutyShift = DutyShiftModel(sequelize);
+const RosterEntry = RosterEntryModel(sequelize);
+const NotificationPreference = NotificationPreferenceModel(sequelize);
+const Location = LocationModel(sequelize);
+const RateLimitHit = RateLimitHitModel(sequelize);
+const BlacklistSuggestion = BlacklistSuggestionModel(sequelize);
 
 // Define associations
 SecurityRequest.belongsTo(ExternalServer, {
@@ -22,6 +38,15 @@ SecurityRequest.belongsTo(ExternalServer, {
     as: 'externalServer'
 });
 
+SecurityRequest.hasMany(RequestEvent, {
+    foreignKey: 'requestId',
+    as: 'events'
+});
+RequestEvent.belongsTo(SecurityRequest, {
+    foreignKey: 'requestId',
+    as: 'request'
+});
+
 /**
  * Initializes the database connection and syncs models
  * @returns {Promise<void>} A promise that resolves when database is initialized
@@ -52,5 +77,13 @@ module.exports = {
     ExternalServer,
     SecurityRequest,
     ServerConfig,
+    RequestEvent,
+    RoutingRule,
+    DutyShift,
+    RosterEntry,
+    NotificationPreference,
+    Location,
+    RateLimitHit,
+    BlacklistSuggestion,
     initializeDatabase
 };
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * @file Location model
+ * @module Database/Models/Location
+ * @description Defines the database model for the location directory of a server. Managers add the
+ * places security is requested for, so requests use one name per place and responders see the zone
+ * and notes of the location on the alert.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one location in a server's directory.
+ * Security provider servers keep a directory for /request-security and customer servers one for
+ * /request-external-security. Names are unique per server, ignoring case.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} Location model
+ * @example
+ * // Example of a location in a customer server's directory:
+ * await Location.create({
+ *   guildId: '123456789012345678',           // The server the directory belongs to
+ *   name: 'North Tower',                     // Name suggested by autocomplete
+ *   zone: 'Harbour District',                // Optional zone, shown to responders
+ *   notes: 'Entrance on the east side, code 4411' // Optional notes for responders
+ * });
+ */
+module.exports = (sequelize) => {
+    const Location = sequelize.define('Location', {
+        /**
+         * Auto-incrementing location ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * Guild ID of the server the location belongs to
+         * @type {string}
+         */
+        guildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Name of the location, as requests use it
+         * @type {string}
+         */
+        name: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Zone or area the location is in
+         * @type {string}
+         */
+        zone: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Notes for responders, e.g. how to get in
+         * @type {string}
+         */
+        notes: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        indexes: [{ unique: true, fields: ['guild_id', 'name'] }]
+    });
+
+    // Association will be set up in the models/index.js file
+    return Location;
+};
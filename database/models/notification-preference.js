@@ -0,0 +1,56 @@
+/**
+ * @file Notification preference model
+ * @module Database/Models/NotificationPreference
+ * @description Defines the database model for the direct-message notifications requesters opt in to
+ * with /notifications. Preferences belong to the user and apply to requests from every server.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents the notification preferences of one requester.
+ * Users without a stored preference receive no direct messages.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} NotificationPreference model
+ * @example
+ * // Example of a requester who wants to hear when help is on the way, but not about conclusions:
+ * await NotificationPreference.upsert({
+ *   userId: '123456789012345678', // The requester
+ *   dmOnFirstResponder: true,     // DM when the first responder joins a request
+ *   dmOnConclusion: false         // No DM when a request is concluded
+ * });
+ */
+module.exports = (sequelize) => {
+    const NotificationPreference = sequelize.define('NotificationPreference', {
+        /**
+         * Discord user ID of the requester
+         * @type {string}
+         */
+        userId: {
+            type: DataTypes.STRING,
+            primaryKey: true
+        },
+        /**
+         * Whether to send a direct message when the first responder joins one of the user's requests
+         * @type {boolean}
+         */
+        dmOnFirstResponder: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        /**
+         * Whether to send a direct message, with the reason, when one of the user's requests is concluded
+         * @type {boolean}
+         */
+        dmOnConclusion: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        }
+    });
+
+    // Association will be set up in the models/index.js file
+    return NotificationPreference;
+};
@@ -0,0 +1,83 @@
+/**
+ * @file Rate limit hit model
+ * @module Database/Models/RateLimitHit
+ * @description Defines the database model for the log of security requests that were refused because
+ * the requester or their server hit a rate limit. The log is used to spot repeat offenders.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one refused security request.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} RateLimitHit model
+ * @example
+ * // Example of logging a requester who tried again during their cooldown:
+ * await RateLimitHit.create({
+ *   providerGuildId: '123456789012345678', // The provider the request would have gone to
+ *   externalGuildId: '234567890123456789', // The customer server it was made in
+ *   userId: '345678901234567890',          // Who made it
+ *   userName: 'customer#0001',             // Name of the requester at the time
+ *   limitType: 'user-cooldown'             // Which limit was hit
+ * });
+ */
+module.exports = (sequelize) => {
+    const RateLimitHit = sequelize.define('RateLimitHit', {
+        /**
+         * Auto-incrementing hit ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * The security provider the request would have gone to
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * The customer server the request was made in
+         * @type {string}
+         */
+        externalGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Discord user ID of the requester
+         * @type {string}
+         */
+        userId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Name of the requester when the request was made
+         * @type {string}
+         */
+        userName: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Which limit was hit: 'user-cooldown', 'user-burst', 'server-cooldown' or 'server-burst'
+         * @type {string}
+         */
+        limitType: {
+            type: DataTypes.STRING,
+            allowNull: false
+        }
+    }, {
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ['external_guild_id'] }, { fields: ['user_id'] }]
+    });
+
+    return RateLimitHit;
+};
@@ -0,0 +1,88 @@
+/**
+ * @file Request event model
+ * @module Database/Models/RequestEvent
+ * @description Defines the database model for the timeline of a security request. Every action
+ * taken on a request (creation, responses, withdrawals, escalations, conclusion, message updates)
+ * is stored as one event with its actor and time.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one action taken on a security request.
+ * Event types are free-form strings so new actions can be recorded without a migration;
+ * known types are labelled in database/request-events.js.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} RequestEvent model
+ * @example
+ * // Example of recording that a responder joined a request:
+ * await RequestEvent.create({
+ *   requestId: '123456789012345678', // The security request
+ *   type: 'responded',               // What happened
+ *   actorId: '234567890123456789',   // Who did it (null for the bot itself)
+ *   actorName: 'officer#0001',       // Name of the actor at the time
+ *   details: null                    // Extra context, e.g. a conclusion reason
+ * });
+ */
+module.exports = (sequelize) => {
+    const RequestEvent = sequelize.define('RequestEvent', {
+        /**
+         * Auto-incrementing event ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * The security request this event belongs to
+         * @type {string}
+         */
+        requestId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * What happened, e.g. 'created', 'responded', 'withdrew', 'escalated', 'concluded'
+         * @type {string}
+         */
+        type: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Discord user ID of the person who took the action.
+         * Null for actions taken by the bot itself, such as escalations.
+         * @type {string}
+         */
+        actorId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Name of the actor when the action was taken
+         * @type {string}
+         */
+        actorName: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Extra context for the action, e.g. the conclusion reason or the escalation level
+         * @type {string}
+         */
+        details: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        }
+    }, {
+        timestamps: true,
+        updatedAt: false,
+        indexes: [{ fields: ['request_id'] }]
+    });
+
+    // Association will be set up in the models/index.js file
+    return RequestEvent;
+};
@@ -0,0 +1,85 @@
+/**
+ * @file Roster entry model
+ * @module Database/Models/RosterEntry
+ * @description Defines the database model for the duty roster of a security provider. Each entry is a
+ * weekly shift of one member of the security personnel; the bot puts them on duty when it starts and
+ * takes them off duty when it ends.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one weekly scheduled shift.
+ * Days and times are in UTC. A shift that ends before it starts runs past midnight into the next day.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} RosterEntry model
+ * @example
+ * // Example of a Friday night shift:
+ * await RosterEntry.create({
+ *   providerGuildId: '123456789012345678', // The provider the shift is worked for
+ *   userId: '234567890123456789',          // Who is on duty
+ *   dayOfWeek: 5,                          // Friday (0 = Sunday)
+ *   startTime: '22:00',                    // Starts Friday 22:00 UTC
+ *   endTime: '06:00'                       // Ends Saturday 06:00 UTC
+ * });
+ */
+module.exports = (sequelize) => {
+    const RosterEntry = sequelize.define('RosterEntry', {
+        /**
+         * Auto-incrementing entry ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * Guild ID of the security provider the shift is worked for
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Discord user ID of the person on duty
+         * @type {string}
+         */
+        userId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Day of the week the shift starts on, 0 (Sunday) to 6 (Saturday), in UTC
+         * @type {number}
+         */
+        dayOfWeek: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            validate: { min: 0, max: 6 }
+        },
+        /**
+         * Start of the shift, as HH:MM in UTC
+         * @type {string}
+         */
+        startTime: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * End of the shift, as HH:MM in UTC. A shift that ends before it starts runs past midnight.
+         * @type {string}
+         */
+        endTime: {
+            type: DataTypes.STRING,
+            allowNull: false
+        }
+    }, {
+        indexes: [{ fields: ['provider_guild_id'] }]
+    });
+
+    // Association will be set up in the models/index.js file
+    return RosterEntry;
+};
@@ -0,0 +1,132 @@
+/**
+ * @file Routing rule model
+ * @module Database/Models/RoutingRule
+ * @description Defines the database model for the dispatch routing rules of a security provider.
+ * A rule sends the alerts of matching requests to its own channel and pings its own role instead of
+ * the provider's alert channel and security role, so separate teams can cover different customers,
+ * areas or shifts.
+ */
+
+const { DataTypes } = require('sequelize');
+
+/**
+ * Represents one dispatch routing rule of a security provider.
+ * Rules are checked in order of their position; the first rule whose conditions all match a request
+ * decides where its alert is posted. A rule needs at least one condition.
+ *
+ * @param {Object} sequelize - Sequelize instance
+ * @returns {Object} RoutingRule model
+ * @example
+ * // Example of sending night-time requests from the harbour to the night team:
+ * await RoutingRule.create({
+ *   providerGuildId: '123456789012345678', // The provider the rule belongs to
+ *   position: 1,                           // Checked first
+ *   locationKeywords: ['harbour', 'dock'], // Location contains one of these
+ *   startTime: '22:00',                    // Between 22:00 and 06:00 UTC
+ *   endTime: '06:00',
+ *   channelId: '234567890123456789',       // Alert channel of the night team
+ *   roleId: '345678901234567890'           // Role of the night team
+ * });
+ */
+module.exports = (sequelize) => {
+    /**
+     * Defines a JSON-encoded list of keywords
+     * @param {string} field - The attribute name
+     * @returns {Object} The attribute definition
+     */
+    const keywordList = field => ({
+        type: DataTypes.TEXT,
+        allowNull: true,
+        get() {
+            const data = this.getDataValue(field);
+            return data ? JSON.parse(data) : [];
+        },
+        set(value) {
+            this.setDataValue(field, value && value.length > 0 ? JSON.stringify(value) : null);
+        }
+    });
+
+    const RoutingRule = sequelize.define('RoutingRule', {
+        /**
+         * Auto-incrementing rule ID
+         * @type {number}
+         */
+        id: {
+            type: DataTypes.INTEGER,
+            primaryKey: true,
+            autoIncrement: true
+        },
+        /**
+         * Guild ID of the security provider the rule belongs to
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Order in which the provider's rules are checked, starting at 1
+         * @type {number}
+         */
+        position: {
+            type: DataTypes.INTEGER,
+            allowNull: false
+        },
+        /**
+         * Only match requests from this external server
+         * @type {string}
+         */
+        externalGuildId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Only match requests whose location contains one of these keywords (case-insensitive)
+         * @type {Array<string>}
+         */
+        locationKeywords: keywordList('locationKeywords'),
+        /**
+         * Only match requests whose details contain one of these keywords (case-insensitive)
+         * @type {Array<string>}
+         */
+        detailsKeywords: keywordList('detailsKeywords'),
+        /**
+         * Start of the time window the rule applies in, as HH:MM in UTC
+         * @type {string}
+         */
+        startTime: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * End of the time window the rule applies in, as HH:MM in UTC.
+         * A window that ends before it starts runs past midnight.
+         * @type {string}
+         */
+        endTime: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Channel the alerts of matching requests are posted in
+         * @type {string}
+         */
+        channelId: {
+            type: DataTypes.STRING,
+            allowNull: false
+        },
+        /**
+         * Role pinged instead of the security role. Null pings the provider's security role.
+         * @type {string}
+         */
+        roleId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        }
+    }, {
+        indexes: [{ fields: ['provider_guild_id'] }]
+    });
+
+    // Association will be set up in the models/index.js file
+    return RoutingRule;
+};
@@ -26,7 +26,9 @@ const { DataTypes } = require('sequelize');
  *   location: 'North Tower',               // Location needing security
  *   details: 'Suspicious activity',        // Request details
  *   contact: 'Voice channel Tower1',       // Contact information
+ *   priority: 'urgent',                    // low, normal, urgent or emergency
  *   externalGuildId: '567890123456789012', // Guild ID if from external server
+ *   securityChannelId: '890123456789012345', // Alert channel ID in security server
  *   securityMessageId: '678901234567890123', // Message ID in security server
  *   externalMessageId: '789012345678901234'  // Message ID in external server
  * });
@@ -123,6 +125,34 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: true
         },
+        /**
+         * Number of people involved in the situation.
+         * Only asked on the request form; null when not given.
+         * @type {number}
+         */
+        peopleInvolved: {
+            type: DataTypes.INTEGER,
+            allowNull: true
+        },
+        /**
+         * Whether anyone is injured.
+         * Only asked on the request form; null when not given or unknown.
+         * @type {boolean}
+         */
+        anyoneInjured: {
+            type: DataTypes.BOOLEAN,
+            allowNull: true
+        },
+        /**
+         * Security server channel ID.
+         * The Discord channel ID in the security server where this request was posted.
+         * Used together with securityMessageId to re-render the message from the database.
+         * @type {string}
+         */
+        securityChannelId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
         /**
          * Security server message ID.
          * The Discord message ID in the security server where this request was posted.
@@ -133,6 +163,16 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: true
         },
+        /**
+         * Discussion thread ID.
+         * The thread the bot opens on the security server message so responders can coordinate
+         * per request. Responders are added to it and it is archived and locked on conclusion.
+         * @type {string}
+         */
+        threadId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
         /**
          * External server message ID (if applicable).
          * The Discord message ID in the external server where request confirmations are posted.
@@ -143,6 +183,29 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: true
         },
+        /**
+         * Whether the requester opted in to the customer relay.
+         * When enabled, messages in the external thread and the discussion thread are mirrored
+         * between the two servers until the request is concluded.
+         * Only used for external requests.
+         * @type {boolean}
+         * @default false
+         */
+        relayEnabled: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        },
+        /**
+         * External relay thread ID (if applicable).
+         * The thread the bot opens on the confirmation message in the external server
+         * for the requester's side of the relay.
+         * @type {string}
+         */
+        externalThreadId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
         /**
          * Current status of the request.
          * - pending: No security personnel have responded yet
@@ -156,6 +219,47 @@ module.exports = (sequelize) => {
             defaultValue: 'pending',
             allowNull: false
         },
+        /**
+         * Priority of the request.
+         * - low: Minor issue, posted without pinging anyone
+         * - normal: Regular request, pings the security role
+         * - urgent: Needs attention quickly, pings the security role
+         * - emergency: Active threat, pings the security and manager roles
+         * Also decides the embed colour and the order of open requests in listings.
+         * @type {string}
+         * @default 'normal'
+         */
+        priority: {
+            type: DataTypes.ENUM('low', 'normal', 'urgent', 'emergency'),
+            defaultValue: 'normal',
+            allowNull: false
+        },
+        /**
+         * When the request last became pending.
+         * Set when the request is created and again when the last responder withdraws.
+         * Escalation times are measured from this moment.
+         * @type {Date}
+         * @default Current date/time
+         */
+        pendingSince: {
+            type: DataTypes.DATE,
+            allowNull: true,
+            defaultValue: DataTypes.NOW
+        },
+        /**
+         * How far the request has been escalated while pending.
+         * - 0: Not escalated
+         * - 1: Security role re-pinged
+         * - 2: Supervisors alerted
+         * Reset to 0 whenever the request becomes pending again.
+         * @type {number}
+         * @default 0
+         */
+        escalationLevel: {
+            type: DataTypes.INTEGER,
+            allowNull: false,
+            defaultValue: 0
+        },
         /**
          * Array of user IDs who are responding.
          * Stores the Discord user IDs of all security personnel who clicked "Respond".
@@ -192,6 +296,16 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: true
         },
+        /**
+         * When the first security member responded.
+         * Set once, when the request first gets a responder, and used for response-time statistics.
+         * Requests stored before this was tracked have no value.
+         * @type {Date}
+         */
+        firstRespondedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
         /**
          * Username of person who concluded the request.
          * Stored for display and logging purposes.
@@ -210,6 +324,35 @@ module.exports = (sequelize) => {
             type: DataTypes.DATE,
             allowNull: true
         },
+        /**
+         * Satisfaction rating (1-5) given by the requester after conclusion.
+         * Only external requests are surveyed.
+         * @type {number}
+         */
+        rating: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            validate: {
+                min: 1,
+                max: 5
+            }
+        },
+        /**
+         * Optional comment the requester left with their rating
+         * @type {string}
+         */
+        ratingComment: {
+            type: DataTypes.TEXT,
+            allowNull: true
+        },
+        /**
+         * When the requester rated the request
+         * @type {Date}
+         */
+        ratedAt: {
+            type: DataTypes.DATE,
+            allowNull: true
+        },
         /**
          * External guild ID if from an external server.
          * The Discord server ID where the request originated.
@@ -219,6 +362,24 @@ module.exports = (sequelize) => {
         externalGuildId: {
             type: DataTypes.STRING,
             allowNull: true
+        },
+        /**
+         * Guild ID of the security provider handling the request.
+         * The request's alert message and discussion thread are in this server.
+         * @type {string}
+         */
+        providerGuildId: {
+            type: DataTypes.STRING,
+            allowNull: true
+        },
+        /**
+         * Role pinged for the request when a routing rule sent it to another team.
+         * Null when the provider's security role is pinged.
+         * @type {string}
+         */
+        pingRoleId: {
+            type: DataTypes.STRING,
+            allowNull: true
         }
     });
 
@@ -19,7 +19,16 @@ const { DataTypes } = require('sequelize');
  *   customerRoleId: '345678901234567890',   // Role for users who can request security
  *   securityRoleId: '456789012345678901',   // Role for security personnel
  *   alertChannelId: '567890123456789012',   // Channel for security alerts
- *   blacklistRoleId: '678901234567890123'   // Role that can blacklist external servers
+ *   blacklistRoleId: '678901234567890123',  // Role that can blacklist external servers
+ *   escalationRepingMinutes: 5,             // Re-ping the security role after 5 minutes without a responder
+ *   escalationSupervisorMinutes: 15,        // Alert supervisors after 15 minutes without a responder
+ *   supervisorRoleId: '789012345678901234', // Role pinged when a request is escalated to supervisors
+ *   escalationChannelId: '890123456789012345', // Channel for escalation summaries
+ *   isProvider: true,                       // This server is a security provider customers can subscribe to
+ *   providerName: 'VIG Security',           // Name customers see for this provider
+ *   onDutyRoleId: '901234567890123456',     // Role the bot gives personnel while they are on duty
+ *   panelChannelId: '012345678901234567',   // Channel of the self-service request panel
+ *   panelMessageId: '123456789012345679'    // The pinned request panel message
  * }
  */
 module.exports = (sequelize) => {
@@ -78,6 +87,160 @@ module.exports = (sequelize) => {
             type: DataTypes.STRING,
             allowNull: true,
             comment: 'Role ID that can blacklist external servers'
+        },
+        /**
+         * Minutes a request may stay pending before the security role is pinged again
+         * @type {number}
+         */
+        escalationRepingMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Minutes without a responder before the security role is re-pinged'
+        },
+        /**
+         * Minutes a request may stay pending before supervisors are alerted
+         * @type {number}
+         */
+        escalationSupervisorMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Minutes without a responder before the supervisor role is pinged'
+        },
+        /**
+         * Role ID for supervisors who are alerted about unanswered requests
+         * @type {string}
+         */
+        supervisorRoleId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Role ID for supervisors alerted about unanswered requests'
+        },
+        /**
+         * Channel ID where escalation summaries are posted
+         * @type {string}
+         */
+        escalationChannelId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Channel ID for escalation summaries'
+        },
+        /**
+         * Whether this server is a security provider that external servers can subscribe to
+         * @type {boolean}
+         * @default false
+         */
+        isProvider: {
+            type: DataTypes.BOOLEAN,
+            allowNull: false,
+            defaultValue: false,
+            comment: 'Whether external servers can subscribe to this server as their security provider'
+        },
+        /**
+         * Name shown to customers for this provider
+         * @type {string}
+         */
+        providerName: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Name shown to customers for this provider'
+        },
+        /**
+         * Role ID the bot gives security personnel while they are on duty.
+         * New requests ping this role instead of the security role when someone is on duty.
+         * @type {string}
+         */
+        onDutyRoleId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Role ID managed by the bot for on-duty personnel'
+        },
+        /**
+         * Channel ID of the self-service request panel, if the server has one.
+         * @type {string}
+         */
+        panelChannelId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Channel ID of the request panel'
+        },
+        /**
+         * Message ID of the request panel.
+         * The panel is posted again when this message is deleted.
+         * @type {string}
+         */
+        panelMessageId: {
+            type: DataTypes.STRING,
+            allowNull: true,
+            comment: 'Message ID of the request panel'
+        },
+        /**
+         * Seconds a customer must wait between external requests.
+         * Null uses the default, 0 disables the limit.
+         * @type {number}
+         */
+        rateLimitUserCooldownSeconds: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Seconds between external requests of one user'
+        },
+        /**
+         * Most external requests one customer may make in the burst window.
+         * Null uses the default, 0 disables the limit.
+         * @type {number}
+         */
+        rateLimitUserBurst: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Most external requests of one user in the burst window'
+        },
+        /**
+         * Seconds a customer server must wait between requests.
+         * Null uses the default, 0 disables the limit.
+         * @type {number}
+         */
+        rateLimitServerCooldownSeconds: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Seconds between requests of one customer server'
+        },
+        /**
+         * Most requests one customer server may make in the burst window.
+         * Null uses the default, 0 disables the limit.
+         * @type {number}
+         */
+        rateLimitServerBurst: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Most requests of one customer server in the burst window'
+        },
+        /**
+         * Most Emergency requests one customer may make in the burst window. Emergencies skip the other
+         * limits but are held to this one. Null uses the default, 0 disables the limit.
+         * @type {number}
+         */
+        rateLimitEmergencyBurst: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Most Emergency requests of one user in the burst window'
+        },
+        /**
+         * Length of the burst window in minutes. Null uses the default.
+         * @type {number}
+         */
+        rateLimitWindowMinutes: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Minutes in the burst window'
+        },
+        /**
+         * Rate limit hits in 24 hours after which a user or server is suggested for the blacklist.
+         * Null uses the default, 0 disables the suggestions.
+         * @type {number}
+         */
+        rateLimitOffenderThreshold: {
+            type: DataTypes.INTEGER,
+            allowNull: true,
+            comment: 'Rate limit hits in 24 hours before a blacklist suggestion'
         }
     }, {
         timestamps: true
@@ -0,0 +1,149 @@
+/**
+ * @file Requester notification utilities
+ * @module Database/NotificationUtils
+ * @description Stores the direct-message preferences requesters set with /notifications and sends them
+ * a DM when the first responder joins their request and when it is concluded. Requesters who have not
+ * opted in, or whose DMs are closed, are not messaged.
+ */
+
+const { EmbedBuilder, RESTJSONErrorCodes } = require('discord.js');
+const { NotificationPreference, ExternalServer } = require('./models');
+const { getRequestProviderId, getProviderName } = require('./provider-utils');
+
+/**
+ * Preference field that controls each notification
+ * @type {Object<string, string>}
+ */
+const NOTIFICATION_SETTINGS = {
+    responded: 'dmOnFirstResponder',
+    concluded: 'dmOnConclusion'
+};
+
+/**
+ * Gets the notification preferences of a user
+ * @param {string} userId - Discord user ID
+ * @returns {Promise<{dmOnFirstResponder: boolean, dmOnConclusion: boolean}>} The preferences, all off when
+ * the user has not set any
+ */
+async function getNotificationPreference(userId) {
+    const preference = await NotificationPreference.findByPk(userId);
+    return {
+        dmOnFirstResponder: preference?.dmOnFirstResponder ?? false,
+        dmOnConclusion: preference?.dmOnConclusion ?? false
+    };
+}
+
+/**
+ * Updates the notification preferences of a user. Settings that are not given keep their current value.
+ * @param {string} userId - Discord user ID
+ * @param {Object} updates - The settings to change
+ * @param {boolean} [updates.dmOnFirstResponder] - DM when the first responder joins a request
+ * @param {boolean} [updates.dmOnConclusion] - DM when a request is concluded
+ * @returns {Promise<{dmOnFirstResponder: boolean, dmOnConclusion: boolean}>} The updated preferences
+ */
+async function setNotificationPreference(userId, updates) {
+    const preference = { ...(await getNotificationPreference(userId)) };
+    Object.entries(updates)
+        .filter(([key, value]) => key in preference && typeof value === 'boolean')
+        .forEach(([key, value]) => { preference[key] = value; });
+
+    await NotificationPreference.upsert({ userId, ...preference });
+    return preference;
+}
+
+/**
+ * Builds the jump link to the message the requester sees their request in: the confirmation in their
+ * server for external requests, the alert for internal requests.
+ * @param {SecurityRequest} request - The security request
+ * @returns {Promise<string|null>} The link, or null if the message is unknown
+ */
+async function getRequestMessageLink(request) {
+    if (request.isExternal) {
+        const externalServer = request.externalGuildId && await ExternalServer.findByPk(request.externalGuildId);
+        if (!externalServer || !request.externalMessageId) return null;
+        return `https://discord.com/channels/${externalServer.guildId}/${externalServer.channelId}/${request.externalMessageId}`;
+    }
+
+    if (!request.securityChannelId || !request.securityMessageId) return null;
+    return `https://discord.com/channels/${getRequestProviderId(request)}/${request.securityChannelId}/${request.securityMessageId}`;
+}
+
+/**
+ * Builds the direct message for a request update
+ * @param {SecurityRequest} request - The security request
+ * @param {'responded'|'concluded'} event - What happened to the request
+ * @param {string} providerName - Name of the security provider handling the request
+ * @param {string|null} link - Jump link to the request, if known
+ * @param {string} [responderName] - Name of the first responder, for 'responded'
+ * @returns {EmbedBuilder} The embed
+ */
+function buildNotificationEmbed(request, event, providerName, link, responderName) {
+    const embed = new EmbedBuilder()
+        .addFields({ name: 'Location', value: request.location })
+        .setTimestamp()
+        .setFooter({ text: `Request ID: ${request.requestId} • Change these messages with /notifications` });
+
+    if (event === 'responded') {
+        embed
+            .setColor(0xFFA500)
+            .setTitle('Security is on the way')
+            .setDescription(`${providerName} has picked up your security request.`)
+            .addFields({ name: 'Responder', value: responderName || 'Security personnel' });
+    } else {
+        embed
+            .setColor(0x00FF00)
+            .setTitle('Security request concluded')
+            .setDescription(`${providerName} has concluded your security request.`)
+            .addFields(
+                { name: 'Reason', value: (request.conclusionReason || 'No reason provided').slice(0, 1024) },
+                { name: 'Concluded By', value: request.concludedByName || 'Security personnel' }
+            );
+    }
+
+    if (link) {
+        embed.addFields({ name: 'Request', value: `[Jump to request](${link})` });
+    }
+    return embed;
+}
+
+/**
+ * Sends the requester a DM about an update to their request, if they opted in to it.
+ * Never throws: closed DMs are skipped quietly and other failures are logged.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The security request
+ * @param {'responded'|'concluded'} event - What happened to the request
+ * @param {Object} [options] - Extra details for the message
+ * @param {string} [options.responderName] - Name of the first responder, for 'responded'
+ * @returns {Promise<boolean>} Whether the DM was sent
+ * @example
+ * const { request, added, firstResponder } = await addResponder(requestId, user.id, user.username);
+ * if (added && firstResponder) {
+ *     await notifyRequester(client, request, 'responded', { responderName: user.username });
+ * }
+ */
+async function notifyRequester(client, request, event, { responderName } = {}) {
+    try {
+        const preference = await getNotificationPreference(request.requesterId);
+        if (!preference[NOTIFICATION_SETTINGS[event]]) return false;
+
+        const providerName = await getProviderName(getRequestProviderId(request), client);
+        const embed = buildNotificationEmbed(request, event, providerName, await getRequestMessageLink(request), responderName);
+
+        const user = await client.users.fetch(request.requesterId);
+        await user.send({ embeds: [embed] });
+        return true;
+    } catch (error) {
+        if (error.code === RESTJSONErrorCodes.CannotSendMessagesToThisUser) {
+            console.log(`[INFO] Could not DM ${request.requesterId} about request ${request.requestId}: their DMs are closed`);
+        } else {
+            console.error(`[ERROR] Failed to DM ${request.requesterId} about request ${request.requestId}:`, error);
+        }
+        return false;
+    }
+}
+
+module.exports = {
+    getNotificationPreference,
+    setNotificationPreference,
+    notifyRequester
+};
@@ -0,0 +1,315 @@
+/**
+ * @file Request panel utilities
+ * @module Database/PanelUtils
+ * @description Posts and keeps up the pinned self-service panel customers request security from, so they
+ * don't need to remember the command names. The panel's Request Security button asks how urgent the
+ * situation is and opens the request form; its About button explains how the service works. Customer
+ * servers keep their panel in the security channel (ExternalServer.panelMessageId), security provider
+ * servers in a channel of their choice (ServerConfig.panelChannelId and panelMessageId). A deleted panel
+ * is posted again.
+ */
+
+const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder, RESTJSONErrorCodes } = require('discord.js');
+const { Op } = require('sequelize');
+const { ExternalServer, ServerConfig } = require('./models');
+const { updateServerConfig } = require('./server-config-utils');
+const { isProviderGuild, getServerProviderId, getProviderName } = require('./provider-utils');
+const { PRIORITY_LEVELS, PRIORITY_CHOICES, formatPriority } = require('./request-priorities');
+
+/**
+ * Custom ID of the panel's Request Security button
+ * @type {string}
+ */
+const PANEL_REQUEST_BUTTON_ID = 'panel_request';
+
+/**
+ * Custom ID of the panel's About button
+ * @type {string}
+ */
+const PANEL_ABOUT_BUTTON_ID = 'panel_about';
+
+/**
+ * Custom ID prefix of the priority buttons shown after pressing Request Security, panelpriority_<priority>
+ * @type {string}
+ */
+const PANEL_PRIORITY_PREFIX = 'panelpriority_';
+
+/**
+ * Embed colour of the panel and the About message
+ * @type {number}
+ */
+const PANEL_COLOR = 0x0099FF;
+
+/**
+ * Button style of each priority, most severe in red
+ * @type {Object<string, ButtonStyle>}
+ */
+const PRIORITY_BUTTON_STYLES = {
+    emergency: ButtonStyle.Danger,
+    urgent: ButtonStyle.Danger,
+    normal: ButtonStyle.Primary,
+    low: ButtonStyle.Secondary
+};
+
+/**
+ * Where a server's request panel is stored
+ * @typedef {Object} PanelOwner
+ * @property {boolean} isExternal - Whether the server is a customer server
+ * @property {ExternalServer|ServerConfig|null} record - The row the panel message ID is stored on, null for a
+ * provider server that has no configuration yet
+ * @property {string|null} channelId - Channel the panel is posted in
+ * @property {string|null} messageId - The panel message, null if the server has no panel
+ * @property {string} providerGuildId - The security provider requests from the panel go to
+ */
+
+/**
+ * Finds where a server's request panel is stored
+ * @param {string} guildId - The server's guild ID
+ * @returns {Promise<PanelOwner|null>} The panel owner, or null if the server is neither a provider nor a registered customer server
+ */
+async function getPanelOwner(guildId) {
+    if (await isProviderGuild(guildId)) {
+        // The main server is a provider before it has a configuration
+        const config = await ServerConfig.findByPk(guildId);
+        if (!config) {
+            return { isExternal: false, record: null, channelId: null, messageId: null, providerGuildId: guildId };
+        }
+        return {
+            isExternal: false,
+            record: config,
+            channelId: config.panelChannelId,
+            messageId: config.panelMessageId,
+            providerGuildId: guildId
+        };
+    }
+
+    const externalServer = await ExternalServer.findByPk(guildId);
+    if (!externalServer) return null;
+    return {
+        isExternal: true,
+        record: externalServer,
+        channelId: externalServer.channelId,
+        messageId: externalServer.panelMessageId,
+        providerGuildId: getServerProviderId(externalServer)
+    };
+}
+
+/**
+ * Stores where a server's request panel is
+ * @param {PanelOwner} owner - The panel owner
+ * @param {string|null} channelId - Channel of the panel (only stored for provider servers)
+ * @param {string|null} messageId - The panel message
+ * @returns {Promise<void>}
+ */
+async function savePanel(owner, channelId, messageId) {
+    if (owner.isExternal) {
+        owner.record.panelMessageId = messageId;
+        await owner.record.save();
+    } else {
+        await updateServerConfig(owner.providerGuildId, { panelChannelId: channelId, panelMessageId: messageId });
+    }
+}
+
+/**
+ * Builds the panel message
+ * @param {string} providerName - Name of the security provider requests go to
+ * @returns {{embeds: Array<EmbedBuilder>, components: Array<ActionRowBuilder>}} Message payload
+ */
+function buildPanelMessage(providerName) {
+    const embed = new EmbedBuilder()
+        .setColor(PANEL_COLOR)
+        .setTitle('🛡️ Need security?')
+        .setDescription(`Press **Request Security** to ask ${providerName} for help. You choose how urgent it is and fill in a short form, and the security team is alerted straight away.\n\nPress **About** to find out how the service works.`)
+        .setFooter({ text: providerName });
+
+    const buttons = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(PANEL_REQUEST_BUTTON_ID)
+            .setLabel('Request Security')
+            .setStyle(ButtonStyle.Danger)
+            .setEmoji('🚨'),
+        new ButtonBuilder()
+            .setCustomId(PANEL_ABOUT_BUTTON_ID)
+            .setLabel('About')
+            .setStyle(ButtonStyle.Secondary)
+            .setEmoji('ℹ️')
+    );
+
+    return { embeds: [embed], components: [buttons] };
+}
+
+/**
+ * Builds the private message asking how urgent the situation is, shown after pressing Request Security
+ * @returns {{content: string, components: Array<ActionRowBuilder>}} Message payload
+ */
+function buildPriorityPicker() {
+    // Most severe first
+    const buttons = [...PRIORITY_CHOICES].reverse().map(({ value }) => new ButtonBuilder()
+        .setCustomId(`${PANEL_PRIORITY_PREFIX}${value}`)
+        .setLabel(PRIORITY_LEVELS[value].label)
+        .setStyle(PRIORITY_BUTTON_STYLES[value])
+        .setEmoji(PRIORITY_LEVELS[value].emoji));
+
+    return {
+        content: 'How urgent is the situation? Choose a priority to open the request form.',
+        components: [new ActionRowBuilder().addComponents(buttons)]
+    };
+}
+
+/**
+ * Builds the About message explaining how the service works
+ * @param {string} providerName - Name of the security provider requests go to
+ * @param {boolean} isExternal - Whether the panel is in a customer server
+ * @returns {EmbedBuilder} The embed
+ */
+function buildAboutEmbed(providerName, isExternal) {
+    const command = isExternal ? '/request-external-security' : '/request-security';
+    const priorities = [...PRIORITY_CHOICES].reverse().map(({ value }) => formatPriority(value)).join(', ');
+
+    return new EmbedBuilder()
+        .setColor(PANEL_COLOR)
+        .setTitle(`About ${providerName}`)
+        .addFields(
+            { name: 'Requesting security', value: `Press **Request Security**, choose a priority (${priorities}) and describe the situation in the form. You can also use \`${command}\`.` },
+            { name: 'What happens next', value: isExternal
+                ? `${providerName}'s security team is alerted and a confirmation is posted in this channel. It shows who is responding and is updated when the request is concluded.`
+                : `${providerName}'s security team is alerted. You get a private confirmation with a button to cancel the request if it was made by mistake.` },
+            { name: 'Staying informed', value: 'Use `/request-status` to check on your requests and `/notifications` to get a direct message when someone responds or your request is concluded.' }
+        )
+        .setFooter({ text: 'Only use Emergency when people or property are in immediate danger.' });
+}
+
+/**
+ * Deletes a panel message, if it still exists
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string|null} channelId - Channel of the panel
+ * @param {string|null} messageId - The panel message
+ * @returns {Promise<void>}
+ */
+async function deletePanelMessage(client, channelId, messageId) {
+    if (!channelId || !messageId) return;
+    try {
+        const channel = await client.channels.fetch(channelId);
+        await channel.messages.delete(messageId);
+    } catch (error) {
+        if (error.code !== RESTJSONErrorCodes.UnknownMessage && error.code !== RESTJSONErrorCodes.UnknownChannel) {
+            console.warn(`[WARN] Could not delete the old request panel ${messageId}:`, error.message);
+        }
+    }
+}
+
+/**
+ * Posts a server's request panel and pins it, replacing the panel it had before
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} guildId - The server's guild ID
+ * @param {string} [channelId] - Channel to post the panel in; customer servers always use their security channel
+ * and provider servers default to their current panel channel
+ * @returns {Promise<import('discord.js').Message>} The panel message
+ * @throws {Error} When the server cannot have a panel or the channel cannot be used
+ * @example
+ * // In a customer server, after /setup-security-channel panel:True
+ * await postRequestPanel(interaction.client, interaction.guild.id);
+ */
+async function postRequestPanel(client, guildId, channelId) {
+    const owner = await getPanelOwner(guildId);
+    if (!owner) {
+        throw new Error('This server has not been set up for security requests');
+    }
+
+    const panelChannelId = owner.isExternal ? owner.channelId : (channelId || owner.channelId);
+    if (!panelChannelId) {
+        throw new Error('No channel was chosen for the request panel');
+    }
+
+    const channel = await client.channels.fetch(panelChannelId);
+    const message = await channel.send(buildPanelMessage(await getProviderName(owner.providerGuildId, client)));
+    try {
+        await message.pin();
+    } catch (error) {
+        console.warn(`[WARN] Could not pin the request panel in channel ${panelChannelId}:`, error.message);
+    }
+
+    // Store the new panel before deleting the old one, so its deletion is not mistaken for a removed panel
+    await savePanel(owner, panelChannelId, message.id);
+    await deletePanelMessage(client, owner.channelId, owner.messageId);
+
+    console.log(`[INFO] Posted request panel ${message.id} in channel ${panelChannelId} of server ${guildId}`);
+    return message;
+}
+
+/**
+ * Removes a server's request panel
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} guildId - The server's guild ID
+ * @returns {Promise<boolean>} Whether the server had a panel
+ */
+async function removeRequestPanel(client, guildId) {
+    const owner = await getPanelOwner(guildId);
+    if (!owner?.messageId) return false;
+
+    await savePanel(owner, null, null);
+    await deletePanelMessage(client, owner.channelId, owner.messageId);
+    return true;
+}
+
+/**
+ * Posts a request panel again when it was deleted
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} guildId - Guild ID of the deleted message
+ * @param {string} messageId - The deleted message
+ * @returns {Promise<boolean>} Whether the message was a panel that was posted again
+ */
+async function restoreDeletedPanel(client, guildId, messageId) {
+    const owner = await getPanelOwner(guildId);
+    if (!owner || owner.messageId !== messageId) return false;
+    if (owner.isExternal && owner.record.removedAt) return false;
+
+    try {
+        await postRequestPanel(client, guildId);
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Could not post the deleted request panel of server ${guildId} again:`, error);
+        return false;
+    }
+}
+
+/**
+ * Checks every stored request panel and posts the ones that were deleted while the bot was offline again
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @returns {Promise<number>} How many panels were posted again
+ */
+async function ensureRequestPanels(client) {
+    const panels = [
+        ...(await ServerConfig.findAll({ where: { panelMessageId: { [Op.ne]: null } } }))
+            .map(config => ({ guildId: config.serverId, channelId: config.panelChannelId, messageId: config.panelMessageId })),
+        ...(await ExternalServer.findAll({ where: { panelMessageId: { [Op.ne]: null }, removedAt: null } }))
+            .map(server => ({ guildId: server.guildId, channelId: server.channelId, messageId: server.panelMessageId }))
+    ];
+
+    let restored = 0;
+    for (const panel of panels) {
+        if (!client.guilds.cache.has(panel.guildId)) continue;
+        try {
+            const channel = await client.channels.fetch(panel.channelId);
+            await channel.messages.fetch(panel.messageId);
+        } catch (error) {
+            // A missing channel is reported by the configuration health check
+            if (error.code !== RESTJSONErrorCodes.UnknownMessage) continue;
+            if (await restoreDeletedPanel(client, panel.guildId, panel.messageId)) restored++;
+        }
+    }
+    return restored;
+}
+
+module.exports = {
+    PANEL_REQUEST_BUTTON_ID,
+    PANEL_ABOUT_BUTTON_ID,
+    PANEL_PRIORITY_PREFIX,
+    getPanelOwner,
+    buildPriorityPicker,
+    buildAboutEmbed,
+    postRequestPanel,
+    removeRequestPanel,
+    restoreDeletedPanel,
+    ensureRequestPanels
+};
@@ -0,0 +1,147 @@
+/**
+ * @file Security provider utilities
+ * @module Database/ProviderUtils
+ * @description Security providers are the main servers of the security divisions. Each provider has
+ * its own ServerConfig (alert channel, roles, escalation policy) and external servers subscribe to one
+ * provider, whose server receives their requests. The server in the GUILD_ID environment variable is
+ * always a provider and is used for external servers and requests from before providers existed.
+ */
+
+const { Op } = require('sequelize');
+const { ServerConfig, ExternalServer } = require('./models');
+const { getServerConfig, updateServerConfig } = require('./server-config-utils');
+
+/**
+ * Name shown for the default provider when it has no provider name configured
+ * @type {string}
+ */
+const DEFAULT_PROVIDER_NAME = 'VIG Security';
+
+/**
+ * Gets the default provider's guild ID
+ * @returns {string|null} The GUILD_ID environment variable, or null if it is not set
+ */
+function getDefaultProviderId() {
+    return process.env.GUILD_ID || null;
+}
+
+/**
+ * Checks whether a guild is a security provider
+ * @param {string} guildId - The Discord guild ID
+ * @returns {Promise<boolean>} True for the default provider and servers registered as providers
+ * @example
+ * if (!(await isProviderGuild(interaction.guildId))) {
+ *   return interaction.reply({ content: 'This command can only be used in a security provider server.', ephemeral: true });
+ * }
+ */
+async function isProviderGuild(guildId) {
+    if (!guildId) return false;
+    if (guildId === getDefaultProviderId()) return true;
+
+    const config = await getServerConfig(guildId);
+    return Boolean(config?.isProvider);
+}
+
+/**
+ * Gets the configurations of all providers, the default provider first
+ * @returns {Promise<Array<ServerConfig>>} The provider configurations
+ */
+async function getProviders() {
+    const defaultProviderId = getDefaultProviderId();
+    const where = defaultProviderId
+        ? { [Op.or]: [{ isProvider: true }, { serverId: defaultProviderId }] }
+        : { isProvider: true };
+
+    const providers = await ServerConfig.findAll({ where, order: [['providerName', 'ASC']] });
+    return providers.sort((a, b) => (b.serverId === defaultProviderId) - (a.serverId === defaultProviderId));
+}
+
+/**
+ * Gets the guild ID of the provider an external server subscribes to
+ * @param {ExternalServer} externalServer - The stored external server
+ * @returns {string|null} The provider's guild ID
+ */
+function getServerProviderId(externalServer) {
+    return externalServer?.providerGuildId || getDefaultProviderId();
+}
+
+/**
+ * Gets the guild ID of the provider handling a request
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {string|null} The provider's guild ID
+ */
+function getRequestProviderId(request) {
+    return request?.providerGuildId || getDefaultProviderId();
+}
+
+/**
+ * Formats the name customers see for a provider
+ * @param {ServerConfig|null} config - The provider's configuration
+ * @param {import('discord.js').Client} [client] - Discord.js client instance, used to fall back to the server name
+ * @returns {string} The provider name
+ */
+function formatProviderName(config, client) {
+    if (config?.providerName) return config.providerName;
+    if (!config || config.serverId === getDefaultProviderId()) return DEFAULT_PROVIDER_NAME;
+    return client?.guilds.cache.get(config.serverId)?.name || `Provider ${config.serverId}`;
+}
+
+/**
+ * Gets the name customers see for a provider
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {import('discord.js').Client} [client] - Discord.js client instance, used to fall back to the server name
+ * @returns {Promise<string>} The provider name
+ */
+async function getProviderName(providerGuildId, client) {
+    return formatProviderName(await getServerConfig(providerGuildId) || { serverId: providerGuildId }, client);
+}
+
+/**
+ * Gets the name of the provider a server belongs to: the provider itself, or the provider a customer
+ * server subscribes to
+ * @param {string} guildId - The server's guild ID
+ * @param {import('discord.js').Client} [client] - Discord.js client instance, used to fall back to the server name
+ * @returns {Promise<string>} The provider name
+ */
+async function getGuildProviderName(guildId, client) {
+    if (await isProviderGuild(guildId)) return getProviderName(guildId, client);
+    return getProviderName(getServerProviderId(await ExternalServer.findByPk(guildId)), client);
+}
+
+/**
+ * Finds a provider by guild ID or (case-insensitive) name
+ * @param {string} query - Guild ID or provider name
+ * @param {import('discord.js').Client} [client] - Discord.js client instance, used to match server names
+ * @returns {Promise<ServerConfig|null>} The provider's configuration, or null if no provider matches
+ */
+async function findProvider(query, client) {
+    const providers = await getProviders();
+    const normalised = query.trim().toLowerCase();
+    return providers.find(provider => provider.serverId === query.trim())
+        || providers.find(provider => formatProviderName(provider, client).toLowerCase() === normalised)
+        || null;
+}
+
+/**
+ * Registers a server as a security provider, or renames an existing provider
+ * @param {string} guildId - The Discord guild ID
+ * @param {string} providerName - Name customers see for the provider
+ * @returns {Promise<ServerConfig>} The provider's configuration
+ */
+async function registerProvider(guildId, providerName) {
+    return updateServerConfig(guildId, { isProvider: true, providerName });
+}
+
+module.exports = {
+    DEFAULT_PROVIDER_NAME,
+    getDefaultProviderId,
+    isProviderGuild,
+    getProviders,
+    getServerProviderId,
+    getRequestProviderId,
+    formatProviderName,
+    getProviderName,
+    getGuildProviderName,
+    findProvider,
+    registerProvider
+};
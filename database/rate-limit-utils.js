@@ -0,0 +1,300 @@
+/**
+ * @file Request rate limit utilities
+ * @module Database/RateLimitUtils
+ * @description Stops customers and customer servers from flooding a security provider's alert channel.
+ * Each provider configures a cooldown between requests and a burst limit (most requests in a window), both
+ * per user and per customer server. Emergency requests are held to a separate, looser burst limit per user. Requests that hit a limit are refused before anything is posted and
+ * logged; a user or server that keeps hitting the limits is suggested to the provider's blacklist role.
+ */
+
+const { EmbedBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { SecurityRequest, RateLimitHit, BlacklistSuggestion } = require('./models');
+const { getServerConfig } = require('./server-config-utils');
+
+/**
+ * Limits used while a provider has not configured its own
+ * @type {{userCooldownSeconds: number, userBurst: number, serverCooldownSeconds: number, serverBurst: number, emergencyBurst: number, windowMinutes: number, offenderThreshold: number}}
+ */
+const DEFAULT_RATE_LIMITS = {
+    userCooldownSeconds: 60,
+    userBurst: 3,
+    serverCooldownSeconds: 0,
+    serverBurst: 10,
+    emergencyBurst: 5,
+    windowMinutes: 10,
+    offenderThreshold: 3
+};
+
+/**
+ * Hours in which the rate limit hits of a user or server are counted towards the offender threshold
+ * @type {number}
+ */
+const OFFENDER_WINDOW_HOURS = 24;
+
+/**
+ * Labels of the limits, by limit type
+ * @type {Object<string, string>}
+ */
+const LIMIT_LABELS = {
+    'user-cooldown': 'User cooldown',
+    'user-burst': 'User burst limit',
+    'server-cooldown': 'Server cooldown',
+    'server-burst': 'Server burst limit',
+    'emergency-burst': 'Emergency burst limit'
+};
+
+/**
+ * A request refused because of a rate limit
+ * @typedef {Object} RateLimitResult
+ * @property {string} limitType - Which limit was hit, a key of LIMIT_LABELS
+ * @property {Date} retryAt - When the requester can make a request again
+ */
+
+/**
+ * Gets a provider's rate limits, with the defaults for the settings it has not configured
+ * @param {ServerConfig|null} config - The provider's configuration
+ * @returns {typeof DEFAULT_RATE_LIMITS} The limits; 0 means a limit is disabled
+ */
+function getRateLimits(config) {
+    return {
+        userCooldownSeconds: config?.rateLimitUserCooldownSeconds ?? DEFAULT_RATE_LIMITS.userCooldownSeconds,
+        userBurst: config?.rateLimitUserBurst ?? DEFAULT_RATE_LIMITS.userBurst,
+        serverCooldownSeconds: config?.rateLimitServerCooldownSeconds ?? DEFAULT_RATE_LIMITS.serverCooldownSeconds,
+        serverBurst: config?.rateLimitServerBurst ?? DEFAULT_RATE_LIMITS.serverBurst,
+        emergencyBurst: config?.rateLimitEmergencyBurst ?? DEFAULT_RATE_LIMITS.emergencyBurst,
+        windowMinutes: config?.rateLimitWindowMinutes ?? DEFAULT_RATE_LIMITS.windowMinutes,
+        offenderThreshold: config?.rateLimitOffenderThreshold ?? DEFAULT_RATE_LIMITS.offenderThreshold
+    };
+}
+
+/**
+ * Checks a cooldown and a burst limit against earlier requests
+ * @param {Object} where - Which requests count towards the limits
+ * @param {number} cooldownSeconds - Seconds between requests, 0 for no cooldown
+ * @param {number} burst - Most requests in the window, 0 for no burst limit
+ * @param {number} windowMinutes - Minutes in the burst window
+ * @param {Date} now - When the new request is made
+ * @returns {Promise<{limit: 'cooldown'|'burst', retryAt: Date}|null>} The limit that was hit, or null
+ */
+async function checkLimits(where, cooldownSeconds, burst, windowMinutes, now) {
+    if (!cooldownSeconds && !burst) return null;
+
+    const cooldownStart = now.getTime() - cooldownSeconds * 1000;
+    const windowStart = now.getTime() - windowMinutes * 60 * 1000;
+    const requests = await SecurityRequest.findAll({
+        where: { ...where, createdAt: { [Op.gte]: new Date(Math.min(cooldownStart, windowStart)) } },
+        attributes: ['createdAt'],
+        order: [['createdAt', 'DESC']]
+    });
+
+    const latest = requests[0]?.createdAt;
+    if (cooldownSeconds && latest && latest.getTime() > cooldownStart) {
+        return { limit: 'cooldown', retryAt: new Date(latest.getTime() + cooldownSeconds * 1000) };
+    }
+
+    const inWindow = requests.filter(request => request.createdAt.getTime() >= windowStart);
+    if (burst && inWindow.length >= burst) {
+        // A new request is allowed once enough of the requests in the window have aged out of it
+        return { limit: 'burst', retryAt: new Date(inWindow[burst - 1].createdAt.getTime() + windowMinutes * 60 * 1000) };
+    }
+    return null;
+}
+
+/**
+ * Checks whether a new external request stays within its provider's rate limits. The user's limits are
+ * checked first, so a busy server does not hide a user who is spamming. Emergency requests are only held to
+ * the emergency burst limit, so a busy server or an earlier request does not hold up a real emergency.
+ * @param {string} providerGuildId - The provider the request goes to
+ * @param {Object} requester - Who makes the request
+ * @param {string} requester.userId - The requester's user ID
+ * @param {string} requester.externalGuildId - The customer server the request is made in
+ * @param {string} requester.priority - The priority of the request
+ * @param {Date} [now=new Date()] - When the request is made
+ * @returns {Promise<RateLimitResult|null>} The limit that was hit, or null if the request may be made
+ */
+async function checkRateLimit(providerGuildId, { userId, externalGuildId, priority }, now = new Date()) {
+    const limits = getRateLimits(await getServerConfig(providerGuildId));
+
+    if (priority === 'emergency') {
+        const emergencyHit = await checkLimits({ requesterId: userId, isExternal: true, priority: 'emergency' },
+            0, limits.emergencyBurst, limits.windowMinutes, now);
+        return emergencyHit ? { limitType: 'emergency-burst', retryAt: emergencyHit.retryAt } : null;
+    }
+
+    const userHit = await checkLimits({ requesterId: userId, isExternal: true },
+        limits.userCooldownSeconds, limits.userBurst, limits.windowMinutes, now);
+    if (userHit) return { limitType: `user-${userHit.limit}`, retryAt: userHit.retryAt };
+
+    const serverHit = await checkLimits({ externalGuildId },
+        limits.serverCooldownSeconds, limits.serverBurst, limits.windowMinutes, now);
+    if (serverHit) return { limitType: `server-${serverHit.limit}`, retryAt: serverHit.retryAt };
+
+    return null;
+}
+
+/**
+ * Formats the message shown to a requester whose request was refused
+ * @param {RateLimitResult} result - The limit that was hit
+ * @param {string} providerName - Name of the provider the request was for
+ * @returns {string} The message
+ */
+function formatRateLimitError(result, providerName) {
+    const retry = `<t:${Math.ceil(result.retryAt.getTime() / 1000)}:R>`;
+    const reason = result.limitType.startsWith('server-')
+        ? `This server has made too many security requests in a short time. Another request can be made ${retry}.`
+        : `You have made too many security requests in a short time. You can make another request ${retry}.`;
+    return `⏳ ${reason} If people are in danger in the meantime, please contact ${providerName} directly.`;
+}
+
+/**
+ * Builds the suggestion to blacklist a customer server whose users keep hitting the rate limits
+ * @param {Object} hit - The latest rate limit hit
+ * @param {string} guildName - Name of the customer server
+ * @param {Array<{scope: string, count: number}>} offences - Whose hits reached the threshold and how many there were
+ * @param {Array<RateLimitHit>} recentHits - The server's latest hits, newest first
+ * @param {string|null} blacklistRoleId - The provider's blacklist role
+ * @returns {EmbedBuilder} The embed
+ */
+function buildBlacklistSuggestion(hit, guildName, offences, recentHits, blacklistRoleId) {
+    const reasons = offences.map(({ scope, count }) => scope === 'user'
+        ? `<@${hit.userId}> (${hit.userName || hit.userId}) was refused ${count} times`
+        : `its requesters were refused ${count} times in total`);
+    const history = recentHits
+        .map(recent => `<t:${Math.floor(recent.createdAt.getTime() / 1000)}:R> ${LIMIT_LABELS[recent.limitType] || recent.limitType}: <@${recent.userId}>`)
+        .join('\n');
+
+    return new EmbedBuilder()
+        .setColor(0xFF8C00)
+        .setTitle('🚫 Blacklist suggestion')
+        .setDescription(`**${guildName}** (${hit.externalGuildId}) keeps hitting the request rate limits: ${reasons.join(' and ')} in the last ${OFFENDER_WINDOW_HOURS} hours. Consider blacklisting the server if it is misusing the security request system.`)
+        .addFields(
+            { name: 'Recent rate limit hits', value: history.slice(0, 1024) || 'None' },
+            { name: 'How to blacklist', value: `\`/manage-blacklist blacklist server-id:${hit.externalGuildId} reason:Repeated request spam\`${blacklistRoleId ? '' : '\nNo blacklist role is set, so only the server owner can blacklist servers.'}` }
+        )
+        .setTimestamp();
+}
+
+/**
+ * Suggests blacklisting the server of a hit to the provider's blacklist role, once the user or the server
+ * reaches the offender threshold. Each user and server is suggested at most once per offender window, so
+ * later hits do not repeat the suggestion.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {RateLimitHit} hit - The hit that was just logged
+ * @param {string} guildName - Name of the customer server
+ * @returns {Promise<boolean>} Whether a suggestion was posted
+ */
+async function suggestBlacklist(client, hit, guildName) {
+    const config = await getServerConfig(hit.providerGuildId);
+    const { offenderThreshold } = getRateLimits(config);
+    if (!offenderThreshold || !config?.alertChannelId) return false;
+
+    const since = new Date(Date.now() - OFFENDER_WINDOW_HOURS * 60 * 60 * 1000);
+    const where = { providerGuildId: hit.providerGuildId, createdAt: { [Op.gte]: since } };
+    const offences = [
+        { scope: 'user', count: await RateLimitHit.count({ where: { ...where, userId: hit.userId } }) },
+        { scope: 'server', count: await RateLimitHit.count({ where: { ...where, externalGuildId: hit.externalGuildId } }) }
+    ].filter(offence => offence.count >= offenderThreshold);
+
+    // Leave out offenders that were already suggested in this window
+    const suggested = await BlacklistSuggestion.findAll({
+        where: { providerGuildId: hit.providerGuildId, externalGuildId: hit.externalGuildId, createdAt: { [Op.gte]: since } }
+    });
+    const newOffences = offences.filter(offence => !suggested.some(suggestion => suggestion.scope === offence.scope
+        && (offence.scope === 'server' || suggestion.userId === hit.userId)));
+    if (newOffences.length === 0) return false;
+
+    const recentHits = await RateLimitHit.findAll({
+        where: { ...where, externalGuildId: hit.externalGuildId },
+        order: [['createdAt', 'DESC']],
+        limit: 10
+    });
+
+    const alertChannel = await client.channels.fetch(config.alertChannelId);
+    await alertChannel.send({
+        content: config.blacklistRoleId ? `<@&${config.blacklistRoleId}>` : undefined,
+        embeds: [buildBlacklistSuggestion(hit, guildName, newOffences, recentHits, config.blacklistRoleId)],
+        allowedMentions: { roles: config.blacklistRoleId ? [config.blacklistRoleId] : [] }
+    });
+    await BlacklistSuggestion.bulkCreate(newOffences.map(({ scope }) => ({
+        providerGuildId: hit.providerGuildId,
+        externalGuildId: hit.externalGuildId,
+        scope,
+        userId: scope === 'user' ? hit.userId : null
+    })));
+    console.log(`[INFO] Suggested blacklisting server ${hit.externalGuildId} to provider ${hit.providerGuildId} after repeated rate limit hits`);
+    return true;
+}
+
+/**
+ * Logs a request that was refused because of a rate limit and raises repeat offenders with the provider
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {string} providerGuildId - The provider the request was for
+ * @param {RateLimitResult} result - The limit that was hit
+ * @param {Object} requester - Who made the request
+ * @param {string} requester.userId - The requester's user ID
+ * @param {string} requester.userName - The requester's name
+ * @param {string} requester.externalGuildId - The customer server the request was made in
+ * @param {string} requester.guildName - Name of the customer server
+ * @returns {Promise<void>}
+ * @example
+ * const result = await checkRateLimit(providerGuildId, { userId, externalGuildId, priority });
+ * if (result) {
+ *     await recordRateLimitHit(interaction.client, providerGuildId, result, { userId, userName, externalGuildId, guildName });
+ *     return { error: formatRateLimitError(result, providerName) };
+ * }
+ */
+async function recordRateLimitHit(client, providerGuildId, result, { userId, userName, externalGuildId, guildName }) {
+    console.warn(`[WARN] Refused security request from user ${userId} in server ${externalGuildId} (${guildName}): ${LIMIT_LABELS[result.limitType]} until ${result.retryAt.toISOString()}`);
+
+    try {
+        const hit = await RateLimitHit.create({ providerGuildId, externalGuildId, userId, userName, limitType: result.limitType });
+        await suggestBlacklist(client, hit, guildName);
+    } catch (error) {
+        // The request is refused either way
+        console.error(`[ERROR] Error logging the rate limit hit of user ${userId} in server ${externalGuildId}:`, error);
+    }
+}
+
+/**
+ * Counts a provider's rate limit hits in the offender window
+ * @param {string} providerGuildId - The provider's guild ID
+ * @returns {Promise<number>} The number of refused requests
+ */
+async function countRecentRateLimitHits(providerGuildId) {
+    const since = new Date(Date.now() - OFFENDER_WINDOW_HOURS * 60 * 60 * 1000);
+    return RateLimitHit.count({ where: { providerGuildId, createdAt: { [Op.gte]: since } } });
+}
+
+/**
+ * Formats a provider's rate limits for display
+ * @param {ServerConfig|null} config - The provider's configuration
+ * @returns {string} The limits, one per line
+ * @example
+ * formatRateLimits(config);
+ * // '**User Rate Limit:** 60 seconds between requests, at most 3 requests in 10 minutes\n...'
+ */
+function formatRateLimits(config) {
+    const limits = getRateLimits(config);
+    const describe = (cooldownSeconds, burst) => [
+        cooldownSeconds ? `${cooldownSeconds} seconds between requests` : null,
+        burst ? `at most ${burst} requests in ${limits.windowMinutes} minutes` : null
+    ].filter(Boolean).join(', ') || 'Disabled';
+
+    return [
+        `**User Rate Limit:** ${describe(limits.userCooldownSeconds, limits.userBurst)}`,
+        `**Server Rate Limit:** ${describe(limits.serverCooldownSeconds, limits.serverBurst)}`,
+        `**Emergency Rate Limit:** ${describe(0, limits.emergencyBurst)}`,
+        `**Blacklist Suggestion:** ${limits.offenderThreshold ? `after ${limits.offenderThreshold} rate limit hits in ${OFFENDER_WINDOW_HOURS} hours` : 'Disabled'}`
+    ].join('\n');
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMITS,
+    getRateLimits,
+    checkRateLimit,
+    formatRateLimitError,
+    recordRateLimitHit,
+    countRecentRateLimitHits,
+    formatRateLimits
+};
@@ -0,0 +1,247 @@
+/**
+ * @file Satisfaction rating utilities
+ * @module Database/RatingUtils
+ * @description Sends the satisfaction survey to the requester's server when an external request is
+ * concluded, stores the 1-5 rating and optional comment on the SecurityRequest and summarises the
+ * ratings for the /ratings command.
+ */
+
+const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const { Op } = require('sequelize');
+const { SecurityRequest, ExternalServer } = require('./models');
+const { getSecurityRequest, getResponderIds } = require('./request-utils');
+const { recordRequestEvent } = require('./request-events');
+const { getRequestProviderId, getProviderName } = require('./provider-utils');
+
+/**
+ * Highest rating a requester can give
+ * @type {number}
+ */
+const MAX_RATING = 5;
+
+/**
+ * Embed colour of the survey messages
+ * @type {number}
+ */
+const SURVEY_COLOR = 0xFFD700;
+
+/**
+ * Formats a rating as stars, e.g. '★★★★☆'
+ * @param {number} rating - The rating (1-5)
+ * @returns {string} The stars
+ */
+function formatStars(rating) {
+    const rounded = Math.round(rating);
+    return '★'.repeat(rounded) + '☆'.repeat(MAX_RATING - rounded);
+}
+
+/**
+ * Builds the survey message asking the requester to rate a concluded request
+ * @param {SecurityRequest} request - The concluded security request
+ * @param {string} providerName - Name of the security provider that handled the request
+ * @returns {{content: string, embeds: Array<EmbedBuilder>, components: Array<ActionRowBuilder>}} Message payload
+ */
+function buildSurveyMessage(request, providerName) {
+    const embed = new EmbedBuilder()
+        .setColor(SURVEY_COLOR)
+        .setTitle('How did we do?')
+        .setDescription(`Your security request at **${request.location}** has been concluded. Please rate the response from ${providerName} from 1 (poor) to ${MAX_RATING} (excellent). You can add a comment afterwards.`)
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+
+    const buttons = Array.from({ length: MAX_RATING }, (_, index) => new ButtonBuilder()
+        .setCustomId(`rate_${request.requestId}_${index + 1}`)
+        .setLabel(`${index + 1}`)
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('⭐'));
+
+    return {
+        content: `<@${request.requesterId}>`,
+        embeds: [embed],
+        components: [new ActionRowBuilder().addComponents(buttons)]
+    };
+}
+
+/**
+ * Builds the survey message once the requester has rated the request
+ * @param {SecurityRequest} request - The rated security request
+ * @param {boolean} allowComment - Whether to offer the 'Add a comment' button
+ * @returns {{content: string, embeds: Array<EmbedBuilder>, components: Array<ActionRowBuilder>}} Message payload
+ */
+function buildRatedSurveyMessage(request, allowComment) {
+    const embed = new EmbedBuilder()
+        .setColor(SURVEY_COLOR)
+        .setTitle('Thank you for your feedback!')
+        .addFields({ name: 'Rating', value: `${formatStars(request.rating)} (${request.rating}/${MAX_RATING})` })
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+
+    if (request.ratingComment) {
+        embed.addFields({ name: 'Comment', value: request.ratingComment.slice(0, 1024) });
+    }
+
+    const components = [];
+    if (allowComment) {
+        const commentButton = new ButtonBuilder()
+            .setCustomId(`ratecomment_${request.requestId}`)
+            .setLabel('Add a comment')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('💬');
+        components.push(new ActionRowBuilder().addComponents(commentButton));
+    }
+
+    return { content: `<@${request.requesterId}>`, embeds: [embed], components };
+}
+
+/**
+ * Posts the satisfaction survey in the requester's server, as a reply to their confirmation message.
+ * Internal requests and requests that were already rated are not surveyed.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The concluded security request
+ * @returns {Promise<boolean>} Whether the survey was posted
+ */
+async function postRatingSurvey(client, request) {
+    if (!request.isExternal || !request.externalGuildId || request.rating) {
+        return false;
+    }
+
+    try {
+        const externalServer = await ExternalServer.findByPk(request.externalGuildId);
+        if (!externalServer) return false;
+
+        const channel = await client.channels.fetch(externalServer.channelId);
+        await channel.send({
+            ...buildSurveyMessage(request, await getProviderName(getRequestProviderId(request), client)),
+            allowedMentions: { users: [request.requesterId] },
+            reply: request.externalMessageId
+                ? { messageReference: request.externalMessageId, failIfNotExists: false }
+                : undefined
+        });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to post rating survey for request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Stores the requester's rating of a concluded request. Rating again replaces the earlier rating.
+ * @param {string} requestId - The request ID
+ * @param {string} userId - Discord user ID of the person rating
+ * @param {number} rating - The rating (1-5)
+ * @returns {Promise<{request: SecurityRequest, rated: boolean, error?: string}|null>} The request and whether
+ * the rating was stored (with a user-facing error if not), or null if the request does not exist
+ */
+async function rateRequest(requestId, userId, rating) {
+    const request = await getSecurityRequest(requestId);
+    if (!request) return null;
+
+    if (request.requesterId !== userId) {
+        return { request, rated: false, error: 'Only the person who made this request can rate it.' };
+    }
+    if (request.status !== 'concluded') {
+        return { request, rated: false, error: 'This request is active again and can be rated once it is concluded.' };
+    }
+    if (!Number.isInteger(rating) || rating < 1 || rating > MAX_RATING) {
+        return { request, rated: false, error: 'That is not a valid rating.' };
+    }
+
+    request.rating = rating;
+    request.ratedAt = new Date();
+    await request.save();
+    await recordRequestEvent(requestId, 'rated', { actorId: userId, details: `${rating}/${MAX_RATING}` });
+
+    return { request, rated: true };
+}
+
+/**
+ * Stores the comment a requester left with their rating
+ * @param {string} requestId - The request ID
+ * @param {string} userId - Discord user ID of the person commenting
+ * @param {string} comment - The comment
+ * @returns {Promise<{request: SecurityRequest, commented: boolean, error?: string}|null>} The request and whether
+ * the comment was stored (with a user-facing error if not), or null if the request does not exist
+ */
+async function addRatingComment(requestId, userId, comment) {
+    const request = await getSecurityRequest(requestId);
+    if (!request) return null;
+
+    if (request.requesterId !== userId) {
+        return { request, commented: false, error: 'Only the person who made this request can comment on it.' };
+    }
+    if (!request.rating) {
+        return { request, commented: false, error: 'Please rate the request before adding a comment.' };
+    }
+
+    request.ratingComment = comment.trim() || null;
+    await request.save();
+    if (request.ratingComment) {
+        await recordRequestEvent(requestId, 'rated', { actorId: userId, details: `Comment: ${request.ratingComment}` });
+    }
+
+    return { request, commented: true };
+}
+
+/**
+ * Averages a list of ratings per key
+ * @param {Array<[string, number]>} entries - Key and rating pairs
+ * @returns {Array<{key: string, count: number, average: number}>} Averages, best rated first
+ */
+function averageByKey(entries) {
+    const totals = new Map();
+    entries.forEach(([key, rating]) => {
+        const total = totals.get(key) || { count: 0, sum: 0 };
+        totals.set(key, { count: total.count + 1, sum: total.sum + rating });
+    });
+
+    return [...totals.entries()]
+        .map(([key, { count, sum }]) => ({ key, count, average: sum / count }))
+        .sort((a, b) => b.average - a.average || b.count - a.count);
+}
+
+/**
+ * Summarises the stored ratings
+ * @param {Object} [options] - Summary options
+ * @param {string} [options.providerGuildId] - Only include requests handled by this security provider
+ * @param {string} [options.externalGuildId] - Only include ratings from this customer server
+ * @returns {Promise<Object>} Overall count and average, averages per responder and per customer server,
+ * and the most recent comments
+ * @example
+ * const summary = await summariseRatings({ providerGuildId: interaction.guildId });
+ * console.log(`${summary.count} ratings, average ${summary.average.toFixed(2)}`);
+ */
+async function summariseRatings({ providerGuildId, externalGuildId } = {}) {
+    const where = { rating: { [Op.ne]: null } };
+    if (providerGuildId) {
+        where.providerGuildId = providerGuildId;
+    }
+    if (externalGuildId) {
+        where.externalGuildId = externalGuildId;
+    }
+
+    const requests = await SecurityRequest.findAll({
+        where,
+        include: [{ model: ExternalServer, as: 'externalServer', required: false }],
+        order: [['ratedAt', 'DESC']]
+    });
+
+    const sum = requests.reduce((total, request) => total + request.rating, 0);
+
+    return {
+        count: requests.length,
+        average: requests.length > 0 ? sum / requests.length : null,
+        byResponder: averageByKey(requests.flatMap(request =>
+            getResponderIds(request).map(responderId => [responderId, request.rating]))),
+        byServer: averageByKey(requests.map(request =>
+            [request.externalServer?.guildName || `Unknown Server (${request.externalGuildId})`, request.rating])),
+        recentComments: requests.filter(request => request.ratingComment).slice(0, 5)
+    };
+}
+
+module.exports = {
+    MAX_RATING,
+    formatStars,
+    buildRatedSurveyMessage,
+    postRatingSurvey,
+    rateRequest,
+    addRatingComment,
+    summariseRatings
+};
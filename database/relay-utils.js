@@ -0,0 +1,195 @@
+/**
+ * @file Customer relay utilities
+ * @module Database/RelayUtils
+ * @description Mirrors messages between the requester's thread in an external server and the
+ * discussion thread of the request in the security server. The relay is opt-in per request
+ * and stops as soon as the request is concluded. Everything the requester posts is relayed, but the
+ * discussion thread is where responders talk among themselves, so only their messages that start
+ * with RELAY_PREFIX reach the requester.
+ */
+
+const { EmbedBuilder, ThreadAutoArchiveDuration } = require('discord.js');
+const { Op } = require('sequelize');
+const { SecurityRequest, ExternalServer } = require('./models');
+const { getRequestThreadName, getRequestThread } = require('./request-utils');
+const { getRequestProviderId, getProviderName } = require('./provider-utils');
+
+/**
+ * Embed colour for messages relayed from the requester to security
+ * @type {number}
+ */
+const CUSTOMER_RELAY_COLOR = 0x0099FF;
+
+/**
+ * Embed colour for messages relayed from security to the requester
+ * @type {number}
+ */
+const SECURITY_RELAY_COLOR = 0xFF8C00;
+
+/**
+ * Marks a message in the discussion thread for the requester, e.g. '!relay We are on our way'
+ * @type {RegExp}
+ */
+const RELAY_PREFIX = /^!relay\b\s*/i;
+
+/**
+ * Opens the requester's relay thread on the confirmation message in the external server
+ * and announces the relay in both threads.
+ * Failing to open the thread does not stop the request from being posted.
+ * @param {import('discord.js').Message} externalMessage - The confirmation message in the external server
+ * @param {SecurityRequest} request - The stored security request, with its discussion thread already opened
+ * @returns {Promise<import('discord.js').ThreadChannel|null>} The relay thread, or null if it could not be opened
+ */
+async function openRelayThread(externalMessage, request) {
+    try {
+        const thread = await externalMessage.startThread({
+            name: getRequestThreadName(request),
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+            reason: `Relay for security request ${request.requestId}`
+        });
+
+        request.externalThreadId = thread.id;
+        await request.save();
+
+        await thread.members.add(request.requesterId).catch(error => {
+            console.error(`[ERROR] Failed to add requester to relay thread of request ${request.requestId}:`, error);
+        });
+        await thread.send('🔁 Messages the requester posts in this thread are relayed to the responding security personnel, and their replies will appear here. The relay ends when the request is concluded.');
+
+        const securityThread = await getRequestThread(externalMessage.client, request);
+        if (securityThread) {
+            await securityThread.send('🔁 The requester opted in to the relay: their messages appear in this thread until the request is concluded. Start a message with `!relay` to forward it to them; other messages stay internal.');
+        }
+
+        return thread;
+    } catch (error) {
+        console.error(`[ERROR] Failed to open relay thread for request ${request.requestId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Finds the open, relay-enabled request a thread belongs to
+ * @param {string} threadId - ID of the thread a message was posted in
+ * @returns {Promise<SecurityRequest|null>} The request, or null if the thread is not relayed
+ */
+async function findRelayRequest(threadId) {
+    return SecurityRequest.findOne({
+        where: {
+            relayEnabled: true,
+            status: { [Op.ne]: 'concluded' },
+            [Op.or]: [{ threadId }, { externalThreadId: threadId }]
+        }
+    });
+}
+
+/**
+ * Builds the attributed embed for a relayed message
+ * @param {import('discord.js').Message} message - The original message
+ * @param {string} content - The text to relay
+ * @param {string} origin - Where the message came from, shown after the author's name
+ * @param {number} color - Embed colour for the relay direction
+ * @returns {EmbedBuilder} The relay embed
+ */
+function buildRelayEmbed(message, content, origin, color) {
+    const authorName = message.member?.displayName || message.author.username;
+    const attachments = [...message.attachments.values()].map(attachment => attachment.url);
+    const description = [content, ...attachments].filter(Boolean).join('\n');
+
+    return new EmbedBuilder()
+        .setColor(color)
+        .setAuthor({ name: `${authorName} (${origin})`, iconURL: message.author.displayAvatarURL() })
+        .setDescription(description.slice(0, 4096) || '*No text content*')
+        .setTimestamp(message.createdAt);
+}
+
+/**
+ * Mirrors a message posted in a relayed thread to the thread on the other side. In the requester's thread
+ * only the requester's own messages are relayed, as anyone in the customer server can post there. Messages
+ * in the discussion thread are only relayed when they start with RELAY_PREFIX, which is removed.
+ * @param {import('discord.js').Message} message - A message posted in a thread
+ * @returns {Promise<boolean>} Whether the message was relayed
+ * @example
+ * // In the messageCreate handler
+ * if (message.channel.isThread()) await relayMessage(message);
+ */
+async function relayMessage(message) {
+    const request = await findRelayRequest(message.channel.id);
+    if (!request) return false;
+
+    let targetThreadId;
+    let embed;
+    if (message.channel.id === request.externalThreadId) {
+        if (message.author.id !== request.requesterId) return false;
+        const externalServer = await ExternalServer.findByPk(request.externalGuildId);
+        embed = buildRelayEmbed(message, message.content, externalServer?.guildName || 'Customer', CUSTOMER_RELAY_COLOR);
+        targetThreadId = request.threadId;
+    } else {
+        // Internal discussion between responders stays in the security server
+        if (!RELAY_PREFIX.test(message.content)) return false;
+        const content = message.content.replace(RELAY_PREFIX, '');
+        if (!content && message.attachments.size === 0) return false;
+        const providerName = await getProviderName(getRequestProviderId(request), message.client);
+        embed = buildRelayEmbed(message, content, providerName, SECURITY_RELAY_COLOR);
+        targetThreadId = request.externalThreadId;
+    }
+
+    if (!targetThreadId) return false;
+
+    try {
+        const targetThread = await message.client.channels.fetch(targetThreadId);
+        // Never let relayed text ping anyone on the other side
+        await targetThread.send({ embeds: [embed], allowedMentions: { parse: [] } });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to relay message ${message.id} for request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Ends the relay of a concluded request by archiving and locking the requester's thread
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<boolean>} Whether the relay thread was closed
+ */
+async function closeRelayThread(client, request) {
+    if (!request.relayEnabled || !request.externalThreadId) return false;
+    try {
+        const thread = await client.channels.fetch(request.externalThreadId);
+        const providerName = await getProviderName(getRequestProviderId(request), client);
+        await thread.send(`🔒 This request has been concluded. The relay with ${providerName} has ended.`);
+        await thread.edit({ archived: true, locked: true, reason: `Security request ${request.requestId} concluded` });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to close relay thread of request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Resumes the relay of a reopened request by unarchiving and unlocking the requester's thread
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<boolean>} Whether the relay thread was reopened
+ */
+async function reopenRelayThread(client, request) {
+    if (!request.relayEnabled || !request.externalThreadId) return false;
+    try {
+        const thread = await client.channels.fetch(request.externalThreadId);
+        await thread.edit({ archived: false, locked: false, reason: `Security request ${request.requestId} reopened` });
+        const providerName = await getProviderName(getRequestProviderId(request), client);
+        await thread.send(`🔓 This request has been reopened. The relay with ${providerName} is active again.`);
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to reopen relay thread of request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+module.exports = {
+    openRelayThread,
+    relayMessage,
+    closeRelayThread,
+    reopenRelayThread
+};
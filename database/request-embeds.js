@@ -0,0 +1,318 @@
+/**
+ * @file Security request rendering
+ * @module Database/RequestEmbeds
+ * @description Builds the embeds and action rows for security request messages from the stored
+ * SecurityRequest row. Messages are always re-rendered from the database so that the embed
+ * on Discord never acts as a source of truth.
+ */
+
+const { EmbedBuilder, ButtonBuilder, ButtonStyle, ActionRowBuilder } = require('discord.js');
+const { getPriorityLevel, formatPriority } = require('./request-priorities');
+const { formatEventType } = require('./request-events');
+
+/**
+ * Embed colour for concluded requests
+ * @type {number}
+ */
+const CONCLUDED_COLOR = 0x00FF00;
+
+/**
+ * Embed colour for the confirmation shown in the requester's server
+ * @type {number}
+ */
+const CONFIRMATION_COLOR = 0x0099FF;
+
+/**
+ * Display labels for the stored request statuses
+ * @type {Object<string, string>}
+ */
+const STATUS_LABELS = {
+    pending: '⏳ Pending',
+    responding: '🚓 Responding',
+    concluded: '✅ Concluded'
+};
+
+/**
+ * Formats a request status for display, e.g. '⏳ Pending'
+ * @param {string} status - The stored request status
+ * @returns {string} The formatted status
+ */
+function formatStatus(status) {
+    return STATUS_LABELS[status] || status;
+}
+
+/**
+ * Formats a list of responder IDs as user mentions for the security server embed
+ * @param {Array<string>} responderIds - Discord user IDs of the responders
+ * @returns {string} One mention per line, or 'None yet.' when nobody is responding
+ */
+function formatResponderMentions(responderIds) {
+    return responderIds.length > 0
+        ? responderIds.map(id => `<@${id}>`).join('\n')
+        : 'None yet.';
+}
+
+/**
+ * Whether a request was concluded before and has been reopened since
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {boolean} True for reopened requests
+ */
+function isReopenedRequest(request) {
+    return request.status !== 'concluded' && Boolean(request.concludedAt);
+}
+
+/**
+ * Formats the previous conclusion of a reopened request
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {string} The reason, who concluded the request and when
+ */
+function formatPreviousConclusion(request) {
+    const concludedAt = Math.floor(new Date(request.concludedAt).getTime() / 1000);
+    const concludedBy = request.concludedById ? ` by <@${request.concludedById}>` : '';
+    return `${request.conclusionReason || 'No reason provided'}\n*Concluded${concludedBy} <t:${concludedAt}:R>*`;
+}
+
+/**
+ * Builds the fields for the situation details that are only asked on the request form
+ * @param {SecurityRequest} request - The security request
+ * @returns {Array<{name: string, value: string, inline: boolean}>} The fields, empty when none were given
+ */
+function buildSituationFields(request) {
+    const fields = [];
+    if (request.peopleInvolved !== null && request.peopleInvolved !== undefined) {
+        fields.push({ name: 'People Involved', value: `${request.peopleInvolved}`, inline: true });
+    }
+    if (request.anyoneInjured !== null && request.anyoneInjured !== undefined) {
+        fields.push({ name: 'Anyone Injured', value: request.anyoneInjured ? '🩹 Yes' : 'No', inline: true });
+    }
+    return fields;
+}
+
+/**
+ * Builds the embed posted in the security server's alert channel.
+ * Open requests are coloured by their priority.
+ * @param {SecurityRequest} request - The stored security request
+ * @param {Object} context - Values that are not stored on the request row itself
+ * @param {Array<string>} context.responderIds - Normalised responder IDs of the request
+ * @param {string} [context.sourceGuildName] - Name of the external server the request came from
+ * @param {Location|null} [context.location] - Directory entry of the request's location
+ * @returns {EmbedBuilder} The rendered embed
+ * @example
+ * const embed = buildSecurityEmbed(request, { responderIds: getResponderIds(request), sourceGuildName: 'Customer Server' });
+ * await message.edit({ embeds: [embed] });
+ */
+function buildSecurityEmbed(request, { responderIds, sourceGuildName, location = null }) {
+    const isConcluded = request.status === 'concluded';
+    const isReopened = isReopenedRequest(request);
+    const sourceGuild = sourceGuildName || 'Unknown Server';
+
+    const embed = new EmbedBuilder()
+        .setColor(isConcluded ? CONCLUDED_COLOR : getPriorityLevel(request.priority).color)
+        .setTimestamp(isConcluded && request.concludedAt ? request.concludedAt : request.createdAt)
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+
+    if (request.isExternal) {
+        embed
+            .setTitle(isConcluded ? '✅ External Security Request Concluded ✅' : isReopened ? '🔄 External Security Request Reopened 🔄' : '🚨 External Security Request 🚨')
+            .setAuthor({ name: `${request.requesterName} from ${sourceGuild}` })
+            .addFields(
+                { name: 'Source Server', value: sourceGuild },
+                { name: 'Priority', value: formatPriority(request.priority) },
+                { name: 'Location', value: request.location },
+                { name: 'Details', value: request.details || 'No additional details provided.' },
+                ...buildSituationFields(request),
+                { name: 'Contact', value: request.contact || 'Not provided' },
+                { name: 'Requester', value: `${request.requesterName} (${request.requesterId})` },
+                { name: 'Responding Security', value: formatResponderMentions(responderIds) }
+            );
+    } else {
+        embed
+            .setTitle(isConcluded ? '✅ Security Request Concluded ✅' : isReopened ? '🔄 Security Request Reopened 🔄' : '🚨 Security Request 🚨')
+            .setAuthor({ name: request.requesterName })
+            .addFields(
+                { name: 'Priority', value: formatPriority(request.priority) },
+                { name: 'Location', value: request.location },
+                { name: 'Details', value: request.details || 'No additional details provided.' },
+                ...buildSituationFields(request),
+                ...(request.contact ? [{ name: 'Contact', value: request.contact }] : []),
+                { name: 'Requested By', value: `<@${request.requesterId}>` },
+                { name: 'Responding Security', value: formatResponderMentions(responderIds) }
+            );
+    }
+
+    // Directory details help responders find the location
+    if (location?.zone) {
+        embed.addFields({ name: 'Zone', value: location.zone, inline: true });
+    }
+    if (location?.notes) {
+        embed.addFields({ name: 'Location Notes', value: location.notes.slice(0, 1024) });
+    }
+
+    if (isConcluded) {
+        embed.addFields(
+            { name: 'Conclusion Reason', value: request.conclusionReason || 'No reason provided' },
+            { name: 'Concluded By', value: request.concludedById ? `<@${request.concludedById}>` : 'Unknown' }
+        );
+    } else if (isReopened) {
+        embed.addFields({ name: 'Previously Concluded', value: formatPreviousConclusion(request) });
+    }
+
+    return embed;
+}
+
+/**
+ * Builds the action rows for the security server message.
+ * Concluded requests can only be reopened or have their timeline viewed.
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Array<ActionRowBuilder>} The action rows to attach to the message
+ */
+function buildSecurityComponents(request) {
+    const timelineButton = new ButtonBuilder()
+        .setCustomId(`timeline_${request.requestId}`)
+        .setLabel('Timeline')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('📜');
+
+    if (request.status === 'concluded') {
+        const reopenButton = new ButtonBuilder()
+            .setCustomId(`reopen_${request.requestId}`)
+            .setLabel('Reopen')
+            .setStyle(ButtonStyle.Primary)
+            .setEmoji('🔄');
+
+        return [new ActionRowBuilder().addComponents(reopenButton, timelineButton)];
+    }
+
+    const respondButton = new ButtonBuilder()
+        .setCustomId(`respond_${request.requestId}`)
+        .setLabel('Respond')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('✅');
+
+    const withdrawButton = new ButtonBuilder()
+        .setCustomId(`withdraw_${request.requestId}`)
+        .setLabel('Withdraw')
+        .setStyle(ButtonStyle.Secondary)
+        .setEmoji('↩️');
+
+    const concludeButton = new ButtonBuilder()
+        .setCustomId(`conclude_${request.requestId}`)
+        .setLabel('Conclude Request')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('✖️');
+
+    return [new ActionRowBuilder().addComponents(respondButton, withdrawButton, concludeButton, timelineButton)];
+}
+
+/**
+ * Builds the embed listing every recorded action on a request, oldest first.
+ * When the history does not fit in one embed the oldest entries are left out.
+ * @param {SecurityRequest} request - The stored security request
+ * @param {Array<RequestEvent>} events - The request's events, oldest first
+ * @returns {EmbedBuilder} The rendered embed
+ */
+function buildTimelineEmbed(request, events) {
+    const lines = events.map(event => {
+        const time = Math.floor(new Date(event.createdAt).getTime() / 1000);
+        const actor = event.actorId ? ` by <@${event.actorId}>` : '';
+        const details = event.details ? ` – ${event.details}` : '';
+        return `<t:${time}:f> **${formatEventType(event.type)}**${actor}${details}`.slice(0, 300);
+    });
+
+    // Keep the newest entries within the description limit
+    let description = lines.join('\n');
+    let omitted = 0;
+    while (description.length > 4000) {
+        omitted++;
+        description = lines.slice(omitted).join('\n');
+    }
+    if (omitted > 0) {
+        description = `*${omitted} earlier event${omitted === 1 ? '' : 's'} not shown*\n${description}`;
+    }
+
+    return new EmbedBuilder()
+        .setColor(request.status === 'concluded' ? CONCLUDED_COLOR : getPriorityLevel(request.priority).color)
+        .setTitle(`📜 Timeline – ${request.location}`.slice(0, 256))
+        .setDescription(description || 'No events have been recorded for this request.')
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+}
+
+/**
+ * Builds the action rows shown to the requester on their confirmation message.
+ * Open requests can be cancelled, e.g. when they were submitted by mistake.
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Array<ActionRowBuilder>} The action rows to attach to the confirmation
+ */
+function buildRequesterComponents(request) {
+    if (request.status === 'concluded') {
+        return [];
+    }
+
+    const cancelButton = new ButtonBuilder()
+        .setCustomId(`cancel_${request.requestId}`)
+        .setLabel('Cancel request')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('🛑');
+
+    return [new ActionRowBuilder().addComponents(cancelButton)];
+}
+
+/**
+ * Builds the confirmation embed shown in the requester's (external) server
+ * @param {SecurityRequest} request - The stored security request
+ * @param {Array<string>} responderNames - Display names of the responding security personnel
+ * @param {string} providerName - Name of the security provider the request was sent to
+ * @returns {EmbedBuilder} The rendered embed
+ * @example
+ * const names = await resolveResponderNames(mainGuild, getResponderIds(request));
+ * const providerName = await getProviderName(getRequestProviderId(request), client);
+ * await externalMessage.edit({ embeds: [buildExternalEmbed(request, names, providerName)] });
+ */
+function buildExternalEmbed(request, responderNames, providerName) {
+    if (request.status === 'concluded') {
+        return new EmbedBuilder()
+            .setColor(CONCLUDED_COLOR)
+            .setTitle('✅ Security Request Concluded ✅')
+            .setFields(
+                { name: 'Location', value: request.location },
+                { name: 'Details', value: request.details || 'No additional details provided.' },
+                { name: 'Contact', value: request.contact || 'Not provided' },
+                { name: 'Status', value: 'Completed' },
+                { name: 'Conclusion', value: request.conclusionReason || 'No reason provided' },
+                { name: 'Concluded By', value: request.concludedByName || 'Unknown' }
+            )
+            .setTimestamp(request.concludedAt || new Date())
+            .setFooter({ text: `Request ID: ${request.requestId}` });
+    }
+
+    const isReopened = isReopenedRequest(request);
+    let status = responderNames.length > 0
+        ? `Security personnel responding: ${responderNames.join(', ')}`
+        : `Your request has been sent to ${providerName}`;
+    if (isReopened) {
+        status = `This request has been reopened and is active again. ${status}`;
+    }
+
+    return new EmbedBuilder()
+        .setColor(CONFIRMATION_COLOR)
+        .setTitle(isReopened ? '🔄 Security Request Reopened' : 'Security Request Sent')
+        .addFields(
+            { name: 'Priority', value: formatPriority(request.priority) },
+            { name: 'Location', value: request.location },
+            { name: 'Details', value: request.details || 'No additional details provided.' },
+            ...buildSituationFields(request),
+            { name: 'Contact', value: request.contact || 'Not provided' },
+            { name: 'Status', value: status }
+        )
+        .setTimestamp(request.createdAt)
+        .setFooter({ text: `Request ID: ${request.requestId}` });
+}
+
+module.exports = {
+    formatStatus,
+    buildSecurityEmbed,
+    buildSecurityComponents,
+    buildExternalEmbed,
+    buildRequesterComponents,
+    buildTimelineEmbed
+};
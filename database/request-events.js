@@ -0,0 +1,71 @@
+/**
+ * @file Security request timeline
+ * @module Database/RequestEvents
+ * @description Records the actions taken on security requests as RequestEvent rows and reads
+ * them back as a timeline. Recording an event never fails the action it describes.
+ */
+
+const { RequestEvent } = require('./models');
+
+/**
+ * Display labels for known event types. Unknown types are shown as stored.
+ * @type {Object<string, string>}
+ */
+const EVENT_LABELS = {
+    created: '🚨 Request created',
+    responded: '✅ Responded',
+    withdrew: '↩️ Withdrew',
+    escalated: '📣 Escalated',
+    concluded: '✖️ Concluded',
+    reopened: '🔄 Reopened',
+    rated: '⭐ Rated',
+    message_updated: '✏️ Message updated'
+};
+
+/**
+ * Records an action taken on a request
+ * @param {string} requestId - The request ID
+ * @param {string} type - What happened, e.g. 'responded'
+ * @param {Object} [event] - Event details
+ * @param {string} [event.actorId] - Discord user ID of the actor, omitted for the bot itself
+ * @param {string} [event.actorName] - Name of the actor
+ * @param {string} [event.details] - Extra context, e.g. a conclusion reason
+ * @returns {Promise<RequestEvent|null>} The stored event, or null if it could not be stored
+ * @example
+ * await recordRequestEvent(request.requestId, 'concluded', { actorId: user.id, actorName: user.tag, details: reason });
+ */
+async function recordRequestEvent(requestId, type, { actorId = null, actorName = null, details = null } = {}) {
+    try {
+        return await RequestEvent.create({ requestId, type, actorId, actorName, details });
+    } catch (error) {
+        console.error(`[ERROR] Failed to record ${type} event for request ${requestId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Gets all events of a request, oldest first
+ * @param {string} requestId - The request ID
+ * @returns {Promise<Array<RequestEvent>>} The request's events
+ */
+async function getRequestTimeline(requestId) {
+    return RequestEvent.findAll({
+        where: { requestId },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+}
+
+/**
+ * Formats an event type for display, e.g. '✅ Responded'
+ * @param {string} type - The stored event type
+ * @returns {string} The formatted event type
+ */
+function formatEventType(type) {
+    return EVENT_LABELS[type] || type;
+}
+
+module.exports = {
+    recordRequestEvent,
+    getRequestTimeline,
+    formatEventType
+};
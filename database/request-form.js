@@ -0,0 +1,137 @@
+/**
+ * @file Security request form
+ * @module Database/RequestForm
+ * @description Builds the modal form customers can request security with instead of the slash-command
+ * options, and reads the submitted form. The form asks for more than the command options fit: the
+ * location, details, number of people involved, contact information and whether anyone is injured.
+ * Submitted forms go through the same checks and alert pipeline as the request commands.
+ */
+
+const { ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { PRIORITY_LEVELS, formatPriority } = require('./request-priorities');
+
+/**
+ * Custom ID prefix of the request form modal. The full ID is reqform_<priority>, with _relay appended
+ * when the requester asked for a relay thread.
+ * @type {string}
+ */
+const REQUEST_FORM_PREFIX = 'reqform_';
+
+/**
+ * Highest number of people involved the form accepts
+ * @type {number}
+ */
+const MAX_PEOPLE_INVOLVED = 9999;
+
+/**
+ * Answers to 'Is anyone injured?' and what they are stored as (null is unknown)
+ * @type {Object<string, boolean|null>}
+ */
+const INJURY_ANSWERS = {
+    yes: true,
+    y: true,
+    no: false,
+    n: false,
+    none: false,
+    unknown: null,
+    'not sure': null
+};
+
+/**
+ * Builds the request form modal
+ * @param {string} priority - Priority of the request, chosen before the form is opened
+ * @param {Object} [options] - Form options
+ * @param {boolean} [options.isExternal=false] - Whether the form is for an external request, which requires contact information
+ * @param {boolean} [options.relay=false] - Whether to open a relay thread for the request
+ * @param {Object<string, string|null>} [options.values={}] - Values to fill in, e.g. the command options already given
+ * @returns {ModalBuilder} The modal
+ * @example
+ * await interaction.showModal(buildRequestFormModal('urgent', { isExternal: true, values: { location: 'North Tower' } }));
+ */
+function buildRequestFormModal(priority, { isExternal = false, relay = false, values = {} } = {}) {
+    const input = (customId, label, style, { required, maxLength, placeholder }) => {
+        const textInput = new TextInputBuilder()
+            .setCustomId(customId)
+            .setLabel(label)
+            .setStyle(style)
+            .setRequired(required)
+            .setMaxLength(maxLength);
+        if (placeholder) textInput.setPlaceholder(placeholder);
+
+        const value = values[customId.replace('form_', '')];
+        if (value) textInput.setValue(value.slice(0, maxLength));
+        return new ActionRowBuilder().addComponents(textInput);
+    };
+
+    return new ModalBuilder()
+        .setCustomId(`${REQUEST_FORM_PREFIX}${priority}${relay ? '_relay' : ''}`)
+        .setTitle(`Security Request – ${formatPriority(priority)}`.slice(0, 45))
+        .addComponents(
+            input('form_location', 'Location', TextInputStyle.Short, {
+                required: true, maxLength: 100, placeholder: 'Where is security needed?'
+            }),
+            input('form_details', 'What is happening?', TextInputStyle.Paragraph, {
+                required: true, maxLength: 1000, placeholder: 'Describe the situation'
+            }),
+            input('form_people', 'Number of people involved', TextInputStyle.Short, {
+                required: false, maxLength: 4, placeholder: 'e.g. 3'
+            }),
+            input('form_contact', 'Contact information', TextInputStyle.Short, {
+                required: isExternal, maxLength: 200, placeholder: 'Phone, email, voice channel, etc.'
+            }),
+            input('form_injured', 'Is anyone injured?', TextInputStyle.Short, {
+                required: false, maxLength: 10, placeholder: 'Yes, No or Unknown'
+            })
+        );
+}
+
+/**
+ * Reads the priority and relay choice from a request form's custom ID
+ * @param {string} customId - The modal custom ID
+ * @returns {{priority: string, relay: boolean}|null} The choices, or null if the ID is not a valid request form ID
+ */
+function parseRequestFormId(customId) {
+    if (!customId.startsWith(REQUEST_FORM_PREFIX)) return null;
+
+    const [priority, flag] = customId.slice(REQUEST_FORM_PREFIX.length).split('_');
+    if (!PRIORITY_LEVELS[priority]) return null;
+    return { priority, relay: flag === 'relay' };
+}
+
+/**
+ * Reads and validates a submitted request form
+ * @param {import('discord.js').ModalSubmitFields} fields - The submitted fields
+ * @returns {{values?: {location: string, details: string, contact: string|null, peopleInvolved: number|null, anyoneInjured: boolean|null}, error?: string}}
+ * The request values, or a user-facing error when a field is invalid
+ */
+function readRequestForm(fields) {
+    const read = customId => fields.getTextInputValue(customId)?.trim() || '';
+
+    const people = read('form_people');
+    if (people && !/^\d+$/.test(people)) {
+        return { error: `The number of people involved must be a whole number, e.g. 3. You entered "${people}".` };
+    }
+    const peopleInvolved = people ? Math.min(Number(people), MAX_PEOPLE_INVOLVED) : null;
+
+    const injured = read('form_injured').toLowerCase();
+    if (injured && !(injured in INJURY_ANSWERS)) {
+        return { error: `Please answer Yes, No or Unknown to "Is anyone injured?". You entered "${injured}".` };
+    }
+
+    return {
+        values: {
+            location: read('form_location'),
+            details: read('form_details'),
+            contact: read('form_contact') || null,
+            peopleInvolved,
+            anyoneInjured: injured ? INJURY_ANSWERS[injured] : null
+        }
+    };
+}
+
+module.exports = {
+    REQUEST_FORM_PREFIX,
+    buildRequestFormModal,
+    parseRequestFormId,
+    readRequestForm
+};
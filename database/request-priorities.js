@@ -0,0 +1,149 @@
+/**
+ * @file Security request priority levels
+ * @module Database/RequestPriorities
+ * @description Defines the priority levels a security request can have. The priority decides the
+ * embed colour of the request, which roles are pinged when it is posted and the order in which
+ * open requests are listed.
+ */
+
+/**
+ * Priority level definition
+ * @typedef {Object} PriorityLevel
+ * @property {string} label - Display name of the priority
+ * @property {string} emoji - Emoji shown next to the label
+ * @property {number} color - Embed colour for open requests with this priority
+ * @property {number} rank - Sort order, lower ranks are listed first
+ * @property {Array<string>} pingRoles - ServerConfig role fields that are pinged when the request is posted
+ */
+
+/**
+ * Available priority levels, keyed by the value stored on SecurityRequest.priority
+ * @type {Object<string, PriorityLevel>}
+ */
+const PRIORITY_LEVELS = {
+    emergency: {
+        label: 'Emergency',
+        emoji: '🟥',
+        color: 0x8B0000,
+        rank: 0,
+        pingRoles: ['securityRoleId', 'managerRoleId']
+    },
+    urgent: {
+        label: 'Urgent',
+        emoji: '🔴',
+        color: 0xFF0000,
+        rank: 1,
+        pingRoles: ['securityRoleId']
+    },
+    normal: {
+        label: 'Normal',
+        emoji: '🟠',
+        color: 0xFF8C00,
+        rank: 2,
+        pingRoles: ['securityRoleId']
+    },
+    low: {
+        label: 'Low',
+        emoji: '🟡',
+        color: 0xFFD700,
+        rank: 3,
+        pingRoles: []
+    }
+};
+
+/**
+ * Priority used for requests that were stored before priorities existed
+ * @type {string}
+ */
+const DEFAULT_PRIORITY = 'normal';
+
+/**
+ * Choices for the slash command priority option, most severe last
+ * @type {Array<{name: string, value: string}>}
+ */
+const PRIORITY_CHOICES = ['low', 'normal', 'urgent', 'emergency']
+    .map(value => ({ name: PRIORITY_LEVELS[value].label, value }));
+
+/**
+ * Gets the priority level definition for a stored priority value
+ * @param {string} [priority] - The stored priority value
+ * @returns {PriorityLevel} The priority level, falling back to the default priority
+ */
+function getPriorityLevel(priority) {
+    return PRIORITY_LEVELS[priority] || PRIORITY_LEVELS[DEFAULT_PRIORITY];
+}
+
+/**
+ * Formats a priority for display, e.g. '🔴 Urgent'
+ * @param {string} [priority] - The stored priority value
+ * @returns {string} The formatted priority
+ */
+function formatPriority(priority) {
+    const level = getPriorityLevel(priority);
+    return `${level.emoji} ${level.label}`;
+}
+
+/**
+ * Who is pinged in place of the security role
+ * @typedef {Object} SecurityPing
+ * @property {string} [roleId] - Role pinged instead of the security role, e.g. the role of a routing rule
+ * @property {Array<string>} [userIds] - Users mentioned instead of the security role, e.g. the personnel on duty
+ */
+
+/**
+ * Formats the mentions that alert the security personnel
+ * @param {ServerConfig} config - Configuration of the security server the alert is posted in
+ * @param {SecurityPing} [securityPing] - Who to ping in place of the security role
+ * @returns {Array<string>} The mentions, empty if no security role is configured
+ */
+function formatSecurityMentions(config, { roleId = null, userIds = [] } = {}) {
+    if (userIds.length > 0) return userIds.map(userId => `<@${userId}>`);
+
+    const securityRoleId = roleId || config?.securityRoleId;
+    return securityRoleId ? [`<@&${securityRoleId}>`] : [];
+}
+
+/**
+ * Builds the alert message content that pings the roles for a priority
+ * @param {string} priority - The stored priority value
+ * @param {ServerConfig} config - Configuration of the security server the alert is posted in
+ * @param {string} suffix - Text shown after the role mentions
+ * @param {SecurityPing} [securityPing] - Who to ping in place of the security role
+ * @returns {string} The message content
+ * @example
+ * const content = buildPriorityPing('emergency', config, 'New security request!');
+ * // '<@&security> <@&manager> 🟥 **Emergency** New security request!'
+ */
+function buildPriorityPing(priority, config, suffix, securityPing) {
+    const level = getPriorityLevel(priority);
+    const mentions = level.pingRoles
+        .flatMap(field => (field === 'securityRoleId'
+            ? formatSecurityMentions(config, securityPing)
+            : [config?.[field] && `<@&${config[field]}>`]))
+        .filter(Boolean)
+        .filter((mention, index, all) => all.indexOf(mention) === index);
+
+    return [...mentions, `${level.emoji} **${level.label}**`, suffix].join(' ');
+}
+
+/**
+ * Sorts requests by priority (most severe first), then by age (oldest first)
+ * @param {Array<SecurityRequest>} requests - The requests to sort
+ * @returns {Array<SecurityRequest>} A new, sorted array
+ */
+function sortByPriority(requests) {
+    return [...requests].sort((a, b) =>
+        getPriorityLevel(a.priority).rank - getPriorityLevel(b.priority).rank ||
+        new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+module.exports = {
+    PRIORITY_LEVELS,
+    PRIORITY_CHOICES,
+    DEFAULT_PRIORITY,
+    getPriorityLevel,
+    formatPriority,
+    formatSecurityMentions,
+    buildPriorityPing,
+    sortByPriority
+};
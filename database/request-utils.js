@@ -0,0 +1,574 @@
+/**
+ * @file Security request state utilities
+ * @module Database/RequestUtils
+ * @description Request state service built on the SecurityRequest model. Every button and modal
+ * handler goes through these functions to change a request, so the database row is the single
+ * source of truth and the Discord messages are re-rendered from it after each change.
+ * Changes to the same request are serialised so that simultaneous clicks cannot overwrite each other.
+ */
+
+const { ThreadAutoArchiveDuration } = require('discord.js');
+const { Op } = require('sequelize');
+const { SecurityRequest, ExternalServer } = require('./models');
+const { sortByPriority, getPriorityLevel } = require('./request-priorities');
+const { buildSecurityEmbed, buildSecurityComponents, buildExternalEmbed, buildRequesterComponents } = require('./request-embeds');
+const { recordRequestEvent } = require('./request-events');
+const { getRequestProviderId, getProviderName } = require('./provider-utils');
+const { getRequestLocation } = require('./location-utils');
+
+/**
+ * Pending state changes per request ID, used to serialise updates to the same request
+ * @type {Map<string, Promise<void>>}
+ */
+const requestLocks = new Map();
+
+/**
+ * Conclusion reason stored when a requester cancels their own request
+ * @type {string}
+ */
+const CANCELLED_BY_REQUESTER_REASON = 'Cancelled by requester';
+
+/**
+ * Runs a task while holding the lock for a request.
+ * Tasks for the same request run one after another; tasks for different requests run freely.
+ * @param {string} requestId - The request ID to lock
+ * @param {Function} task - Async function to run while holding the lock
+ * @returns {Promise<*>} The value returned by the task
+ */
+async function withRequestLock(requestId, task) {
+    const previous = requestLocks.get(requestId) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const chained = previous.then(() => current);
+    requestLocks.set(requestId, chained);
+
+    await previous;
+    try {
+        return await task();
+    } finally {
+        release();
+        // Only clear the entry if nobody queued up behind us
+        if (requestLocks.get(requestId) === chained) {
+            requestLocks.delete(requestId);
+        }
+    }
+}
+
+/**
+ * Checks whether a request was cancelled by its requester rather than concluded by security
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {boolean} True if the requester cancelled the request
+ */
+function isCancelledRequest(request) {
+    return request.status === 'concluded'
+        && request.conclusionReason === CANCELLED_BY_REQUESTER_REASON
+        && request.concludedById === request.requesterId;
+}
+
+/**
+ * Returns the responder IDs of a request as an array.
+ * Older rows stored the responders double-encoded, so both formats are accepted.
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Array<string>} Discord user IDs of the responders
+ */
+function getResponderIds(request) {
+    let responders = request.responders;
+    try {
+        if (typeof responders === 'string') {
+            responders = JSON.parse(responders || '[]');
+        }
+    } catch (error) {
+        console.error(`[ERROR] Could not parse responders for request ${request.requestId}:`, error);
+        responders = [];
+    }
+    return Array.isArray(responders) ? responders : [];
+}
+
+/**
+ * Gets a security request by its ID
+ * @param {string} requestId - The request ID (original interaction ID)
+ * @returns {Promise<SecurityRequest|null>} The request or null if not found
+ */
+async function getSecurityRequest(requestId) {
+    return await SecurityRequest.findByPk(requestId);
+}
+
+/**
+ * Finds open (not concluded) requests, most severe priority first and oldest first within a priority
+ * @param {Object} [where={}] - Additional Sequelize where conditions (a status condition narrows the open statuses)
+ * @returns {Promise<Array<SecurityRequest>>} The open requests in listing order
+ * @example
+ * // Open requests from one external server
+ * const open = await findOpenRequests({ externalGuildId: '123456789012345678' });
+ */
+async function findOpenRequests(where = {}) {
+    const requests = await SecurityRequest.findAll({
+        where: {
+            status: { [Op.ne]: 'concluded' },
+            ...where
+        }
+    });
+    return sortByPriority(requests);
+}
+
+/**
+ * Adds a responder to a request and marks it as responding
+ * @param {string} requestId - The request ID
+ * @param {string} userId - Discord user ID of the responder
+ * @param {string} [userName] - Name of the responder, recorded in the request timeline
+ * @returns {Promise<{request: SecurityRequest, added: boolean, firstResponder: boolean}|null>} The updated
+ * request, whether the user was newly added and whether they are the first responder of the request,
+ * or null if the request does not exist
+ * @example
+ * const result = await addResponder(requestId, member.user.id, member.user.tag);
+ * if (result && !result.added) {
+ *   // Already responding, or the request has been concluded
+ * }
+ */
+async function addResponder(requestId, userId, userName) {
+    return withRequestLock(requestId, async () => {
+        const request = await getSecurityRequest(requestId);
+        if (!request) return null;
+
+        const responders = getResponderIds(request);
+        if (request.status === 'concluded' || responders.includes(userId)) {
+            return { request, added: false, firstResponder: false };
+        }
+
+        const firstResponder = !request.firstRespondedAt;
+        responders.push(userId);
+        request.responders = responders;
+        request.status = 'responding';
+        if (firstResponder) {
+            request.firstRespondedAt = new Date();
+        }
+        await request.save();
+        await recordRequestEvent(requestId, 'responded', { actorId: userId, actorName: userName });
+
+        return { request, added: true, firstResponder };
+    });
+}
+
+/**
+ * Removes a responder from a request.
+ * The request goes back to pending once nobody is responding anymore.
+ * @param {string} requestId - The request ID
+ * @param {string} userId - Discord user ID of the responder
+ * @param {string} [userName] - Name of the responder, recorded in the request timeline
+ * @returns {Promise<{request: SecurityRequest, removed: boolean}|null>} The updated request and whether
+ * the user was removed, or null if the request does not exist
+ */
+async function removeResponder(requestId, userId, userName) {
+    return withRequestLock(requestId, async () => {
+        const request = await getSecurityRequest(requestId);
+        if (!request) return null;
+
+        const responders = getResponderIds(request);
+        if (request.status === 'concluded' || !responders.includes(userId)) {
+            return { request, removed: false };
+        }
+
+        const remaining = responders.filter(id => id !== userId);
+        request.responders = remaining;
+        if (remaining.length === 0) {
+            // Back to pending: escalation starts over from now
+            request.status = 'pending';
+            request.pendingSince = new Date();
+            request.escalationLevel = 0;
+        }
+        await request.save();
+        await recordRequestEvent(requestId, 'withdrew', { actorId: userId, actorName: userName });
+
+        return { request, removed: true };
+    });
+}
+
+/**
+ * Raises the escalation level of a request that is still pending
+ * @param {string} requestId - The request ID
+ * @param {number} level - The new escalation level (1 = security re-pinged, 2 = supervisors alerted)
+ * @returns {Promise<SecurityRequest|null>} The updated request, or null if it no longer needs this escalation
+ */
+async function escalateRequest(requestId, level) {
+    return withRequestLock(requestId, async () => {
+        const request = await getSecurityRequest(requestId);
+        if (!request || request.status !== 'pending' || request.escalationLevel >= level) {
+            return null;
+        }
+
+        request.escalationLevel = level;
+        await request.save();
+        await recordRequestEvent(requestId, 'escalated', {
+            details: level === 1 ? 'Security role pinged again' : 'Supervisors alerted'
+        });
+        return request;
+    });
+}
+
+/**
+ * Concludes a request
+ * @param {string} requestId - The request ID
+ * @param {Object} conclusion - Conclusion details
+ * @param {string} conclusion.userId - Discord user ID of the person concluding the request
+ * @param {string} conclusion.userName - Display name of the person concluding the request
+ * @param {string} conclusion.reason - Reason for concluding the request
+ * @returns {Promise<{request: SecurityRequest, concluded: boolean}|null>} The updated request and whether
+ * it was concluded by this call, or null if the request does not exist
+ */
+async function concludeRequest(requestId, { userId, userName, reason }) {
+    return withRequestLock(requestId, async () => {
+        const request = await getSecurityRequest(requestId);
+        if (!request) return null;
+
+        if (request.status === 'concluded') {
+            return { request, concluded: false };
+        }
+
+        request.status = 'concluded';
+        request.conclusionReason = reason;
+        request.concludedById = userId;
+        request.concludedByName = userName;
+        request.concludedAt = new Date();
+        await request.save();
+        await recordRequestEvent(requestId, 'concluded', { actorId: userId, actorName: userName, details: reason });
+
+        return { request, concluded: true };
+    });
+}
+
+/**
+ * Reopens a concluded request.
+ * The previous conclusion (reason, concluder and time) stays on the request for reference. A request
+ * without responders goes back to pending, so it is escalated again if nobody picks it up.
+ * @param {string} requestId - The request ID
+ * @param {Object} reopener - Who reopened the request
+ * @param {string} reopener.userId - Discord user ID of the person reopening the request
+ * @param {string} reopener.userName - Display name of the person reopening the request
+ * @returns {Promise<{request: SecurityRequest, reopened: boolean}|null>} The updated request and whether
+ * it was reopened by this call, or null if the request does not exist
+ */
+async function reopenRequest(requestId, { userId, userName }) {
+    return withRequestLock(requestId, async () => {
+        const request = await getSecurityRequest(requestId);
+        if (!request) return null;
+
+        if (request.status !== 'concluded') {
+            return { request, reopened: false };
+        }
+
+        // Without responders the request waits for one again, so the escalation policy applies anew
+        if (getResponderIds(request).length > 0) {
+            request.status = 'responding';
+        } else {
+            request.status = 'pending';
+            request.pendingSince = new Date();
+            request.escalationLevel = 0;
+        }
+        await request.save();
+        await recordRequestEvent(requestId, 'reopened', {
+            actorId: userId,
+            actorName: userName,
+            details: `Previously concluded: ${request.conclusionReason || 'No reason provided'}`
+        });
+
+        return { request, reopened: true };
+    });
+}
+
+/**
+ * Fetches the guild that holds a request's security message
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<import('discord.js').Guild|null>} The security guild or null if unavailable
+ */
+async function getSecurityGuild(client, request) {
+    try {
+        if (request.securityChannelId) {
+            const channel = await client.channels.fetch(request.securityChannelId);
+            if (channel?.guild) return channel.guild;
+        }
+        return await client.guilds.fetch(getRequestProviderId(request));
+    } catch (error) {
+        console.error(`[ERROR] Could not fetch security guild for request ${request.requestId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Resolves display names (nickname or username) for a list of responders
+ * @param {import('discord.js').Guild|null} guild - The security guild the responders belong to
+ * @param {Array<string>} responderIds - Discord user IDs of the responders
+ * @returns {Promise<Array<string>>} Display names, with a fallback for members that cannot be fetched
+ */
+async function resolveResponderNames(guild, responderIds) {
+    const names = [];
+    for (const responderId of responderIds) {
+        try {
+            const responderMember = await guild.members.fetch(responderId);
+            names.push(responderMember.nickname || responderMember.user.username);
+        } catch (error) {
+            // If we can't fetch the member, at least show their ID as a fallback
+            names.push(`Unknown Member (${responderId})`);
+        }
+    }
+    return names;
+}
+
+/**
+ * Resolves the display names of a request's responders in its security guild
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<Array<string>>} Display names, empty when nobody is responding
+ */
+async function getResponderNames(client, request) {
+    const responderIds = getResponderIds(request);
+    if (responderIds.length === 0) return [];
+    return resolveResponderNames(await getSecurityGuild(client, request), responderIds);
+}
+
+/**
+ * Renders the security server message for a request, with the zone and notes of its location when the
+ * location is in the directory
+ * @param {SecurityRequest} request - The stored (or built but unsaved) security request
+ * @returns {Promise<{embeds: Array<EmbedBuilder>, components: Array<ActionRowBuilder>}>} Message payload
+ * @example
+ * await interaction.editReply(await renderSecurityMessage(request));
+ */
+async function renderSecurityMessage(request) {
+    let sourceGuildName = null;
+    if (request.isExternal && request.externalGuildId) {
+        const externalServer = await ExternalServer.findByPk(request.externalGuildId);
+        sourceGuildName = externalServer?.guildName || null;
+    }
+    const location = await getRequestLocation(request);
+
+    return {
+        embeds: [buildSecurityEmbed(request, { responderIds: getResponderIds(request), sourceGuildName, location })],
+        components: buildSecurityComponents(request)
+    };
+}
+
+/**
+ * Renders the confirmation message shown in the requester's (external) server
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<{embeds: Array<EmbedBuilder>, components: Array<ActionRowBuilder>}>} Message payload
+ */
+async function renderExternalMessage(client, request) {
+    return {
+        embeds: [buildExternalEmbed(
+            request,
+            await getResponderNames(client, request),
+            await getProviderName(getRequestProviderId(request), client)
+        )],
+        components: buildRequesterComponents(request)
+    };
+}
+
+/**
+ * Re-renders the security server message of a request from the database.
+ * The edit is recorded in the request timeline.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<boolean>} Whether the message was updated
+ */
+async function syncSecurityMessage(client, request) {
+    if (!request.securityChannelId || !request.securityMessageId) {
+        console.warn(`[WARN] Request ${request.requestId} has no stored security message to update.`);
+        return false;
+    }
+
+    try {
+        const channel = await client.channels.fetch(request.securityChannelId);
+        const message = await channel.messages.fetch(request.securityMessageId);
+        await message.edit(await renderSecurityMessage(request));
+        await recordRequestEvent(request.requestId, 'message_updated', { details: 'Security alert' });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to update security message for request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Re-renders the confirmation message in the requester's (external) server from the database.
+ * The edit is recorded in the request timeline.
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<import('discord.js').Guild>} The external guild whose message was updated
+ * @throws {Error} With a user-facing message if the external server, channel or message is unavailable
+ */
+async function syncExternalMessage(client, request) {
+    const externalServer = await ExternalServer.findByPk(request.externalGuildId);
+    if (!externalServer) {
+        throw new Error('The external server is no longer registered in our system.');
+    }
+
+    const externalGuild = await client.guilds.fetch(request.externalGuildId);
+    if (!externalGuild) {
+        throw new Error('Could not find the external server.');
+    }
+
+    const externalChannel = await externalGuild.channels.fetch(externalServer.channelId);
+    if (!externalChannel) {
+        throw new Error('Could not find the channel in the external server.');
+    }
+
+    const externalMessage = await externalChannel.messages.fetch(request.externalMessageId);
+    if (!externalMessage) {
+        throw new Error('Could not find the original request message in the external server.');
+    }
+
+    await externalMessage.edit(await renderExternalMessage(client, request));
+    await recordRequestEvent(request.requestId, 'message_updated', { details: 'Requester confirmation' });
+    return externalGuild;
+}
+
+/**
+ * Builds the name of the threads opened for a request, e.g. '[Urgent] North Building'
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {string} The thread name, cut to Discord's 100 character limit
+ */
+function getRequestThreadName(request) {
+    return `[${getPriorityLevel(request.priority).label}] ${request.location}`.slice(0, 100);
+}
+
+/**
+ * Opens the discussion thread for a request on its security server message and stores the thread ID.
+ * Failing to open the thread (e.g. missing permissions) does not stop the request from being posted.
+ * @param {import('discord.js').Message} securityMessage - The alert message in the security server
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<import('discord.js').ThreadChannel|null>} The thread, or null if it could not be opened
+ */
+async function openRequestThread(securityMessage, request) {
+    try {
+        const thread = await securityMessage.startThread({
+            name: getRequestThreadName(request),
+            autoArchiveDuration: ThreadAutoArchiveDuration.OneDay,
+            reason: `Discussion for security request ${request.requestId}`
+        });
+
+        request.threadId = thread.id;
+        await request.save();
+        return thread;
+    } catch (error) {
+        console.error(`[ERROR] Failed to open discussion thread for request ${request.requestId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Fetches the discussion thread of a request
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<import('discord.js').ThreadChannel|null>} The thread, or null if there is none
+ */
+async function getRequestThread(client, request) {
+    if (!request.threadId) return null;
+    try {
+        return await client.channels.fetch(request.threadId);
+    } catch (error) {
+        console.error(`[ERROR] Could not fetch discussion thread for request ${request.requestId}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Adds a responder to the discussion thread of a request
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @param {string} userId - Discord user ID of the responder
+ * @returns {Promise<boolean>} Whether the user was added
+ */
+async function addThreadMember(client, request, userId) {
+    const thread = await getRequestThread(client, request);
+    if (!thread) return false;
+    try {
+        await thread.members.add(userId);
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to add ${userId} to thread of request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Unarchives and unlocks the discussion thread of a reopened request
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<boolean>} Whether the thread was reopened
+ */
+async function reopenRequestThread(client, request) {
+    const thread = await getRequestThread(client, request);
+    if (!thread) return false;
+    try {
+        await thread.edit({ archived: false, locked: false, reason: `Security request ${request.requestId} reopened` });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to reopen thread of request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Posts a message in the discussion thread of a request
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @param {string|Object} message - Message content or payload
+ * @returns {Promise<boolean>} Whether the message was posted
+ */
+async function postToRequestThread(client, request, message) {
+    const thread = await getRequestThread(client, request);
+    if (!thread) return false;
+    try {
+        await thread.send(message);
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to post in thread of request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Archives and locks the discussion thread of a concluded request
+ * @param {import('discord.js').Client} client - Discord.js client instance
+ * @param {SecurityRequest} request - The stored security request
+ * @returns {Promise<boolean>} Whether the thread was closed
+ */
+async function closeRequestThread(client, request) {
+    const thread = await getRequestThread(client, request);
+    if (!thread) return false;
+    try {
+        await thread.edit({ archived: true, locked: true, reason: `Security request ${request.requestId} concluded` });
+        return true;
+    } catch (error) {
+        console.error(`[ERROR] Failed to close thread of request ${request.requestId}:`, error);
+        return false;
+    }
+}
+
+module.exports = {
+    CANCELLED_BY_REQUESTER_REASON,
+    isCancelledRequest,
+    getResponderIds,
+    getSecurityRequest,
+    findOpenRequests,
+    addResponder,
+    removeResponder,
+    escalateRequest,
+    concludeRequest,
+    reopenRequest,
+    resolveResponderNames,
+    getResponderNames,
+    renderSecurityMessage,
+    renderExternalMessage,
+    syncSecurityMessage,
+    syncExternalMessage,
+    getRequestThreadName,
+    openRequestThread,
+    getRequestThread,
+    addThreadMember,
+    postToRequestThread,
+    closeRequestThread,
+    reopenRequestThread
+};
@@ -0,0 +1,238 @@
+/**
+ * @file Dispatch routing utilities
+ * @module Database/RoutingUtils
+ * @description Manages the dispatch routing rules of security providers and decides where the alert
+ * of a new request is posted. Rules match on the external server, keywords in the location or details
+ * and the time of day (UTC); the first matching rule sends the alert to its channel and pings its role.
+ * Requests that match no rule go to the provider's alert channel and ping its security role.
+ */
+
+const { RoutingRule, sequelize } = require('./models');
+
+/**
+ * Maximum number of routing rules per provider
+ * @type {number}
+ */
+const MAX_ROUTING_RULES = 25;
+
+/**
+ * Format of the time window bounds, HH:MM on a 24-hour clock
+ * @type {RegExp}
+ */
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Where the alert of a request is posted
+ * @typedef {Object} AlertRoute
+ * @property {string} channelId - Channel the alert is posted in
+ * @property {string|null} roleId - Role pinged instead of the security role, null for the security role
+ * @property {RoutingRule|null} rule - The matching rule, null when the request uses the default alert channel
+ */
+
+/**
+ * Parses a comma-separated list of keywords
+ * @param {string|null} value - The option value, e.g. 'Harbour, dock'
+ * @returns {Array<string>} The lowercased keywords without empty entries
+ */
+function parseKeywords(value) {
+    if (!value) return [];
+    return [...new Set(value.split(',').map(keyword => keyword.trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Validates a time window bound
+ * @param {string|null} value - The option value
+ * @returns {boolean} True if the value is empty or a valid HH:MM time
+ */
+function isValidTime(value) {
+    return !value || TIME_PATTERN.test(value);
+}
+
+/**
+ * Converts an HH:MM time to minutes after midnight
+ * @param {string} time - The time
+ * @returns {number} Minutes after midnight
+ */
+function timeToMinutes(time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Checks whether a time falls in a rule's time window. Windows that end before they start run past
+ * midnight, e.g. 22:00-06:00.
+ * @param {RoutingRule} rule - The routing rule
+ * @param {Date} date - The time to check
+ * @returns {boolean} True if the rule has no time window or the time falls in it
+ */
+function isInTimeWindow(rule, date) {
+    if (!rule.startTime || !rule.endTime) return true;
+
+    const now = date.getUTCHours() * 60 + date.getUTCMinutes();
+    const start = timeToMinutes(rule.startTime);
+    const end = timeToMinutes(rule.endTime);
+    return start <= end
+        ? now >= start && now < end
+        : now >= start || now < end;
+}
+
+/**
+ * Checks whether a text contains one of a rule's keywords
+ * @param {Array<string>} keywords - The rule's keywords
+ * @param {string|null} text - The request text
+ * @returns {boolean} True if the rule has no keywords or one of them is in the text
+ */
+function containsKeyword(keywords, text) {
+    if (keywords.length === 0) return true;
+    const normalised = (text || '').toLowerCase();
+    return keywords.some(keyword => normalised.includes(keyword));
+}
+
+/**
+ * Checks whether all conditions of a routing rule match a request
+ * @param {RoutingRule} rule - The routing rule
+ * @param {Object} request - The request being routed
+ * @param {string|null} request.externalGuildId - The external server the request comes from
+ * @param {string} request.location - The request location
+ * @param {string|null} request.details - The request details
+ * @param {Date} date - When the request is made
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, { externalGuildId, location, details }, date) {
+    return (!rule.externalGuildId || rule.externalGuildId === externalGuildId)
+        && containsKeyword(rule.locationKeywords, location)
+        && containsKeyword(rule.detailsKeywords, details)
+        && isInTimeWindow(rule, date);
+}
+
+/**
+ * Gets the routing rules of a provider in the order they are checked
+ * @param {string} providerGuildId - The provider's guild ID
+ * @returns {Promise<Array<RoutingRule>>} The rules
+ */
+async function getRoutingRules(providerGuildId) {
+    return RoutingRule.findAll({
+        where: { providerGuildId },
+        order: [['position', 'ASC']]
+    });
+}
+
+/**
+ * Decides where the alert of a new request is posted. Rules whose channel no longer exists are
+ * skipped, so a deleted team channel never swallows alerts.
+ * @param {import('discord.js').Guild} providerGuild - The provider's guild
+ * @param {ServerConfig} config - The provider's configuration
+ * @param {Object} request - The request being routed
+ * @param {string|null} [request.externalGuildId] - The external server the request comes from
+ * @param {string} request.location - The request location
+ * @param {string|null} [request.details] - The request details
+ * @param {Date} [date=new Date()] - When the request is made
+ * @returns {Promise<AlertRoute>} Where the alert is posted
+ * @example
+ * const route = await resolveAlertRoute(providerGuild, config, { externalGuildId, location, details });
+ * const alertChannel = await providerGuild.channels.fetch(route.channelId);
+ */
+async function resolveAlertRoute(providerGuild, config, request, date = new Date()) {
+    for (const rule of await getRoutingRules(providerGuild.id)) {
+        if (!ruleMatches(rule, request, date)) continue;
+
+        if (!providerGuild.channels.cache.has(rule.channelId)) {
+            console.warn(`[WARN] Routing rule #${rule.position} of provider ${providerGuild.id} matched, but its channel ${rule.channelId} no longer exists`);
+            continue;
+        }
+        return { channelId: rule.channelId, roleId: rule.roleId, rule };
+    }
+
+    return { channelId: config.alertChannelId, roleId: null, rule: null };
+}
+
+/**
+ * Describes where a routing rule sent a request, for the request timeline
+ * @param {AlertRoute} route - The route of the request
+ * @returns {string|null} The description, or null when the request used the default alert channel
+ */
+function describeAlertRoute(route) {
+    return route.rule ? `Routed to <#${route.channelId}> by routing rule #${route.rule.position}` : null;
+}
+
+/**
+ * Adds a routing rule to a provider. The rule is checked last unless a position is given, in which
+ * case the rules from that position onwards move down one place.
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {Object} ruleData - The rule's conditions and target
+ * @param {number} [position] - Position to insert the rule at, starting at 1
+ * @returns {Promise<RoutingRule>} The created rule
+ * @throws {Error} When the provider already has the maximum number of rules
+ */
+async function addRoutingRule(providerGuildId, ruleData, position) {
+    return sequelize.transaction(async (transaction) => {
+        const count = await RoutingRule.count({ where: { providerGuildId }, transaction });
+        if (count >= MAX_ROUTING_RULES) {
+            throw new Error(`A provider can have at most ${MAX_ROUTING_RULES} routing rules`);
+        }
+
+        const insertAt = position ? Math.min(position, count + 1) : count + 1;
+        const rules = await RoutingRule.findAll({ where: { providerGuildId }, order: [['position', 'ASC']], transaction });
+        for (const rule of rules.slice(insertAt - 1)) {
+            await rule.update({ position: rule.position + 1 }, { transaction });
+        }
+
+        return RoutingRule.create({ ...ruleData, providerGuildId, position: insertAt }, { transaction });
+    });
+}
+
+/**
+ * Removes a routing rule from a provider and closes the gap in the positions
+ * @param {string} providerGuildId - The provider's guild ID
+ * @param {number} position - Position of the rule to remove
+ * @returns {Promise<RoutingRule|null>} The removed rule, or null if the provider has no rule at that position
+ */
+async function removeRoutingRule(providerGuildId, position) {
+    return sequelize.transaction(async (transaction) => {
+        const rules = await RoutingRule.findAll({ where: { providerGuildId }, order: [['position', 'ASC']], transaction });
+        const removed = rules.find(rule => rule.position === position);
+        if (!removed) return null;
+
+        await removed.destroy({ transaction });
+        for (const [index, rule] of rules.filter(rule => rule !== removed).entries()) {
+            if (rule.position !== index + 1) {
+                await rule.update({ position: index + 1 }, { transaction });
+            }
+        }
+        return removed;
+    });
+}
+
+/**
+ * Formats a routing rule for display
+ * @param {RoutingRule} rule - The routing rule
+ * @param {Function} [formatServer] - Formats the external server condition, defaults to the guild ID
+ * @returns {string} The rule's conditions and target, one per line
+ * @example
+ * formatRoutingRule(rule);
+ * // '**When:** location contains "harbour" or "dock", 22:00-06:00 UTC\n**Alert:** <#2345…> pinging <@&3456…>'
+ */
+function formatRoutingRule(rule, formatServer = guildId => guildId) {
+    const quote = keywords => keywords.map(keyword => `"${keyword}"`).join(' or ');
+    const conditions = [];
+    if (rule.externalGuildId) conditions.push(`from ${formatServer(rule.externalGuildId)}`);
+    if (rule.locationKeywords.length > 0) conditions.push(`location contains ${quote(rule.locationKeywords)}`);
+    if (rule.detailsKeywords.length > 0) conditions.push(`details contain ${quote(rule.detailsKeywords)}`);
+    if (rule.startTime && rule.endTime) conditions.push(`${rule.startTime}-${rule.endTime} UTC`);
+
+    const ping = rule.roleId ? `<@&${rule.roleId}>` : 'the security role';
+    return `**When:** ${conditions.join(', ')}\n**Alert:** <#${rule.channelId}> pinging ${ping}`;
+}
+
+module.exports = {
+    MAX_ROUTING_RULES,
+    parseKeywords,
+    isValidTime,
+    timeToMinutes,
+    getRoutingRules,
+    resolveAlertRoute,
+    describeAlertRoute,
+    addRoutingRule,
+    removeRoutingRule,
+    formatRoutingRule
+};
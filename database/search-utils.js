@@ -0,0 +1,100 @@
+/**
+ * @file Request history search utilities
+ * @module Database/SearchUtils
+ * @description Looks up past and current security requests by status, source server, requester,
+ * responder, location and date range. Used by the /requests command.
+ */
+
+const { Op } = require('sequelize');
+const { SecurityRequest, ExternalServer } = require('./models');
+
+/**
+ * Filters accepted by searchRequests. Every filter is optional.
+ * @typedef {Object} RequestSearchFilters
+ * @property {string} [providerGuildId] - Guild ID of the security provider that handled the request
+ * @property {string} [status] - Exact request status
+ * @property {string} [server] - External server ID, or part of its name
+ * @property {string} [requesterId] - Discord user ID of the requester
+ * @property {string} [responderId] - Discord user ID of one of the responders
+ * @property {string} [location] - Part of the request location
+ * @property {Date} [from] - Earliest submission time
+ * @property {Date} [to] - Latest submission time
+ */
+
+/**
+ * Parses a YYYY-MM-DD date filter
+ * @param {string|null} value - The date as entered by the user
+ * @param {boolean} [endOfDay=false] - Whether to return the last moment of the day instead of midnight
+ * @returns {Date|null} The parsed date, or null when no value was given
+ * @throws {Error} If the value is not a valid YYYY-MM-DD date
+ */
+function parseSearchDate(value, endOfDay = false) {
+    if (!value) return null;
+
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim());
+    const date = match
+        ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])))
+        : null;
+    if (!date || date.getUTCDate() !== Number(match[3])) {
+        throw new Error(`"${value}" is not a valid date. Use the YYYY-MM-DD format.`);
+    }
+
+    if (endOfDay) {
+        date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+}
+
+/**
+ * Searches security requests, newest first
+ * @param {RequestSearchFilters} filters - The filters to apply
+ * @param {Object} [options] - Search options
+ * @param {number} [options.limit] - Maximum number of requests to return
+ * @returns {Promise<Array<SecurityRequest>>} Matching requests, with their externalServer included
+ * @example
+ * const requests = await searchRequests({ status: 'concluded', location: 'parking' }, { limit: 100 });
+ */
+async function searchRequests(filters, { limit } = {}) {
+    const where = {};
+
+    if (filters.providerGuildId) {
+        where.providerGuildId = filters.providerGuildId;
+    }
+    if (filters.status) {
+        where.status = filters.status;
+    }
+    if (filters.server) {
+        where[Op.or] = [
+            { externalGuildId: filters.server },
+            { '$externalServer.guild_name$': { [Op.like]: `%${filters.server}%` } }
+        ];
+    }
+    if (filters.requesterId) {
+        where.requesterId = filters.requesterId;
+    }
+    if (filters.responderId) {
+        // Responders are stored as a JSON array of quoted IDs, so the quotes make this an exact match
+        where.responders = { [Op.like]: `%"${filters.responderId}"%` };
+    }
+    if (filters.location) {
+        where.location = { [Op.like]: `%${filters.location}%` };
+    }
+    if (filters.from || filters.to) {
+        where.createdAt = {
+            ...(filters.from && { [Op.gte]: filters.from }),
+            ...(filters.to && { [Op.lte]: filters.to })
+        };
+    }
+
+    return SecurityRequest.findAll({
+        where,
+        include: [{ model: ExternalServer, as: 'externalServer', required: false }],
+        order: [['createdAt', 'DESC']],
+        ...(limit && { limit })
+    });
+}
+
+module.exports = {
+    parseSearchDate,
+    searchRequests
+};
@@ -9,6 +9,7 @@
 const { Op } = require('sequelize');
 const { ExternalServer } = require('./models');
 const { getAlertChannelId } = require('./server-config-utils');
+const { getProviders, getServerProviderId } = require('./provider-utils');
 const { EmbedBuilder } = require('discord.js');
 
 /**
@@ -100,7 +101,29 @@ async function markServerActive(guildId) {
 }
 
 /**
- * Sends a system notification to all configured servers
+ * Marks a server as removed after the bot was kicked from it or the server was deleted.
+ * The server is also marked inactive so it no longer receives system notifications.
+ * @param {string} guildId - The Discord guild ID
+ * @returns {Promise<ExternalServer|null>} The updated server, or null if it was never registered
+ */
+async function markServerRemoved(guildId) {
+    try {
+        const server = await ExternalServer.findByPk(guildId);
+        if (!server) return null;
+
+        server.isActive = false;
+        server.removedAt = new Date();
+        await server.save();
+        return server;
+    } catch (error) {
+        console.error(`[ERROR] Failed to mark server ${guildId} as removed:`, error);
+        return null;
+    }
+}
+
+/**
+ * Sends a system notification to the alert channels of the security providers and, optionally,
+ * to the external servers subscribed to them
  * @param {import('discord.js').Client} client - Discord.js client instance
  * @param {string} message - The message to send
  * @param {Object} [options={}] - Additional options
@@ -108,7 +131,9 @@ async function markServerActive(guildId) {
  * @param {boolean} [options.isError=false] - Whether this is an error notification
  * @param {string} [options.title] - Optional title for the embed
  * @param {boolean} [options.notifyExternal=true] - Whether to notify external servers
- * @returns {Promise<{mainSuccess: boolean, externalCount: number, errors: number}>} Result statistics
+ * @param {string} [options.providerGuildId] - Only notify this provider and its external servers (defaults to all providers)
+ * @returns {Promise<{mainSuccess: boolean, externalCount: number, errors: number}>} Result statistics,
+ * mainSuccess is true if at least one provider's alert channel received the notification
  * @example
  * // Send a system update notification
  * const client = getDiscordClient(); // Your bot client
@@ -117,7 +142,7 @@ async function markServerActive(guildId) {
  *   'Bot has been updated to version 1.2.0', 
  *   { isUpdate: true, title: '🔄 Bot Updated' }
  * );
- * console.log(`Sent to main server: ${result.mainSuccess}, External servers: ${result.externalCount}`);
+ * console.log(`Sent to provider alert channels: ${result.mainSuccess}, External servers: ${result.externalCount}`);
  */
 async function sendSystemNotification(client, message, options = {}) {
     const stats = {
@@ -130,7 +155,8 @@ async function sendSystemNotification(client, message, options = {}) {
         isUpdate = false, 
         isError = false, 
         title = isUpdate ? '🔄 System Update' : (isError ? '❌ System Alert' : '📢 System Notification'),
-        notifyExternal = true
+        notifyExternal = true,
+        providerGuildId = null
     } = options;
     
     // Create a consistent embed for all notifications
@@ -145,15 +171,17 @@ async function sendSystemNotification(client, message, options = {}) {
         });
     
     try {
-        // First, send to main security server's alert channel
-        const mainGuildId = process.env.GUILD_ID;
-        if (mainGuildId) {
+        // First, send to the security providers' alert channels
+        const providerGuildIds = providerGuildId
+            ? [providerGuildId]
+            : (await getProviders()).map(provider => provider.serverId);
+        for (const providerId of providerGuildIds) {
             try {
-                const alertChannelId = await getAlertChannelId(mainGuildId);
+                const alertChannelId = await getAlertChannelId(providerId);
                 if (alertChannelId) {
-                    const mainGuild = await client.guilds.fetch(mainGuildId);
-                    if (mainGuild) {
-                        const alertChannel = await mainGuild.channels.fetch(alertChannelId);
+                    const providerGuild = await client.guilds.fetch(providerId);
+                    if (providerGuild) {
+                        const alertChannel = await providerGuild.channels.fetch(alertChannelId);
                         if (alertChannel && alertChannel.isTextBased()) {
                             await alertChannel.send({ embeds: [embed] });
                             stats.mainSuccess = true;
@@ -161,7 +189,7 @@ async function sendSystemNotification(client, message, options = {}) {
                     }
                 }
             } catch (mainError) {
-                console.error(`[ERROR] Failed to send notification to main server:`, mainError);
+                console.error(`[ERROR] Failed to send notification to provider server ${providerId}:`, mainError);
                 stats.errors++;
             }
         }
@@ -169,9 +197,9 @@ async function sendSystemNotification(client, message, options = {}) {
         // Then, send to all active external servers if requested
         if (notifyExternal) {
             try {
-                const externalServers = await ExternalServer.findAll({
+                const externalServers = (await ExternalServer.findAll({
                     where: { isActive: true }
-                });
+                })).filter(server => !providerGuildId || getServerProviderId(server) === providerGuildId);
                 
                 for (const server of externalServers) {
                     try {
@@ -252,13 +280,17 @@ async function unblacklistServer(guildId) {
 
 /**
  * Get all blacklisted servers
+ * @param {string} [providerGuildId] - Only include servers subscribed to this provider
  * @returns {Promise<Array<ExternalServer>>} Array of blacklisted servers
  */
-async function getBlacklistedServers() {
+async function getBlacklistedServers(providerGuildId) {
     try {
-        return await ExternalServer.findAll({
+        const servers = await ExternalServer.findAll({
             where: { isBlacklisted: true }
         });
+        return providerGuildId
+            ? servers.filter(server => getServerProviderId(server) === providerGuildId)
+            : servers;
     } catch (error) {
         console.error('[ERROR] Failed to get blacklisted servers:', error);
         return [];
@@ -288,6 +320,7 @@ async function checkServerBlacklist(guildId) {
 module.exports = {
     updateServerActiveStatus,
     markServerActive,
+    markServerRemoved,
     sendSystemNotification,
     INACTIVITY_THRESHOLD_DAYS,
     blacklistServer,
@@ -0,0 +1,147 @@
+/**
+ * @file Request statistics utilities
+ * @module Database/StatsUtils
+ * @description Computes response-time and workload statistics from SecurityRequest timestamps
+ * for the /stats command.
+ */
+
+const { Op } = require('sequelize');
+const { SecurityRequest, ExternalServer } = require('./models');
+const { getResponderIds, isCancelledRequest } = require('./request-utils');
+
+/**
+ * Length of the predefined statistics periods, in milliseconds
+ * @type {Object<string, number>}
+ */
+const PERIOD_LENGTHS_MS = {
+    day: 24 * 60 * 60 * 1000,
+    week: 7 * 24 * 60 * 60 * 1000,
+    month: 30 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Summary of a list of durations
+ * @typedef {Object} DurationSummary
+ * @property {number} count - Number of durations
+ * @property {number|null} averageMinutes - Mean duration in minutes, null when there are none
+ * @property {number|null} medianMinutes - Median duration in minutes, null when there are none
+ */
+
+/**
+ * Request statistics for a period
+ * @typedef {Object} RequestStats
+ * @property {number} total - Number of requests submitted in the period
+ * @property {number} concluded - How many of them have been concluded by security
+ * @property {number} cancelled - How many of them were cancelled by the requester
+ * @property {DurationSummary} firstResponse - Time from submission to the first responder
+ * @property {DurationSummary} conclusion - Time from submission to the latest conclusion
+ * @property {Array<{name: string, count: number}>} byServer - Requests per source server, busiest first
+ * @property {Array<{hour: number, count: number}>} byHour - Requests per hour of the day (UTC), busiest first
+ * @property {Array<{responderId: string, count: number}>} byResponder - Requests per responder, busiest first
+ */
+
+/**
+ * Resolves the start and end of a statistics period
+ * @param {string} period - 'day', 'week', 'month' or 'custom'
+ * @param {Date|null} [from] - Start of a custom period
+ * @param {Date|null} [to] - End of a custom period
+ * @returns {{from: Date, to: Date}} The period boundaries
+ * @throws {Error} If a custom period is missing a boundary or ends before it starts
+ */
+function resolvePeriod(period, from = null, to = null) {
+    if (period !== 'custom') {
+        const now = new Date();
+        return { from: new Date(now.getTime() - PERIOD_LENGTHS_MS[period]), to: now };
+    }
+
+    if (!from || !to) {
+        throw new Error('A custom period needs both a from and a to date.');
+    }
+    if (from > to) {
+        throw new Error('The start date must be on or before the end date.');
+    }
+    return { from, to };
+}
+
+/**
+ * Summarises a list of durations
+ * @param {Array<number>} durations - Durations in milliseconds
+ * @returns {DurationSummary} The summary
+ */
+function summariseDurations(durations) {
+    if (durations.length === 0) {
+        return { count: 0, averageMinutes: null, medianMinutes: null };
+    }
+
+    const sorted = [...durations].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const median = sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    const average = sorted.reduce((sum, duration) => sum + duration, 0) / sorted.length;
+
+    return {
+        count: sorted.length,
+        averageMinutes: average / 60000,
+        medianMinutes: median / 60000
+    };
+}
+
+/**
+ * Counts occurrences of keys and returns them busiest first
+ * @param {Array<string|number>} keys - One key per occurrence
+ * @returns {Array<[string|number, number]>} Key and count pairs, highest count first
+ */
+function countByKey(keys) {
+    const counts = new Map();
+    keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+/**
+ * Computes statistics for the requests submitted in a period.
+ * Cancelled requests count towards the totals and workload but not towards the conclusion and response
+ * times. Reopened requests only count as concluded once they are concluded again, timed to that conclusion.
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {string} providerGuildId - Guild ID of the security provider whose requests are counted
+ * @returns {Promise<RequestStats>} The statistics
+ * @example
+ * const { from, to } = resolvePeriod('week');
+ * const stats = await computeRequestStats(from, to, interaction.guildId);
+ * console.log(`Median time to first responder: ${stats.firstResponse.medianMinutes} minutes`);
+ */
+async function computeRequestStats(from, to, providerGuildId) {
+    const requests = await SecurityRequest.findAll({
+        where: { providerGuildId, createdAt: { [Op.between]: [from, to] } },
+        include: [{ model: ExternalServer, as: 'externalServer', required: false }]
+    });
+
+    const durationSince = (request, timestamp) => new Date(timestamp) - new Date(request.createdAt);
+    const cancelled = requests.filter(request => isCancelledRequest(request));
+    const answered = requests.filter(request => !isCancelledRequest(request));
+    // concludedAt is kept when a request is reopened, so it only counts while the request is concluded
+    const concluded = answered.filter(request => request.status === 'concluded' && request.concludedAt);
+
+    return {
+        total: requests.length,
+        concluded: concluded.length,
+        cancelled: cancelled.length,
+        firstResponse: summariseDurations(answered
+            .filter(request => request.firstRespondedAt)
+            .map(request => durationSince(request, request.firstRespondedAt))),
+        conclusion: summariseDurations(concluded
+            .map(request => durationSince(request, request.concludedAt))),
+        byServer: countByKey(requests.map(request => (request.isExternal
+            ? (request.externalServer?.guildName || `Unknown Server (${request.externalGuildId})`)
+            : 'Main server')))
+            .map(([name, count]) => ({ name, count })),
+        byHour: countByKey(requests.map(request => new Date(request.createdAt).getUTCHours()))
+            .map(([hour, count]) => ({ hour, count })),
+        byResponder: countByKey(requests.flatMap(request => getResponderIds(request)))
+            .map(([responderId, count]) => ({ responderId, count }))
+    };
+}
+
+module.exports = {
+    resolvePeriod,
+    computeRequestStats
+};
@@ -0,0 +1,27 @@
+/**
+ * @file Guild create event handler
+ * @module EventHandlers/GuildCreate
+ * @description Welcomes new customer servers with an onboarding message explaining how to connect
+ * them to a security provider.
+ */
+
+const { Events } = require('discord.js');
+const { sendOnboardingMessage } = require('../database/guild-lifecycle-utils');
+
+module.exports = {
+    name: Events.GuildCreate,
+    /**
+     * Executes when the bot joins a guild.
+     * @param {import('discord.js').Guild} guild The joined guild.
+     * @returns {Promise<void>}
+     */
+    async execute(guild) {
+        console.log(`[INFO] Joined guild ${guild.name} (${guild.id})`);
+
+        try {
+            await sendOnboardingMessage(guild);
+        } catch (error) {
+            console.error(`[ERROR] Error onboarding guild ${guild.id}:`, error);
+        }
+    },
+};
@@ -0,0 +1,31 @@
+/**
+ * @file Guild delete event handler
+ * @module EventHandlers/GuildDelete
+ * @description Marks customer servers as removed when the bot is kicked or the server is deleted,
+ * concludes their open requests and notifies their security provider.
+ */
+
+const { Events } = require('discord.js');
+const { handleServerRemoved } = require('../database/guild-lifecycle-utils');
+
+module.exports = {
+    name: Events.GuildDelete,
+    /**
+     * Executes when the bot is kicked from a guild or the guild is deleted.
+     * Outages do not trigger this event, discord.js emits guildUnavailable for those.
+     * @param {import('discord.js').Guild} guild The guild the bot left.
+     * @returns {Promise<void>}
+     */
+    async execute(guild) {
+        console.log(`[INFO] Removed from guild ${guild.name} (${guild.id})`);
+
+        try {
+            const result = await handleServerRemoved(guild.client, guild);
+            if (result) {
+                console.log(`[INFO] Marked server ${guild.id} as removed, concluded ${result.concluded.length} open requests`);
+            }
+        } catch (error) {
+            console.error(`[ERROR] Error handling removal from guild ${guild.id}:`, error);
+        }
+    },
+};
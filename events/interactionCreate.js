@@ -1,14 +1,46 @@
 /**
  * @file Interaction event handler
  * @module EventHandlers/InteractionCreate
- * @description Central event handler for all Discord interactions, including commands, buttons, and modals.
+ * @description Central event handler for all Discord interactions, including commands, autocomplete, buttons, and modals.
  * This file implements the core functionality for responding to security requests, concluding them,
  * and handling cross-server communication for external security requests.
  */
 
-const { Events, InteractionType, GuildMember, EmbedBuilder, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
-const { SecurityRequest, ExternalServer } = require('../database/models');
+const { Events, InteractionType, GuildMember, ActionRowBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 const { getSecurityRoleId } = require('../database/server-config-utils');
+const {
+    getSecurityRequest,
+    addResponder,
+    removeResponder,
+    concludeRequest,
+    reopenRequest,
+    getResponderIds,
+    renderSecurityMessage,
+    renderExternalMessage,
+    syncSecurityMessage,
+    syncExternalMessage,
+    addThreadMember,
+    postToRequestThread,
+    closeRequestThread,
+    reopenRequestThread,
+    CANCELLED_BY_REQUESTER_REASON
+} = require('../database/request-utils');
+const { closeRelayThread, reopenRelayThread } = require('../database/relay-utils');
+const { recordRequestEvent, getRequestTimeline } = require('../database/request-events');
+const { buildTimelineEmbed } = require('../database/request-embeds');
+const { buildRatedSurveyMessage, postRatingSurvey, rateRequest, addRatingComment } = require('../database/rating-utils');
+const { notifyRequester } = require('../database/notification-utils');
+const { REQUEST_FORM_PREFIX, parseRequestFormId } = require('../database/request-form');
+const { isProviderGuild, getProviderName, getRequestProviderId } = require('../database/provider-utils');
+const { PRIORITY_LEVELS } = require('../database/request-priorities');
+const {
+    PANEL_REQUEST_BUTTON_ID,
+    PANEL_ABOUT_BUTTON_ID,
+    PANEL_PRIORITY_PREFIX,
+    getPanelOwner,
+    buildPriorityPicker,
+    buildAboutEmbed
+} = require('../database/panel-utils');
 
 /**
  * @typedef {Object} Interaction
@@ -35,70 +67,185 @@ const { getSecurityRoleId } = require('../database/server-config-utils');
  * @description Discord.js CacheType
  */
 
+/**
+ * @typedef {Object} SecurityRequest
+ * @description SecurityRequest database model instance
+ */
+
 // --- Helper Function Definitions ---
 
 /**
- * Handles the logic for the 'Respond' button interaction.
- * Updates the original request embed to add the responding user.
+ * Re-renders the external server's copy of a request (if it has one) and tells the
+ * security member how that went with an ephemeral followUp.
+ * @param {ButtonInteraction|ModalSubmitInteraction} interaction The interaction object (already deferred).
+ * @param {SecurityRequest} request The stored security request.
+ * @param {Object} messages The followUp messages to use.
+ * @param {Function} messages.external Builds the success message from the external guild.
+ * @param {string} messages.failure Prefix for the message shown when the external server could not be updated.
+ * @param {string} messages.internal Message shown for internal requests.
+ * @returns {Promise<void>}
+ */
+async function followUpWithExternalSync(interaction, request, messages) {
+    const interactionId = interaction.id;
+
+    if (!request.isExternal || !request.externalGuildId || !request.externalMessageId) {
+        await interaction.followUp({ content: messages.internal, flags: [64] });
+        return;
+    }
+
+    try {
+        const externalGuild = await syncExternalMessage(interaction.client, request);
+        await interaction.followUp({ content: messages.external(externalGuild), flags: [64] });
+    } catch (externalError) {
+        console.error(`[Interaction ${interactionId}] Error updating external message:`, externalError);
+        await interaction.followUp({ content: `${messages.failure}: ${externalError.message}`, flags: [64] });
+    }
+}
+
+/**
+ * Handles the logic for the 'Respond' button interaction on both internal and external requests.
+ * Adds the responding user to the stored request, then re-renders the security server message
+ * and, for external requests, the customer server message from the database.
  * @param {ButtonInteraction} interaction The button interaction object (already deferred).
  * @param {GuildMember} member The guild member who clicked the button.
+ * @param {string} requestId The ID of the original request.
  * @returns {Promise<void>}
  * @example
  * // When a security team member clicks the "Respond" button on a request:
- * // 1. Their name is added to the "Responding Security" field
- * // 2. The embed is updated to show all current responders
- * await handleRespondButton(interaction, member);
+ * // 1. They are added to the request's responders in the database
+ * // 2. The embed is re-rendered to show all current responders
+ * // 3. They are added to the request's discussion thread
+ * // 4. For external requests, the customer server message shows who is responding
+ * // 5. The first responder triggers a DM to the requester, if they opted in with /notifications
+ * await handleRespondButton(interaction, member, '123456789012345678');
+ * @since 1.2.0 - Fixed updating external server with responder information
  */
-async function handleRespondButton(interaction, member) {
+async function handleRespondButton(interaction, member, requestId) {
     const interactionId = interaction.id; // For logging
     console.log(`[Interaction ${interactionId}] Inside handleRespondButton for user ${member.user.tag}.`);
     try {
-        const originalMessage = interaction.message;
-        const originalEmbed = originalMessage.embeds[0];
-
-        if (!originalEmbed) {
-            console.error(`[Interaction ${interactionId}] Could not find original embed on the message.`);
-            // Use followUp since deferred
-            return interaction.followUp({ content: 'Error processing request: Original embed not found.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending embed not found followUp:`, err));
+        const result = await addResponder(requestId, member.user.id, member.user.tag);
+        if (!result) {
+            console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
+            return interaction.followUp({ content: 'Could not find the original security request in the database.', flags: [64] });
         }
-        console.log(`[Interaction ${interactionId}] Found original embed.`);
 
-        // Clone the embed to modify it
-        const updatedEmbed = EmbedBuilder.from(originalEmbed);
-        const respondersField = updatedEmbed.data.fields?.find(field => field.name === 'Responding Security');
+        const { request, added, firstResponder } = result;
 
-        if (!respondersField) {
-             console.error(`[Interaction ${interactionId}] Could not find "Responding Security" field on the embed.`);
-             return interaction.followUp({ content: 'Error processing request: Embed structure invalid.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending invalid structure followUp:`, err));
-        }
-        console.log(`[Interaction ${interactionId}] Found responders field. Current value: "${respondersField.value}"`);
+        // Always re-render from the database, so an edited or stale embed is corrected
+        await interaction.editReply(await renderSecurityMessage(request));
 
-        let responders = respondersField.value.split('\n').filter(line => line.trim() !== '' && line !== 'None yet.');
+        if (request.status === 'concluded') {
+            return interaction.followUp({ content: 'This request has already been concluded.', flags: [64] });
+        }
+        if (!added) {
+            console.log(`[Interaction ${interactionId}] User ${member.user.tag} already responding.`);
+            return interaction.followUp({ content: 'You are already marked as responding to this request.', flags: [64] });
+        }
+        console.log(`[Interaction ${interactionId}] Added ${member.user.tag} as responder to request ${requestId}.`);
+        await recordRequestEvent(requestId, 'message_updated', { details: 'Security alert' });
 
-        const userMention = `${member.user}`;
-        if (!responders.includes(userMention)) {
-            console.log(`[Interaction ${interactionId}] User ${member.user.tag} not found in responders. Adding.`);
-            responders.push(userMention);
-            respondersField.value = responders.join('\n');
-            console.log(`[Interaction ${interactionId}] New responders value: "${respondersField.value}"`);
+        // Bring the responder into the request's discussion thread
+        await addThreadMember(interaction.client, request, member.user.id);
 
-            console.log(`[Interaction ${interactionId}] Attempting editReply...`);
-            await interaction.editReply({ embeds: [updatedEmbed] });
-            console.log(`[Interaction ${interactionId}] editReply successful for ${member.user.tag}.`);
+        await followUpWithExternalSync(interaction, request, {
+            external: externalGuild => `You are now responding to this external request. The requestor in ${externalGuild.name} has been notified.`,
+            failure: 'The security request was updated, but there was an error notifying the external server',
+            internal: 'You are now marked as responding to this request.'
+        });
 
-        } else {
-            console.log(`[Interaction ${interactionId}] User ${member.user.tag} already responding.`);
-            // User is already listed, send ephemeral followUp
-            await interaction.followUp({ content: 'You are already marked as responding to this request.', flags: [64] });
-            console.log(`[Interaction ${interactionId}] Sent 'already responding' followUp.`);
+        // Let the requester know help is on the way, if they asked to be told
+        if (firstResponder) {
+            await notifyRequester(interaction.client, request, 'responded', { responderName: member.displayName });
         }
-
     } catch (error) {
         console.error(`[Interaction ${interactionId}] Error inside handleRespondButton:`, error);
         // Use followUp for errors after deferring
-        // Check if already replied (e.g., by the followUp above)
         if (!interaction.replied) {
-             await interaction.followUp({ content: 'There was an error marking you as responding.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending respond button error followUp:`, err));
+            await interaction.followUp({ content: 'There was an error marking you as responding.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending respond button error followUp:`, err));
+        }
+    }
+}
+
+/**
+ * Handles the logic for the 'Withdraw' button interaction on both internal and external requests.
+ * Removes the user from the stored request's responders (moving it back to pending when nobody is left),
+ * then re-renders the security server message and, for external requests, the customer server message.
+ * @param {ButtonInteraction} interaction The button interaction object (already deferred).
+ * @param {GuildMember} member The guild member who clicked the button.
+ * @param {string} requestId The ID of the original request.
+ * @returns {Promise<void>}
+ * @example
+ * // When a responder is reassigned and clicks "Withdraw":
+ * // 1. They are removed from the request's responders in the database
+ * // 2. The request returns to pending if nobody else is responding
+ * // 3. Both the security server and customer server messages are re-rendered
+ * await handleWithdrawButton(interaction, member, '123456789012345678');
+ */
+async function handleWithdrawButton(interaction, member, requestId) {
+    const interactionId = interaction.id; // For logging
+    console.log(`[Interaction ${interactionId}] Inside handleWithdrawButton for user ${member.user.tag}.`);
+    try {
+        const result = await removeResponder(requestId, member.user.id, member.user.tag);
+        if (!result) {
+            console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
+            return interaction.followUp({ content: 'Could not find the original security request in the database.', flags: [64] });
+        }
+
+        const { request, removed } = result;
+
+        await interaction.editReply(await renderSecurityMessage(request));
+
+        if (request.status === 'concluded') {
+            return interaction.followUp({ content: 'This request has already been concluded.', flags: [64] });
+        }
+        if (!removed) {
+            return interaction.followUp({ content: 'You are not marked as responding to this request.', flags: [64] });
+        }
+        console.log(`[Interaction ${interactionId}] Removed ${member.user.tag} from responders of request ${requestId}.`);
+        await recordRequestEvent(requestId, 'message_updated', { details: 'Security alert' });
+
+        await followUpWithExternalSync(interaction, request, {
+            external: externalGuild => `You have withdrawn from this external request. The requestor in ${externalGuild.name} has been notified.`,
+            failure: 'You were withdrawn from the request, but there was an error notifying the external server',
+            internal: 'You are no longer marked as responding to this request.'
+        });
+    } catch (error) {
+        console.error(`[Interaction ${interactionId}] Error inside handleWithdrawButton:`, error);
+        if (!interaction.replied) {
+            await interaction.followUp({ content: 'There was an error withdrawing you from the request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending withdraw button error followUp:`, err));
+        }
+    }
+}
+
+/**
+ * Handles the logic for the 'Timeline' button interaction.
+ * Shows every recorded action on the request in an ephemeral reply.
+ * @param {ButtonInteraction} interaction The button interaction object.
+ * @param {string} requestId The ID of the original request.
+ * @returns {Promise<void>}
+ * @example
+ * // When a security team member clicks the "Timeline" button:
+ * // 1. The request's events are read from the database, oldest first
+ * // 2. Only they see the resulting list of who did what and when
+ * await handleTimelineButton(interaction, '123456789012345678');
+ */
+async function handleTimelineButton(interaction, requestId) {
+    const interactionId = interaction.id; // For logging
+    console.log(`[Interaction ${interactionId}] Inside handleTimelineButton.`);
+    try {
+        const request = await getSecurityRequest(requestId);
+        if (!request) {
+            console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
+            return interaction.reply({ content: 'Could not find the original security request in the database.', flags: [64] });
+        }
+
+        const events = await getRequestTimeline(requestId);
+        await interaction.reply({ embeds: [buildTimelineEmbed(request, events)], flags: [64] });
+    } catch (error) {
+        console.error(`[Interaction ${interactionId}] Error showing timeline:`, error);
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({ content: 'There was an error loading the timeline of this request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending timeline error reply:`, err));
         }
     }
 }
@@ -107,19 +254,18 @@ async function handleRespondButton(interaction, member) {
  * Handles the logic for the 'Conclude Request' button interaction.
  * Shows a modal to the user to collect the reason for conclusion.
  * @param {ButtonInteraction} interaction The button interaction object.
+ * @param {string} requestId The ID of the original request.
  * @returns {Promise<void>}
  * @example
  * // When a security team member clicks the "Conclude Request" button:
  * // 1. A modal dialog appears asking for the conclusion reason
  * // 2. The security member enters details about how the situation was resolved
- * await handleConcludeButton(interaction);
+ * await handleConcludeButton(interaction, '123456789012345678');
  */
-async function handleConcludeButton(interaction) {
+async function handleConcludeButton(interaction, requestId) {
     const interactionId = interaction.id; // For logging
     console.log(`[Interaction ${interactionId}] Inside handleConcludeButton.`);
     try {
-        const requestId = interaction.customId.split('_')[1]; // Extract request ID
-
         // Create the modal
         const modal = new ModalBuilder()
             .setCustomId(`conclude_modal_${requestId}`) // Include request ID in modal ID
@@ -153,18 +299,22 @@ async function handleConcludeButton(interaction) {
 }
 
 /**
- * Handles the submission of the 'Conclude Request' modal.
- * Updates the original request embed to show the conclusion details and removes buttons.
+ * Handles the submission of the 'Conclude Request' modal on both internal and external requests.
+ * Marks the stored security request as concluded, then re-renders the security server message
+ * (without buttons) and, for external requests, the customer server message from the database.
  * @param {ModalSubmitInteraction} interaction The modal submit interaction object (already deferred).
+ * @param {string} requestId The ID of the original request.
  * @returns {Promise<void>}
  * @example
  * // After a security member submits the conclusion modal:
- * // 1. The security request is marked as concluded
- * // 2. The embed is updated with the conclusion reason and who concluded it
- * // 3. The action buttons are removed from the message
- * await handleConcludeModalSubmit(interaction);
+ * // 1. The security request is marked as concluded in the database
+ * // 2. The embed is re-rendered with the conclusion reason and who concluded it
+ * // 3. The action buttons are removed from the message and the discussion (and relay) threads are archived and locked
+ * // 4. For external requests, the customer server message shows the request was concluded
+ * // 5. The requester gets a DM with the reason, if they opted in with /notifications
+ * await handleConcludeModalSubmit(interaction, '123456789012345678');
  */
-async function handleConcludeModalSubmit(interaction) {
+async function handleConcludeModalSubmit(interaction, requestId) {
     const interactionId = interaction.id; // For logging
     console.log(`[Interaction ${interactionId}] Inside handleConcludeModalSubmit.`);
     try {
@@ -172,33 +322,40 @@ async function handleConcludeModalSubmit(interaction) {
         const securityMember = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
         console.log(`[Interaction ${interactionId}] Modal submitted by ${securityMember.user.tag}. Reason: ${reason}`);
 
-        const originalMessage = interaction.message;
-        const originalEmbed = originalMessage.embeds[0];
-
-        if (!originalEmbed) {
-            console.error(`[Interaction ${interactionId}] Could not find original embed on the message for modal submit.`);
-            return interaction.followUp({ content: 'Error processing conclusion: Original embed not found.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending modal embed not found followUp:`, err));
-        }
-        console.log(`[Interaction ${interactionId}] Found original embed for modal submit.`);
-
-        // Clone the embed to modify it
-        const concludedEmbed = EmbedBuilder.from(originalEmbed)
-            .setTitle('✅ Security Request Concluded ✅')
-            .setColor(0x00FF00) // Green color for concluded
-            .setFields( // Use setFields to replace existing fields and add new ones cleanly
-                 ...originalEmbed.fields.filter(field => field.name !== 'Responding Security'), // Keep existing fields except responders
-                 { name: 'Responding Security', value: originalEmbed.fields.find(f => f.name === 'Responding Security')?.value || 'N/A' }, // Keep final responders list
-                 { name: 'Conclusion Reason', value: reason },
-                 { name: 'Concluded By', value: `${securityMember.user}` }
-             )
-            .setTimestamp(); // Update timestamp to conclusion time
-        console.log(`[Interaction ${interactionId}] Created concluded embed.`);
-
-        console.log(`[Interaction ${interactionId}] Attempting editReply for modal...`);
+        const result = await concludeRequest(requestId, {
+            userId: securityMember.user.id,
+            userName: securityMember.user.tag,
+            reason
+        });
+        if (!result) {
+            console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
+            return interaction.followUp({ content: 'Could not find the original security request in the database.', flags: [64] });
+        }
+
+        const { request, concluded } = result;
+
         // Use editReply since we deferred
-        await interaction.editReply({ embeds: [concludedEmbed], components: [] });
+        await interaction.editReply(await renderSecurityMessage(request));
         console.log(`[Interaction ${interactionId}] editReply successful for modal conclusion.`);
 
+        if (!concluded) {
+            return interaction.followUp({ content: 'This request has already been concluded.', flags: [64] });
+        }
+
+        await recordRequestEvent(requestId, 'message_updated', { details: 'Security alert' });
+        await closeRequestThread(interaction.client, request);
+        await closeRelayThread(interaction.client, request);
+
+        await followUpWithExternalSync(interaction, request, {
+            external: externalGuild => `The external security request has been concluded. The notification in ${externalGuild.name} has been updated.`,
+            failure: 'The security request was concluded, but there was an error updating the external server',
+            internal: 'The security request has been concluded.'
+        });
+
+        await notifyRequester(interaction.client, request, 'concluded');
+
+        // Ask the requester of an external request how we did
+        await postRatingSurvey(interaction.client, request);
     } catch (error) {
         console.error(`[Interaction ${interactionId}] Error handling conclude modal submit:`, error);
         // Use followUp for errors after deferring
@@ -209,397 +366,308 @@ async function handleConcludeModalSubmit(interaction) {
 }
 
 /**
- * Handles the logic for external 'Respond' button interaction.
- * Updates both the security server embed and the customer server embed.
+ * Handles the logic for the 'Reopen' button interaction on concluded requests.
+ * Sets the stored request back to responding (keeping the previous conclusion on record), then
+ * re-renders the security server message with its action buttons and, for external requests,
+ * tells the customer server that the request is active again.
  * @param {ButtonInteraction} interaction The button interaction object (already deferred).
- * @param {GuildMember} member The security guild member who clicked the button.
+ * @param {GuildMember} member The guild member who clicked the button.
  * @param {string} requestId The ID of the original request.
- * @param {string} externalGuildId The ID of the external guild where the request originated.
  * @returns {Promise<void>}
  * @example
- * // When a security member responds to an external request:
- * // 1. The security server message is updated with the responder's name
- * // 2. The external server message is updated to show security is responding
- * // 3. The database entry is updated to track who is responding
- * await handleExternalRespondButton(interaction, member, '123456789012345678', '876543210987654321');
- * @since 1.2.0 - Fixed updating external server with responder information
+ * // When an incident flares up again and a security member clicks "Reopen":
+ * // 1. The request is marked as responding again in the database
+ * // 2. The embed shows the previous conclusion and the action buttons return
+ * // 3. The discussion (and relay) threads are unarchived and unlocked
+ * // 4. For external requests, the customer server message shows the request was reopened
+ * await handleReopenButton(interaction, member, '123456789012345678');
  */
-async function handleExternalRespondButton(interaction, member, requestId, externalGuildId) {
-    const interactionId = interaction.id;
-    console.log(`[Interaction ${interactionId}] Inside handleExternalRespondButton for user ${member.user.tag}.`);
-    
+async function handleReopenButton(interaction, member, requestId) {
+    const interactionId = interaction.id; // For logging
+    console.log(`[Interaction ${interactionId}] Inside handleReopenButton for user ${member.user.tag}.`);
     try {
-        // Get the security request from database
-        const request = await SecurityRequest.findByPk(requestId);
-        if (!request) {
+        const result = await reopenRequest(requestId, { userId: member.user.id, userName: member.user.tag });
+        if (!result) {
             console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
-            return interaction.followUp({ 
-                content: 'Could not find the original security request in the database.', 
-                flags: [64] 
-            });
+            return interaction.followUp({ content: 'Could not find the original security request in the database.', flags: [64] });
         }
 
-        // 1. Update the security server message
-        const originalMessage = interaction.message;
-        const originalEmbed = originalMessage.embeds[0];
+        const { request, reopened } = result;
 
-        if (!originalEmbed) {
-            console.error(`[Interaction ${interactionId}] Could not find original embed on security server message.`);
-            return interaction.followUp({ content: 'Error processing request: Original embed not found.', flags: [64] });
+        await interaction.editReply(await renderSecurityMessage(request));
+
+        if (!reopened) {
+            return interaction.followUp({ content: 'This request is already open.', flags: [64] });
         }
+        console.log(`[Interaction ${interactionId}] ${member.user.tag} reopened request ${requestId}.`);
+        await recordRequestEvent(requestId, 'message_updated', { details: 'Security alert' });
 
-        // Clone the embed to modify it
-        const updatedEmbed = EmbedBuilder.from(originalEmbed);
-        const respondersField = updatedEmbed.data.fields?.find(field => field.name === 'Responding Security');
+        await reopenRequestThread(interaction.client, request);
+        await reopenRelayThread(interaction.client, request);
 
-        if (!respondersField) {
-            console.error(`[Interaction ${interactionId}] Could not find "Responding Security" field on the embed.`);
-            return interaction.followUp({ content: 'Error processing request: Embed structure invalid.', flags: [64] });
+        await followUpWithExternalSync(interaction, request, {
+            external: externalGuild => `The external security request has been reopened. ${externalGuild.name} has been told the request is active again.`,
+            failure: 'The security request was reopened, but there was an error updating the external server',
+            internal: 'The security request has been reopened.'
+        });
+    } catch (error) {
+        console.error(`[Interaction ${interactionId}] Error inside handleReopenButton:`, error);
+        if (!interaction.replied) {
+            await interaction.followUp({ content: 'There was an error reopening the request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending reopen button error followUp:`, err));
         }
+    }
+}
 
-        // Get current responders from the database - parse JSON if it's a string
-        let responders = [];
-        try {
-            // If responders is a string (JSON), parse it; otherwise use as is or default to empty array
-            if (typeof request.responders === 'string') {
-                responders = JSON.parse(request.responders || '[]');
-            } else if (Array.isArray(request.responders)) {
-                responders = request.responders;
-            }
-            console.log(`[Interaction ${interactionId}] Current responders:`, responders);
-        } catch (parseError) {
-            console.error(`[Interaction ${interactionId}] Error parsing responders:`, parseError);
-            responders = [];
-        }
-        
-        const userMention = `${member.user}`;
-        const userID = member.user.id;
-        
-        // Get the nickname of the security member, or fallback to their username if no nickname is set
-        const responderName = member.nickname || member.user.username;
-        
-        // Check if user is already responding
-        if (!responders.includes(userID)) {
-            // Add to responders in database
-            responders.push(userID);
-            
-            // Store responders back to database - stringify if needed
-            if (typeof request.responders === 'string') {
-                request.responders = JSON.stringify(responders);
-            } else {
-                request.responders = responders;
-            }
-            
-            request.status = 'responding';
-            await request.save();
-            
-            // Update embed responders field
-            const responderMentions = responders.map(id => `<@${id}>`).join('\n');
-            respondersField.value = responderMentions || 'None yet.';
-            
-            // Get all responder names (nicknames if available)
-            const allResponders = [];
-            for (const responderId of responders) {
-                try {
-                    const responderMember = await interaction.guild.members.fetch(responderId);
-                    if (responderMember) {
-                        allResponders.push(responderMember.nickname || responderMember.user.username);
-                    }
-                } catch (error) {
-                    // If we can't fetch the member, at least show their ID as a fallback
-                    allResponders.push(`Unknown Member (${responderId})`);
-                }
-            }
-            
-            // Update the security server message
-            await interaction.editReply({ embeds: [updatedEmbed] });
-            
-            // 2. Update the external server message if this is an external request
-            if (request.isExternal && request.externalGuildId && request.externalMessageId) {
-                try {
-                    // Find the external server
-                    const externalServer = await ExternalServer.findByPk(request.externalGuildId);
-                    if (!externalServer) {
-                        return interaction.followUp({ 
-                            content: 'The external server is no longer registered in our system.', 
-                            flags: [64] 
-                        });
-                    }
-                    
-                    // Find the external guild and channel
-                    const externalGuild = await interaction.client.guilds.fetch(request.externalGuildId);
-                    if (!externalGuild) {
-                        return interaction.followUp({ 
-                            content: 'Could not find the external server. The request may have been updated locally only.', 
-                            flags: [64] 
-                        });
-                    }
-                    
-                    const externalChannel = await externalGuild.channels.fetch(externalServer.channelId);
-                    if (!externalChannel) {
-                        return interaction.followUp({ 
-                            content: 'Could not find the channel in the external server. The request may have been updated locally only.', 
-                            flags: [64] 
-                        });
-                    }
-                    
-                    // Get the message in the external channel
-                    const externalMessage = await externalChannel.messages.fetch(request.externalMessageId);
-                    if (!externalMessage) {
-                        return interaction.followUp({ 
-                            content: 'Could not find the original request message in the external server.', 
-                            flags: [64] 
-                        });
-                    }
-                    
-                    // Update the external server message
-                    const externalEmbed = externalMessage.embeds[0];
-                    
-                    // Format a clean list of responder names
-                    const respondersList = allResponders.length > 0 
-                        ? allResponders.join(', ') 
-                        : 'None yet.';
-                    
-                    const updatedExternalEmbed = EmbedBuilder.from(externalEmbed);
-                    
-                    // Find and update the Status field or add it if not present
-                    const statusFieldIndex = updatedExternalEmbed.data.fields.findIndex(field => field.name === 'Status');
-                    
-                    if (statusFieldIndex !== -1) {
-                        // Update existing Status field
-                        updatedExternalEmbed.data.fields[statusFieldIndex] = {
-                            name: 'Status',
-                            value: `Security personnel responding: ${respondersList}`
-                        };
-                    } else {
-                        // Add Status field if not present
-                        updatedExternalEmbed.addFields({
-                            name: 'Status',
-                            value: `Security personnel responding: ${respondersList}`
-                        });
-                    }
-                    
-                    // Update the message in the external server
-                    await externalMessage.edit({ embeds: [updatedExternalEmbed] });
-                    
-                    return interaction.followUp({ 
-                        content: `You are now responding to this external request. The requestor in ${externalGuild.name} has been notified.`, 
-                        flags: [64] 
-                    });
-                } catch (externalError) {
-                    console.error(`[Interaction ${interactionId}] Error updating external message:`, externalError);
-                    return interaction.followUp({ 
-                        content: `The security request was updated, but there was an error notifying the external server: ${externalError.message}`, 
-                        flags: [64] 
-                    });
-                }
-            } else {
-                return interaction.followUp({ 
-                    content: 'You are now marked as responding to this request.', 
-                    flags: [64] 
-                });
-            }
+/**
+ * Handles the logic for the 'Cancel request' button on the requester's confirmation message.
+ * Only the original requester can cancel. The request is concluded as cancelled, the security server
+ * message is re-rendered and the responders are told in the discussion thread.
+ * @param {ButtonInteraction} interaction The button interaction object (already deferred).
+ * @param {string} requestId The ID of the original request.
+ * @returns {Promise<void>}
+ * @example
+ * // When a customer submitted a request by mistake and clicks "Cancel request":
+ * // 1. The request is concluded with the reason 'Cancelled by requester'
+ * // 2. Their confirmation message shows the request was concluded
+ * // 3. The security server message is re-rendered and responders are notified in the discussion thread
+ * await handleCancelButton(interaction, '123456789012345678');
+ */
+async function handleCancelButton(interaction, requestId) {
+    const interactionId = interaction.id; // For logging
+    console.log(`[Interaction ${interactionId}] Inside handleCancelButton for user ${interaction.user.tag}.`);
+    try {
+        const existingRequest = await getSecurityRequest(requestId);
+        if (!existingRequest) {
+            console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
+            return interaction.followUp({ content: 'Could not find the original security request in the database.', flags: [64] });
+        }
+        if (existingRequest.requesterId !== interaction.user.id) {
+            return interaction.followUp({ content: 'Only the person who made this request can cancel it.', flags: [64] });
+        }
+
+        const { request, concluded } = await concludeRequest(requestId, {
+            userId: interaction.user.id,
+            userName: interaction.user.tag,
+            reason: CANCELLED_BY_REQUESTER_REASON
+        });
+
+        // Update the requester's own message: the shared confirmation for external requests,
+        // the ephemeral command reply for internal ones
+        if (request.isExternal) {
+            await interaction.editReply(await renderExternalMessage(interaction.client, request));
         } else {
-            // User is already listed
-            return interaction.followUp({ content: 'You are already marked as responding to this request.', flags: [64] });
+            await interaction.editReply({
+                content: concluded ? 'Your security request has been cancelled.' : 'Your security request has been concluded.',
+                components: []
+            });
+        }
+
+        if (!concluded) {
+            return interaction.followUp({ content: 'This request has already been concluded.', flags: [64] });
+        }
+        console.log(`[Interaction ${interactionId}] ${interaction.user.tag} cancelled request ${requestId}.`);
+        if (request.isExternal) {
+            await recordRequestEvent(requestId, 'message_updated', { details: 'Requester confirmation' });
         }
+
+        await syncSecurityMessage(interaction.client, request);
+
+        const responderIds = getResponderIds(request);
+        await postToRequestThread(interaction.client, request, {
+            content: `🛑 The requester cancelled this request, no response is needed anymore. ${responderIds.map(id => `<@${id}>`).join(' ')}`.trim(),
+            allowedMentions: { users: responderIds }
+        });
+        await closeRequestThread(interaction.client, request);
+        await closeRelayThread(interaction.client, request);
+
+        const providerName = await getProviderName(getRequestProviderId(request), interaction.client);
+        await interaction.followUp({ content: `Your security request has been cancelled. ${providerName} has been notified.`, flags: [64] });
     } catch (error) {
-        console.error(`[Interaction ${interactionId}] Error inside handleExternalRespondButton:`, error);
+        console.error(`[Interaction ${interactionId}] Error inside handleCancelButton:`, error);
         if (!interaction.replied) {
-            await interaction.followUp({ content: 'There was an error marking you as responding.', flags: [64] });
+            await interaction.followUp({ content: 'There was an error cancelling your request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending cancel button error followUp:`, err));
         }
     }
 }
 
 /**
- * Handles the logic for external 'Conclude Request' button interaction.
- * Shows a modal to collect conclusion reason and guild ID.
+ * Handles a rating button on the satisfaction survey posted after an external request is concluded.
+ * Only the original requester can rate; the survey then thanks them and offers to add a comment.
  * @param {ButtonInteraction} interaction The button interaction object.
  * @param {string} requestId The ID of the original request.
- * @param {string} externalGuildId The ID of the external guild.
+ * @param {number} rating The rating (1-5) that was clicked.
  * @returns {Promise<void>}
  * @example
- * // When a security member concludes an external request:
- * // 1. A modal dialog appears asking for the conclusion reason
- * // 2. The modal includes hidden fields for the request ID and external guild ID
- * await handleExternalConcludeButton(interaction, '123456789012345678', '876543210987654321');
+ * // When the requester clicks the 4 ⭐ button on the survey:
+ * // 1. The rating is stored on the security request
+ * // 2. The survey shows the rating and an 'Add a comment' button
+ * await handleRateButton(interaction, '123456789012345678', 4);
  */
-async function handleExternalConcludeButton(interaction, requestId, externalGuildId) {
-    const interactionId = interaction.id;
-    console.log(`[Interaction ${interactionId}] Inside handleExternalConcludeButton.`);
-    
+async function handleRateButton(interaction, requestId, rating) {
+    const interactionId = interaction.id; // For logging
+    console.log(`[Interaction ${interactionId}] Inside handleRateButton for user ${interaction.user.tag}.`);
     try {
-        // Create the modal with both the request ID and external guild ID
+        const result = await rateRequest(requestId, interaction.user.id, rating);
+        if (!result) {
+            return interaction.reply({ content: 'Could not find the original security request in the database.', flags: [64] });
+        }
+        if (!result.rated) {
+            return interaction.reply({ content: result.error, flags: [64] });
+        }
+
+        console.log(`[Interaction ${interactionId}] ${interaction.user.tag} rated request ${requestId} ${rating}/5.`);
+        await interaction.update(buildRatedSurveyMessage(result.request, true));
+    } catch (error) {
+        console.error(`[Interaction ${interactionId}] Error inside handleRateButton:`, error);
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({ content: 'There was an error saving your rating.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending rate button error reply:`, err));
+        }
+    }
+}
+
+/**
+ * Handles the 'Add a comment' button on a rated survey by showing the comment modal.
+ * @param {ButtonInteraction} interaction The button interaction object.
+ * @param {string} requestId The ID of the original request.
+ * @returns {Promise<void>}
+ */
+async function handleRatingCommentButton(interaction, requestId) {
+    const interactionId = interaction.id; // For logging
+    try {
+        const request = await getSecurityRequest(requestId);
+        if (!request || request.requesterId !== interaction.user.id) {
+            return interaction.reply({ content: 'Only the person who made this request can comment on it.', flags: [64] });
+        }
+
+        // Modal titles are limited to 45 characters
+        const providerName = await getProviderName(getRequestProviderId(request), interaction.client);
         const modal = new ModalBuilder()
-            .setCustomId(`extconclude_modal_${requestId}_${externalGuildId}`)
-            .setTitle('Conclude External Security Request');
+            .setCustomId(`rate_comment_modal_${requestId}`)
+            .setTitle(`Comment on ${providerName}`.slice(0, 45));
 
-        // Create the text input component
-        const reasonInput = new TextInputBuilder()
-            .setCustomId('conclude_reason')
-            .setLabel("Reason for concluding the request")
+        const commentInput = new TextInputBuilder()
+            .setCustomId('rating_comment')
+            .setLabel('What went well, or what could be better?')
             .setStyle(TextInputStyle.Paragraph)
-            .setPlaceholder('e.g., Situation resolved, false alarm, etc.')
+            .setMaxLength(1000)
             .setRequired(true);
 
-        const firstActionRow = new ActionRowBuilder().addComponents(reasonInput);
-        modal.addComponents(firstActionRow);
-
+        modal.addComponents(new ActionRowBuilder().addComponents(commentInput));
         await interaction.showModal(modal);
     } catch (error) {
-        console.error(`[Interaction ${interactionId}] Error showing external conclude modal:`, error);
+        console.error(`[Interaction ${interactionId}] Error showing rating comment modal:`, error);
         if (!interaction.replied && !interaction.deferred) {
-            await interaction.reply({ content: 'There was an error trying to open the conclusion form.', flags: [64] });
-        } else {
-            await interaction.followUp({ content: 'There was an error trying to open the conclusion form.', flags: [64] });
+            await interaction.reply({ content: 'There was an error opening the comment form.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending comment modal error reply:`, err));
         }
     }
 }
 
 /**
- * Handles the submission of the external 'Conclude Request' modal.
- * Updates both the security server and external server messages.
+ * Handles the submission of the rating comment modal.
  * @param {ModalSubmitInteraction} interaction The modal submit interaction object (already deferred).
  * @param {string} requestId The ID of the original request.
- * @param {string} externalGuildId The ID of the external guild.
+ * @returns {Promise<void>}
+ */
+async function handleRatingCommentSubmit(interaction, requestId) {
+    const interactionId = interaction.id; // For logging
+    try {
+        const comment = interaction.fields.getTextInputValue('rating_comment');
+        const result = await addRatingComment(requestId, interaction.user.id, comment);
+        if (!result) {
+            return interaction.followUp({ content: 'Could not find the original security request in the database.', flags: [64] });
+        }
+        if (!result.commented) {
+            return interaction.followUp({ content: result.error, flags: [64] });
+        }
+
+        await interaction.editReply(buildRatedSurveyMessage(result.request, false));
+        const providerName = await getProviderName(getRequestProviderId(result.request), interaction.client);
+        await interaction.followUp({ content: `Thank you, your comment has been passed on to ${providerName}.`, flags: [64] });
+    } catch (error) {
+        console.error(`[Interaction ${interactionId}] Error handling rating comment submit:`, error);
+        if (!interaction.replied) {
+            await interaction.followUp({ content: 'There was an error saving your comment.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending comment error followUp:`, err));
+        }
+    }
+}
+
+/**
+ * Gets the request command that handles requests in the server of an interaction
+ * @param {Interaction} interaction The interaction object.
+ * @returns {Promise<Object>} The /request-security command in provider servers, otherwise /request-external-security
+ */
+async function getRequestCommand(interaction) {
+    const commandName = (await isProviderGuild(interaction.guild.id)) ? 'request-security' : 'request-external-security';
+    return interaction.client.commands.get(commandName);
+}
+
+/**
+ * Handles the buttons of the request panel: Request Security shows the priorities, a priority opens the
+ * request form and About explains how the service works.
+ * @param {ButtonInteraction} interaction The button interaction object.
+ * @param {string} customId The button's custom ID.
  * @returns {Promise<void>}
  * @example
- * // After a security member submits the external conclusion modal:
- * // 1. The security request is marked as concluded in the database
- * // 2. The security server embed is updated with conclusion details
- * // 3. The external server embed is updated to show the request was concluded
- * // 4. Action buttons are removed from both messages
- * await handleExternalConcludeModalSubmit(interaction, '123456789012345678', '876543210987654321');
+ * // When a customer uses the pinned panel:
+ * // 1. Request Security privately asks how urgent the situation is
+ * // 2. Choosing a priority runs the request command's checks and opens the request form
+ * // 3. The submitted form is handled by handleRequestFormSubmit
+ * await handlePanelButton(interaction, 'panel_request');
  */
-async function handleExternalConcludeModalSubmit(interaction, requestId, externalGuildId) {
-    const interactionId = interaction.id;
-    console.log(`[Interaction ${interactionId}] Inside handleExternalConcludeModalSubmit.`);
-    
+async function handlePanelButton(interaction, customId) {
+    const interactionId = interaction.id; // For logging
     try {
-        const reason = interaction.fields.getTextInputValue('conclude_reason');
-        const securityMember = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
-        
-        // Get the security request from database
-        const request = await SecurityRequest.findByPk(requestId);
-        if (!request) {
-            console.error(`[Interaction ${interactionId}] Could not find security request with ID ${requestId} in database`);
-            return interaction.followUp({ 
-                content: 'Could not find the original security request in the database.', 
-                flags: [64] 
-            });
+        if (customId === PANEL_REQUEST_BUTTON_ID) {
+            return await interaction.reply({ ...buildPriorityPicker(), flags: [64] });
         }
 
-        // Update the request in the database
-        request.status = 'concluded';
-        request.conclusionReason = reason;
-        request.concludedById = securityMember.user.id;
-        request.concludedByName = securityMember.user.tag;
-        request.concludedAt = new Date();
-        await request.save();
-        
-        // 1. Update the security server message
-        const originalMessage = interaction.message;
-        const originalEmbed = originalMessage.embeds[0];
-
-        if (!originalEmbed) {
-            console.error(`[Interaction ${interactionId}] Could not find original embed on the message for modal submit.`);
-            return interaction.followUp({ content: 'Error processing conclusion: Original embed not found.', flags: [64] });
-        }
-
-        // Clone the embed to modify it
-        const concludedEmbed = EmbedBuilder.from(originalEmbed)
-            .setTitle('✅ External Security Request Concluded ✅')
-            .setColor(0x00FF00) // Green color for concluded
-            .setFields(
-                ...originalEmbed.fields.filter(field => field.name !== 'Responding Security'),
-                { name: 'Responding Security', value: originalEmbed.fields.find(f => f.name === 'Responding Security')?.value || 'N/A' },
-                { name: 'Conclusion Reason', value: reason },
-                { name: 'Concluded By', value: `${securityMember.user}` }
-            )
-            .setTimestamp();
-
-        // Update the security server message
-        await interaction.editReply({ embeds: [concludedEmbed], components: [] });
-        
-        // 2. Update the external server message if this is an external request
-        if (request.isExternal && request.externalGuildId && request.externalMessageId) {
-            try {
-                // Find the external server
-                const externalServer = await ExternalServer.findByPk(request.externalGuildId);
-                if (!externalServer) {
-                    return interaction.followUp({ 
-                        content: 'The external server is no longer registered in our system.', 
-                        flags: [64] 
-                    });
-                }
-                
-                // Find the external guild and channel
-                const externalGuild = await interaction.client.guilds.fetch(request.externalGuildId);
-                if (!externalGuild) {
-                    return interaction.followUp({ 
-                        content: 'Could not find the external server. The request conclusion may not be visible to the requestor.', 
-                        flags: [64] 
-                    });
-                }
-                
-                const externalChannel = await externalGuild.channels.fetch(externalServer.channelId);
-                if (!externalChannel) {
-                    return interaction.followUp({ 
-                        content: 'Could not find the channel in the external server. The request conclusion may not be visible to the requestor.', 
-                        flags: [64] 
-                    });
-                }
-                
-                // Get the message in the external channel
-                const externalMessage = await externalChannel.messages.fetch(request.externalMessageId);
-                if (!externalMessage) {
-                    return interaction.followUp({ 
-                        content: 'Could not find the original request message in the external server.', 
-                        flags: [64] 
-                    });
-                }
-                
-                // Extract the original request information
-                const externalEmbed = externalMessage.embeds[0];
-                
-                // Create a clean concluded embed with only the necessary fields
-                const concludedExternalEmbed = new EmbedBuilder()
-                    .setColor(0x00FF00)
-                    .setTitle('✅ Security Request Concluded ✅')
-                    .setFields(
-                        { name: 'Location', value: request.location },
-                        { name: 'Details', value: request.details },
-                        { name: 'Contact', value: request.contact || 'Not provided' },
-                        { name: 'Status', value: 'Completed' },
-                        { name: 'Conclusion', value: reason },
-                        { name: 'Concluded By', value: securityMember.user.tag }
-                    )
-                    .setTimestamp()
-                    .setFooter({ text: `Request ID: ${requestId}` });
-                
-                await externalMessage.edit({ embeds: [concludedExternalEmbed] });
-                
-                return interaction.followUp({ 
-                    content: `The external security request has been concluded. The notification in ${externalGuild.name} has been updated.`, 
-                    flags: [64] 
-                });
-            } catch (externalError) {
-                console.error(`[Interaction ${interactionId}] Error updating external message for conclusion:`, externalError);
-                return interaction.followUp({ 
-                    content: `The security request was concluded, but there was an error updating the external server: ${externalError.message}`, 
-                    flags: [64] 
-                });
-            }
-        } else {
-            return interaction.followUp({ 
-                content: 'The security request has been concluded.', 
-                flags: [64] 
-            });
+        if (customId === PANEL_ABOUT_BUTTON_ID) {
+            const owner = await getPanelOwner(interaction.guild.id);
+            const providerName = await getProviderName(owner?.providerGuildId || interaction.guild.id, interaction.client);
+            return await interaction.reply({ embeds: [buildAboutEmbed(providerName, owner?.isExternal ?? true)], flags: [64] });
+        }
+
+        const priority = customId.slice(PANEL_PRIORITY_PREFIX.length);
+        if (!PRIORITY_LEVELS[priority]) {
+            console.warn(`[Interaction ${interactionId}] Invalid panel priority button: ${customId}`);
+            return await interaction.reply({ content: 'That priority is not available. Please press Request Security again.', flags: [64] });
         }
+        await (await getRequestCommand(interaction)).openForm(interaction, { priority });
     } catch (error) {
-        console.error(`[Interaction ${interactionId}] Error handling external conclude modal submit:`, error);
-        if (!interaction.replied) {
-            await interaction.followUp({ content: 'There was an error concluding the request.', flags: [64] });
+        console.error(`[Interaction ${interactionId}] Error handling request panel button:`, error);
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({ content: 'There was an error opening the request form. Please try again or use the request command.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending panel error reply:`, err));
+        }
+    }
+}
+
+/**
+ * Handles the submission of the security request form.
+ * The form is sent through the request command of the server it was submitted in, so it goes through the
+ * same checks and alert pipeline as the command options.
+ * @param {ModalSubmitInteraction} interaction The modal submit interaction object.
+ * @returns {Promise<void>}
+ * @example
+ * // After a requester fills in the form opened with /request-external-security form:True or the request panel:
+ * // 1. The priority (and relay choice) are read from the modal ID, e.g. reqform_urgent_relay
+ * // 2. The server and requester are checked again, as the command does
+ * // 3. The request is posted exactly as if the command options had been used
+ * await handleRequestFormSubmit(interaction);
+ */
+async function handleRequestFormSubmit(interaction) {
+    const interactionId = interaction.id; // For logging
+    try {
+        const form = parseRequestFormId(interaction.customId);
+        if (!form) {
+            console.warn(`[Interaction ${interactionId}] Invalid request form ID: ${interaction.customId}`);
+            return interaction.reply({ content: 'This request form is no longer valid. Please open it again.', flags: [64] });
+        }
+
+        await (await getRequestCommand(interaction)).submitForm(interaction, form);
+    } catch (error) {
+        console.error(`[Interaction ${interactionId}] Error handling request form submit:`, error);
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({ content: 'There was an error sending your security request. Please try again or contact an administrator.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending request form error reply:`, err));
         }
     }
 }
@@ -616,14 +684,13 @@ module.exports = {
      * @example
      * // This event handler processes several types of interactions:
      * // 1. Slash commands (/request-security, /request-external-security, etc.)
-     * // 2. Button clicks (Respond, Conclude Request)
-     * // 3. Modal submissions (conclusion reasons)
+     * // 2. Button clicks (Respond, Withdraw, Conclude Request, Reopen, Timeline, the requester's Cancel request and ratings, and the request panel)
+     * // 3. Modal submissions (conclusion reasons, rating comments, security request forms)
      * // 
      * // For security request buttons, it:
      * // - Verifies the user has the security role
-     * // - Processes internal or external security request responses
-     * // - Updates both the main security server and customer servers for external requests
-     * // - Maintains the database record of all security requests and their status
+     * // - Updates the stored request through the request state service
+     * // - Re-renders both the main security server and customer server messages from the database
      */
     async execute(interaction) {
         const interactionId = interaction.id; // For logging
@@ -653,11 +720,58 @@ module.exports = {
                     }
                 }
             }
+            // --- Autocomplete Handling ---
+            else if (interaction.isAutocomplete()) {
+                const command = interaction.client.commands.get(interaction.commandName);
+                if (!command?.autocomplete) return;
+
+                try {
+                    await command.autocomplete(interaction);
+                } catch (error) {
+                    console.error(`[Interaction ${interactionId}] Error autocompleting ${interaction.commandName}:`, error);
+                }
+            }
             // --- Button Interaction Handling ---
             else if (interaction.isButton()) {
                 console.log(`[Interaction ${interactionId}] Identified as Button Interaction.`);
                 const customId = interaction.customId;
-                
+
+                // Page buttons of /requests results are handled by the command's own collector
+                if (customId.startsWith('requests_')) {
+                    return;
+                }
+
+                // --- Requester Buttons ---
+                // These are used by the person who made the request, so they skip the security role check
+                if (customId.startsWith('cancel_')) {
+                    console.log(`[Interaction ${interactionId}] Handling cancel button.`);
+                    try {
+                        await interaction.deferUpdate();
+                        await handleCancelButton(interaction, customId.split('_')[1]);
+                    } catch (deferError) {
+                        console.error(`[Interaction ${interactionId}] Error during cancel button defer/handle call:`, deferError);
+                        if (!interaction.replied) {
+                            await interaction.followUp({ content: 'An error occurred while cancelling your request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending cancel error followUp:`, err));
+                        }
+                    }
+                    return;
+                }
+                // Survey buttons are rate_<requestId>_<rating> and ratecomment_<requestId>
+                if (customId.startsWith('rate_')) {
+                    const [, requestId, rating] = customId.split('_');
+                    await handleRateButton(interaction, requestId, Number(rating));
+                    return;
+                }
+                if (customId.startsWith('ratecomment_')) {
+                    await handleRatingCommentButton(interaction, customId.split('_')[1]);
+                    return;
+                }
+                // The request panel is used by customers as well
+                if (customId === PANEL_REQUEST_BUTTON_ID || customId === PANEL_ABOUT_BUTTON_ID || customId.startsWith(PANEL_PRIORITY_PREFIX)) {
+                    await handlePanelButton(interaction, customId);
+                    return;
+                }
+
                 // Get the security role ID from the database for this server
                 const securityRoleId = await getSecurityRoleId(interaction.guild.id);
 
@@ -669,112 +783,106 @@ module.exports = {
                 }
                 console.log(`[Interaction ${interactionId}] Security Role ID found: ${securityRoleId}`);
 
-                // Check if this is an external request button
-                if (customId.startsWith('extrespond_') || customId.startsWith('extconclude_')) {
-                    // Parse the button custom ID (extrespond_requestId_guildId or extconclude_requestId_guildId)
-                    const parts = customId.split('_');
-                    if (parts.length !== 3) {
-                        console.error(`[Interaction ${interactionId}] Invalid external button custom ID format: ${customId}`);
-                        return interaction.reply({ content: 'Invalid button format. Please contact an administrator.', flags: [64] });
+                let member;
+                try {
+                    console.log(`[Interaction ${interactionId}] Attempting to fetch member...`);
+                    // Ensure the member object is fetched, especially if GuildMembers intent was just enabled
+                    member = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
+                    if (!member) {
+                         console.error(`[Interaction ${interactionId}] Failed to fetch member for user ${interaction.user.id}`);
+                         return interaction.reply({ content: 'Could not retrieve your member information.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending member fetch error reply:`, err));
                     }
-                    
-                    const buttonType = parts[0]; // 'extrespond' or 'extconclude'
-                    const requestId = parts[1];  // Original request ID
-                    const externalGuildId = parts[2]; // External guild ID
-                    
-                    // Fetch the member
-                    let member;
-                    try {
-                        member = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
-                        if (!member) {
-                            console.error(`[Interaction ${interactionId}] Failed to fetch member for user ${interaction.user.id}`);
-                            return interaction.reply({ content: 'Could not retrieve your member information.', flags: [64] });
-                        }
-                        
-                        // Check if user has security role
-                        if (!member.roles.cache.has(securityRoleId)) {
-                            console.log(`[Interaction ${interactionId}] User ${member.user.tag} lacks security role for external button ${customId}.`);
-                            return interaction.reply({ content: 'You do not have permission to interact with these buttons.', flags: [64] });
-                        }
-                        
-                        if (buttonType === 'extrespond') {
-                            // Handle external respond button
-                            await interaction.deferUpdate();
-                            await handleExternalRespondButton(interaction, member, requestId, externalGuildId);
-                        } else if (buttonType === 'extconclude') {
-                            // Handle external conclude button
-                            await handleExternalConcludeButton(interaction, requestId, externalGuildId);
-                        }
-                    } catch (memberError) {
-                        console.error(`[Interaction ${interactionId}] Error during external button member fetch or role check:`, memberError);
-                        return interaction.reply({ content: 'An error occurred while verifying your permissions.', flags: [64] });
+                    console.log(`[Interaction ${interactionId}] Member fetched successfully: ${member.user.tag}`);
+
+                    console.log(`[Interaction ${interactionId}] Checking if member has role ${securityRoleId}...`);
+                    // Check if user has security role (needed for all request buttons)
+                    if (!member.roles.cache.has(securityRoleId)) {
+                        console.log(`[Interaction ${interactionId}] User ${member.user.tag} lacks security role for button ${customId}.`);
+                        return interaction.reply({ content: 'You do not have permission to interact with these buttons.', flags: [64] });
                     }
-                } else {
-                    // Handle regular buttons (non-external)
-                    let member;
-                    try {
-                        console.log(`[Interaction ${interactionId}] Attempting to fetch member...`);
-                        // Ensure the member object is fetched, especially if GuildMembers intent was just enabled
-                        member = interaction.member instanceof GuildMember ? interaction.member : await interaction.guild.members.fetch(interaction.user.id);
-                        if (!member) {
-                             console.error(`[Interaction ${interactionId}] Failed to fetch member for user ${interaction.user.id}`);
-                             return interaction.reply({ content: 'Could not retrieve your member information.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending member fetch error reply:`, err));
-                        }
-                        console.log(`[Interaction ${interactionId}] Member fetched successfully: ${member.user.tag}`);
+                    console.log(`[Interaction ${interactionId}] User ${member.user.tag} has security role.`);
 
-                        console.log(`[Interaction ${interactionId}] Checking if member has role ${securityRoleId}...`);
-                        // Check if user has security role (needed for both buttons)
-                        if (!member.roles.cache.has(securityRoleId)) {
-                            console.log(`[Interaction ${interactionId}] User ${member.user.tag} lacks security role for button ${customId}.`);
-                            return interaction.reply({ content: 'You do not have permission to interact with these buttons.', flags: [64] });
-                        }
-                        console.log(`[Interaction ${interactionId}] User ${member.user.tag} has security role.`);
+                } catch (memberError) {
+                     console.error(`[Interaction ${interactionId}] Error during member fetch or role check:`, memberError);
+                     return interaction.reply({ content: 'An error occurred while verifying your permissions.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending permission check error reply:`, err));
+                }
 
-                    } catch (memberError) {
-                         console.error(`[Interaction ${interactionId}] Error during member fetch or role check:`, memberError);
-                         return interaction.reply({ content: 'An error occurred while verifying your permissions.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending permission check error reply:`, err));
-                    }
+                // Button IDs are <action>_<requestId>; older external buttons also carry the guild ID
+                // (ext<action>_<requestId>_<guildId>), which is no longer needed as state lives in the database
+                const [buttonType, requestId] = customId.split('_');
 
-                    // --- Respond Button Logic ---
-                    if (customId.startsWith('respond_')) {
-                        console.log(`[Interaction ${interactionId}] Handling respond button.`);
-                        try {
-                            console.log(`[Interaction ${interactionId}] >>> Attempting deferUpdate...`); // Log before defer
-                            await interaction.deferUpdate();
-                            console.log(`[Interaction ${interactionId}] <<< deferUpdate successful.`); // Log after defer
-                            await handleRespondButton(interaction, member);
-                        } catch (deferError) { // Catch errors specifically from deferUpdate or handleRespondButton
-                             console.error(`[Interaction ${interactionId}] Error during respond button defer/handle call:`, deferError);
-                             // Attempt followUp if defer succeeded but handler failed, or if defer failed but interaction still valid
-                             if (!interaction.replied) { // Check if not already replied (e.g. by a previous error handler)
-                                 try {
-                                     await interaction.followUp({ content: 'An error occurred while processing your response.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending respond error followUp:`, err));
-                                 } catch (followUpError) {
-                                     console.error(`[Interaction ${interactionId}] Further error trying to send followUp after defer/handle error:`, followUpError);
-                                 }
+                // --- Respond Button Logic ---
+                if (buttonType === 'respond' || buttonType === 'extrespond') {
+                    console.log(`[Interaction ${interactionId}] Handling respond button.`);
+                    try {
+                        console.log(`[Interaction ${interactionId}] >>> Attempting deferUpdate...`); // Log before defer
+                        await interaction.deferUpdate();
+                        console.log(`[Interaction ${interactionId}] <<< deferUpdate successful.`); // Log after defer
+                        await handleRespondButton(interaction, member, requestId);
+                    } catch (deferError) { // Catch errors specifically from deferUpdate or handleRespondButton
+                         console.error(`[Interaction ${interactionId}] Error during respond button defer/handle call:`, deferError);
+                         // Attempt followUp if defer succeeded but handler failed, or if defer failed but interaction still valid
+                         if (!interaction.replied) { // Check if not already replied (e.g. by a previous error handler)
+                             try {
+                                 await interaction.followUp({ content: 'An error occurred while processing your response.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending respond error followUp:`, err));
+                             } catch (followUpError) {
+                                 console.error(`[Interaction ${interactionId}] Further error trying to send followUp after defer/handle error:`, followUpError);
                              }
+                         }
+                    }
+                }
+                // --- Withdraw Button Logic ---
+                else if (buttonType === 'withdraw') {
+                    console.log(`[Interaction ${interactionId}] Handling withdraw button.`);
+                    try {
+                        await interaction.deferUpdate();
+                        await handleWithdrawButton(interaction, member, requestId);
+                    } catch (deferError) {
+                        console.error(`[Interaction ${interactionId}] Error during withdraw button defer/handle call:`, deferError);
+                        if (!interaction.replied) {
+                            await interaction.followUp({ content: 'An error occurred while withdrawing you from the request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending withdraw error followUp:`, err));
                         }
                     }
-                    // --- Conclude Button Logic ---
-                    else if (customId.startsWith('conclude_')) {
-                        console.log(`[Interaction ${interactionId}] Handling conclude button (showing modal).`);
-                        await handleConcludeButton(interaction);
-                    } else {
-                         console.warn(`[Interaction ${interactionId}] Unrecognized button custom ID: ${customId}`);
+                }
+                // --- Reopen Button Logic ---
+                else if (buttonType === 'reopen') {
+                    console.log(`[Interaction ${interactionId}] Handling reopen button.`);
+                    try {
+                        await interaction.deferUpdate();
+                        await handleReopenButton(interaction, member, requestId);
+                    } catch (deferError) {
+                        console.error(`[Interaction ${interactionId}] Error during reopen button defer/handle call:`, deferError);
+                        if (!interaction.replied) {
+                            await interaction.followUp({ content: 'An error occurred while reopening the request.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending reopen error followUp:`, err));
+                        }
                     }
                 }
+                // --- Timeline Button Logic ---
+                else if (buttonType === 'timeline') {
+                    console.log(`[Interaction ${interactionId}] Handling timeline button.`);
+                    await handleTimelineButton(interaction, requestId);
+                }
+                // --- Conclude Button Logic ---
+                else if (buttonType === 'conclude' || buttonType === 'extconclude') {
+                    console.log(`[Interaction ${interactionId}] Handling conclude button (showing modal).`);
+                    await handleConcludeButton(interaction, requestId);
+                } else {
+                     console.warn(`[Interaction ${interactionId}] Unrecognized button custom ID: ${customId}`);
+                }
             }
             // --- Modal Submit Handling ---
             else if (interaction.isModalSubmit()) {
                  console.log(`[Interaction ${interactionId}] Handling as ModalSubmit.`);
                  const customId = interaction.customId; // Get modal custom ID
 
-                 if (customId.startsWith('conclude_modal_')) {
+                 // Modal IDs are conclude_modal_<requestId> (older external ones: extconclude_modal_<requestId>_<guildId>)
+                 if (customId.startsWith('conclude_modal_') || customId.startsWith('extconclude_modal_')) {
+                     const requestId = customId.split('_')[2];
                      try {
                          console.log(`[Interaction ${interactionId}] >>> Attempting deferUpdate for modal...`); // Log before defer
                          await interaction.deferUpdate(); // Acknowledge the modal submission
                          console.log(`[Interaction ${interactionId}] <<< deferUpdate successful for modal.`); // Log after defer
-                         await handleConcludeModalSubmit(interaction); // Now call the handler
+                         await handleConcludeModalSubmit(interaction, requestId); // Now call the handler
                      } catch (modalDeferError) {
                          console.error(`[Interaction ${interactionId}] Error during modal defer/handle call:`, modalDeferError);
                          if (!interaction.replied) {
@@ -785,30 +893,20 @@ module.exports = {
                              }
                          }
                      }
-                 } else if (customId.startsWith('extconclude_modal_')) {
-                     // Handle external conclude modal
-                     const parts = customId.split('_');
-                     if (parts.length !== 4) {
-                         console.error(`[Interaction ${interactionId}] Invalid external modal custom ID format: ${customId}`);
-                         return interaction.reply({ content: 'Invalid modal format. Please contact an administrator.', ephemeral: true });
-                     }
-                     
-                     const requestId = parts[2];  // Original request ID
-                     const externalGuildId = parts[3]; // External guild ID
-                     
+                 } else if (customId.startsWith('rate_comment_modal_')) {
+                     const requestId = customId.split('_')[3];
                      try {
                          await interaction.deferUpdate();
-                         await handleExternalConcludeModalSubmit(interaction, requestId, externalGuildId);
+                         await handleRatingCommentSubmit(interaction, requestId);
                      } catch (modalDeferError) {
-                         console.error(`[Interaction ${interactionId}] Error during external modal defer/handle call:`, modalDeferError);
+                         console.error(`[Interaction ${interactionId}] Error during rating comment defer/handle call:`, modalDeferError);
                          if (!interaction.replied) {
-                             try {
-                                 await interaction.followUp({ content: 'An error occurred while processing the conclusion.', flags: [64] });
-                             } catch (followUpError) {
-                                 console.error(`[Interaction ${interactionId}] Further error trying to send followUp after external modal defer/handle error:`, followUpError);
-                             }
+                             await interaction.followUp({ content: 'An error occurred while saving your comment.', flags: [64] }).catch(err => console.error(`[Interaction ${interactionId}] Error sending comment modal error followUp:`, err));
                          }
                      }
+                 } else if (customId.startsWith(REQUEST_FORM_PREFIX)) {
+                     // Request forms are answered by the request commands, which reply themselves
+                     await handleRequestFormSubmit(interaction);
                  } else {
                       console.warn(`[Interaction ${interactionId}] Unrecognized modal custom ID: ${customId}`);
                  }
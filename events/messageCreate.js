@@ -0,0 +1,29 @@
+/**
+ * @file Message create event handler
+ * @module EventHandlers/MessageCreate
+ * @description Forwards messages posted in relayed request threads between the external server
+ * and the security server.
+ */
+
+const { Events } = require('discord.js');
+const { relayMessage } = require('../database/relay-utils');
+
+module.exports = {
+    name: Events.MessageCreate,
+    /**
+     * Executes when a message is created.
+     * Only human messages in threads are considered; the bot's own relayed messages are ignored
+     * so that nothing is mirrored back and forth.
+     * @param {import('discord.js').Message} message The created message.
+     * @returns {Promise<void>}
+     */
+    async execute(message) {
+        if (message.author.bot || !message.guild || !message.channel.isThread()) return;
+
+        try {
+            await relayMessage(message);
+        } catch (error) {
+            console.error(`[ERROR] Error relaying message ${message.id}:`, error);
+        }
+    },
+};
@@ -0,0 +1,29 @@
+/**
+ * @file Message delete event handler
+ * @module EventHandlers/MessageDelete
+ * @description Posts a server's request panel again when the panel message is deleted.
+ */
+
+const { Events } = require('discord.js');
+const { restoreDeletedPanel } = require('../database/panel-utils');
+
+module.exports = {
+    name: Events.MessageDelete,
+    /**
+     * Executes when a message is deleted.
+     * Uncached messages arrive as partials, which still carry the message and guild IDs.
+     * @param {import('discord.js').Message|import('discord.js').PartialMessage} message The deleted message.
+     * @returns {Promise<void>}
+     */
+    async execute(message) {
+        if (!message.guildId) return;
+
+        try {
+            if (await restoreDeletedPanel(message.client, message.guildId, message.id)) {
+                console.log(`[INFO] Request panel ${message.id} in server ${message.guildId} was deleted and has been posted again`);
+            }
+        } catch (error) {
+            console.error(`[ERROR] Error checking deleted message ${message.id}:`, error);
+        }
+    },
+};
@@ -6,6 +6,8 @@
 // events/ready.js
 
 const { Events } = require('discord.js');
+const { runHealthCheck } = require('../database/health-utils');
+const { ensureRequestPanels } = require('../database/panel-utils');
 
 /**
  * @typedef {Object} Client
@@ -17,10 +19,27 @@ module.exports = {
     once: true,
     /**
      * Executes when the client is ready.
+     * Runs the startup configuration health check once the guild caches are populated and posts request
+     * panels that were deleted while the bot was offline again.
      * @param {Client} client The Discord client instance.
-     * @returns {void}
+     * @returns {Promise<void>}
      */
-    execute(client) {
+    async execute(client) {
         console.log(`Ready! Logged in as ${client.user.tag}`);
+
+        try {
+            await runHealthCheck(client);
+        } catch (error) {
+            console.error('[ERROR] Startup configuration health check failed:', error);
+        }
+
+        try {
+            const restored = await ensureRequestPanels(client);
+            if (restored > 0) {
+                console.log(`[INFO] Posted ${restored} deleted request panels again`);
+            }
+        } catch (error) {
+            console.error('[ERROR] Failed to check the request panels:', error);
+        }
     },
 };
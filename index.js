@@ -16,12 +16,15 @@ const fs = require('node:fs');
 const path = require('node:path');
 
 // Import necessary discord.js classes
-const { Client, Collection, Events, GatewayIntentBits } = require('discord.js');
+const { Client, Collection, Events, GatewayIntentBits, Partials } = require('discord.js');
 
 // Import database
 const { initializeDatabase } = require('./database/models');
 const { runMigrations } = require('./database/migrations');
 const { updateServerActiveStatus, INACTIVITY_THRESHOLD_DAYS, sendSystemNotification } = require('./database/server-utils');
+const { checkRequestEscalations, ESCALATION_CHECK_INTERVAL_MS } = require('./database/escalation-utils');
+const { runHealthCheck, HEALTH_CHECK_INTERVAL_MS } = require('./database/health-utils');
+const { applyRoster, DUTY_CHECK_INTERVAL_MS } = require('./database/duty-utils');
 
 /**
  * Notification file path that the update script creates
@@ -36,10 +39,12 @@ const NOTIFICATION_FILE = path.join(__dirname, 'update_notification.json');
 const clientIntents = [
     GatewayIntentBits.Guilds,
     GatewayIntentBits.GuildMessages, // Keep this for now
-    GatewayIntentBits.GuildMembers   // Keep this for now
+    GatewayIntentBits.GuildMembers,  // Keep this for now
+    GatewayIntentBits.MessageContent // Needed to relay thread messages between servers
 ];
 console.log('[INFO] Creating client with intents:', clientIntents.map(intent => GatewayIntentBits[intent] || intent)); // Log intent names
-const client = new Client({ intents: clientIntents });
+// Deletions of uncached messages are delivered as partials, so a deleted request panel is noticed after a restart
+const client = new Client({ intents: clientIntents, partials: [Partials.Message] });
 
 // Add a collection to store commands
 client.commands = new Collection();
@@ -177,7 +182,8 @@ async function checkForUpdateNotifications(client) {
 
 // --- Setup Scheduled Tasks ---
 /**
- * Sets up recurring tasks like checking server activity
+ * Sets up recurring tasks like checking server activity, escalating unanswered requests and
+ * checking the configuration health
  * @param {Client} client The Discord client
  */
 function setupScheduledTasks(client) {
@@ -208,6 +214,46 @@ function setupScheduledTasks(client) {
         updateServerActivity();
     }, ONE_HOUR);
     
+    // Escalate requests that stay pending without a responder
+    async function escalatePendingRequests() {
+        try {
+            const stats = await checkRequestEscalations(client);
+            if (stats.repinged > 0 || stats.supervisorAlerts > 0) {
+                console.log(`[INFO] Request escalation: ${stats.repinged} re-pinged, ${stats.supervisorAlerts} escalated to supervisors`);
+            }
+        } catch (error) {
+            console.error('[ERROR] Failed to check request escalations:', error);
+        }
+        setTimeout(escalatePendingRequests, ESCALATION_CHECK_INTERVAL_MS);
+    }
+    escalatePendingRequests();
+    
+    // Put rostered personnel on and off duty when their scheduled shifts start and end
+    async function updateDutyRoster() {
+        try {
+            const stats = await applyRoster(client);
+            if (stats.started > 0 || stats.ended > 0) {
+                console.log(`[INFO] Duty roster: ${stats.started} shifts started, ${stats.ended} shifts ended`);
+            }
+        } catch (error) {
+            console.error('[ERROR] Failed to apply the duty roster:', error);
+        }
+        setTimeout(updateDutyRoster, DUTY_CHECK_INTERVAL_MS);
+    }
+    updateDutyRoster();
+    
+    // Re-check the configured channels, roles and permissions; the startup check runs on ClientReady.
+    // Scheduled reports are only posted when something is broken.
+    async function checkConfigurationHealth() {
+        try {
+            await runHealthCheck(client, { onlyIfUnhealthy: true });
+        } catch (error) {
+            console.error('[ERROR] Failed to check configuration health:', error);
+        }
+        setTimeout(checkConfigurationHealth, HEALTH_CHECK_INTERVAL_MS);
+    }
+    setTimeout(checkConfigurationHealth, HEALTH_CHECK_INTERVAL_MS);
+    
     // Start checking for update notifications right away
     checkForUpdateNotifications(client);
 }